@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Command-line entry point. Exit codes: 0 success, 1 parse errors in the input
+// or a failed write, 2 bad command line.
+
+import { parseArgs } from 'node:util';
+import { runReport, UsageError } from '../src/cli/report.js';
+import { runServe, DEFAULT_HOST, DEFAULT_ORIGINS } from '../src/cli/serve.js';
+import { DEFAULT_PORT } from '../src/lib/liveResults.js';
+import { REPORT_FORMATS } from '../src/lib/reports.js';
+import { RANKING_STRATEGIES } from '../src/lib/ranking.js';
+import { PALETTES } from '../src/lib/colors.js';
+import { NORMALIZATION_MODES } from '../src/lib/normalization.js';
+import { NUMBER_LOCALES, MAX_PRECISION } from '../src/lib/numberFormat.js';
+
+const USAGE = `Usage: scheduler-viz report <results> [options]
+       scheduler-viz serve <directory> [--port <n>] [--host <address>] [--origin <list>]
+
+report writes reports and charts for one results file, which may be a trial
+log, a tidy CSV or JSON; the format is detected.
+
+serve watches a directory of results files for the app's Live Results panel
+and keeps running until interrupted.
+
+Report options:
+  --format <list>      Report formats, comma separated (default: md)
+                       One of: ${Object.keys(REPORT_FORMATS).join(', ')}
+  --out <dir>          Output directory (default: current directory)
+  --schedulers <list>  Only include these schedulers
+  --metrics <list>     Only include these metric keys
+  --preset <file>      Apply a preset exported from the app
+  --strategy <name>    Ranking strategy: ${Object.keys(RANKING_STRATEGIES).join(', ')}
+  --primary <metric>   Primary metric for lexicographic ranking
+  --secondary <metric> Secondary metric for lexicographic ranking
+  --normalize <mode>   Value scale: ${Object.keys(NORMALIZATION_MODES).join(', ')} (default: absolute)
+  --baseline <name>    Baseline scheduler for the ratio and percent scales
+  --palette <name>     Chart colours: ${Object.keys(PALETTES).join(', ')}
+  --locale <name>      Number format: ${Object.keys(NUMBER_LOCALES).join(', ')} (default: plain)
+  --precision <n>      Decimal places for every metric, 0 to ${MAX_PRECISION} (default: per metric)
+  --skip-charts        Write reports only, no SVG charts
+
+Serve options:
+  --port <n>           Port to listen on (default: ${DEFAULT_PORT})
+  --host <address>     Address to listen on (default: ${DEFAULT_HOST})
+  --origin <list>      Origins of the app allowed to read the runs, comma separated
+                       (default: ${DEFAULT_ORIGINS.join(', ')})
+
+  -h, --help           Show this help
+`;
+
+const OPTIONS = {
+  format: { type: 'string' },
+  out: { type: 'string' },
+  schedulers: { type: 'string' },
+  metrics: { type: 'string' },
+  preset: { type: 'string' },
+  strategy: { type: 'string' },
+  primary: { type: 'string' },
+  secondary: { type: 'string' },
+  normalize: { type: 'string' },
+  baseline: { type: 'string' },
+  palette: { type: 'string' },
+  locale: { type: 'string' },
+  precision: { type: 'string' },
+  'skip-charts': { type: 'boolean' },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  origin: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const [command, input, ...extra] = positionals;
+  if (command !== 'report' && command !== 'serve') {
+    throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+  if (!input) throw new UsageError(command === 'serve' ? 'Missing results directory' : 'Missing input file');
+  if (extra.length > 0) throw new UsageError(`Unexpected arguments: ${extra.join(' ')}`);
+
+  if (command === 'serve') return runServe(input, values);
+  return runReport(input, { ...values, skipCharts: values['skip-charts'] });
+};
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    if (error instanceof UsageError) {
+      process.stderr.write(`scheduler-viz: ${error.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  });
@@ -1,145 +1,389 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, Cell } from 'recharts';
-import { Download, Settings, TrendingUp, BarChart3, Upload } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Download, Settings, BarChart3, Upload, AlertTriangle, Layers, Trash2, ClipboardPaste, Radio } from 'lucide-react';
+import { hasErrors } from './lib/parser.js';
+import { parseText, importerLabel } from './lib/importers.js';
+import { buildMetricRegistry, applyNumberFormat, metricTitle } from './lib/metrics.js';
+import { sortedTrialIds } from './lib/trends.js';
+import { createDataset, datasetNameFromFile, uniqueDatasetName, mergeColumns, allSchedulerNames } from './lib/datasets.js';
+import { DEFAULT_RANKING } from './lib/ranking.js';
+import RankingControls from './components/RankingControls.jsx';
+import StatisticsPanel from './components/StatisticsPanel.jsx';
+import DatasetComparison from './components/DatasetComparison.jsx';
+import ChartExportControls from './components/ChartExportControls.jsx';
+import ReportDialog from './components/ReportDialog.jsx';
+import PresetManager from './components/PresetManager.jsx';
+import SchedulerSelector from './components/SchedulerSelector.jsx';
+import VirtualList from './components/VirtualList.jsx';
+import TrialNavigator from './components/TrialNavigator.jsx';
+import RankEvolution from './components/RankEvolution.jsx';
+import SensitivityPanel from './components/SensitivityPanel.jsx';
+import SnapshotExport from './components/SnapshotExport.jsx';
+import FileDropOverlay, { useFileDrop } from './components/FileDrop.jsx';
+import SchedulePanel from './components/SchedulePanel.jsx';
+import LiveResults from './components/LiveResults.jsx';
+import AnomalyPanel from './components/AnomalyPanel.jsx';
+import PerformanceProfile from './components/PerformanceProfile.jsx';
+import Dashboard from './components/Dashboard.jsx';
+import { loadSettings, saveSettings, applyPreset } from './lib/storage.js';
+import { buildChartSet } from './charts/chartSet.js';
+import { assignColors, DEFAULT_PALETTE } from './lib/colors.js';
+import { displayName, realName, setAlias, aliasTrials, aliasKeys, hasAliases } from './lib/schedulers.js';
+import { parseScheduleCSV, mergeSchedules, unlinkedSchedules } from './lib/schedules.js';
+import { parseLiveRun } from './lib/liveResults.js';
+import {
+  findAnomalies,
+  flaggedTrials,
+  excludeTrials,
+  indexAnomalies,
+  trialFindings,
+  DEFAULT_ANOMALY_SETTINGS
+} from './lib/anomalies.js';
+import {
+  NORMALIZATION_MODES,
+  DEFAULT_NORMALIZATION,
+  normalizeMetrics,
+  normalizeTrials,
+  normalizeLimits
+} from './lib/normalization.js';
+import { sanitizeLayout } from './lib/dashboard.js';
+import { NUMBER_LOCALES, MAX_PRECISION, sanitizeNumberFormat, formatNumber } from './lib/numberFormat.js';
+import { schedulerStyles } from './lib/schedulerStyles.js';
+import { countOf } from './lib/chartSummaries.js';
+import { parseFileInWorker } from './workers/parseFile.js';
+import { encodeViewState, decodeViewState, resolveTrialId, applyViewState } from './lib/viewState.js';
+import { createSnapshot, parseSnapshot, SNAPSHOT_ELEMENT_ID } from './lib/snapshot.js';
+
+const PASTED_DATASET_NAME = 'Pasted data';
+
+// Pasting into a form field edits the field instead of loading data
+const isEditableTarget = (target) => target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Present only when this page is an offline snapshot saved by SnapshotExport
+const readEmbeddedSnapshot = () => {
+  const element = document.getElementById(SNAPSHOT_ELEMENT_ID);
+  if (!element) return null;
+  try {
+    return parseSnapshot(element.textContent);
+  } catch (error) {
+    console.error('Ignoring unreadable embedded snapshot:', error);
+    return null;
+  }
+};
 
 const SchedulerVisualizer = () => {
-  const [csvData, setCsvData] = useState(null);
-  const [selectedTrial, setSelectedTrial] = useState(1);
-  const [selectedSchedulers, setSelectedSchedulers] = useState({});
-  const [schedulerColors, setSchedulerColors] = useState({});
-  const [allSchedulers, setAllSchedulers] = useState([]);
-  const [trialsData, setTrialsData] = useState({});
+  const [storedSettings] = useState(loadSettings);
+  const [datasets, setDatasets] = useState([]);
+  const [activeDatasetId, setActiveDatasetId] = useState(null);
+  const [viewMode, setViewMode] = useState('single');
+  const [selectedTrial, setSelectedTrial] = useState(null);
+  const [selectedSchedulers, setSelectedSchedulers] = useState(storedSettings.selectedSchedulers || {});
+  const [schedulerColors, setSchedulerColors] = useState(storedSettings.schedulerColors || {});
+  const [schedulerAliases, setSchedulerAliases] = useState(storedSettings.schedulerAliases || {});
+  const [schedulerGroups, setSchedulerGroups] = useState(storedSettings.schedulerGroups || []);
+  const [palette, setPalette] = useState(storedSettings.palette || DEFAULT_PALETTE);
   const [showSettings, setShowSettings] = useState(true);
-  const [maxTrials, setMaxTrials] = useState(5);
-  
-  // Refs for capturing screenshots
-  const trialChartsRef = useRef(null);
-  const trendsRef = useRef(null);
-
-  const defaultColors = [
-    '#E74C3C', '#3498DB', '#2ECC71', '#F39C12', '#9B59B6', '#1ABC9C',
-    '#E67E22', '#34495E', '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4',
-    '#FECA57', '#FF9FF3', '#54A0FF', '#FD79A8', '#00B894', '#74B9FF'
-  ];
-
-  const parseCSV = (text) => {
-    const lines = text.trim().split('\n');
-    const trials = {};
-    let currentTrial = null;
-    let deadline = null;
-    let securityUtility = null;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      if (line.startsWith('TRIAL RUN')) {
-        const match = line.match(/TRIAL RUN (\d+) - DEADLINE == ([\d.]+) SECURITY UTILITY == ([\d.]+)/);
-        if (match) {
-          currentTrial = parseInt(match[1]);
-          deadline = parseFloat(match[2]);
-          securityUtility = parseFloat(match[3]);
-          trials[currentTrial] = {
-            deadline,
-            securityUtility,
-            schedulers: []
-          };
-        }
-        i++;
-        continue;
-      }
+  const [showLive, setShowLive] = useState(false);
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [visibleMetrics, setVisibleMetrics] = useState(storedSettings.visibleMetrics || {});
+  const [ranking, setRanking] = useState({ ...DEFAULT_RANKING, ...storedSettings.ranking });
+  const [anomalySettings, setAnomalySettings] = useState(() => ({
+    ...DEFAULT_ANOMALY_SETTINGS,
+    ...storedSettings.anomalies,
+    kinds: { ...DEFAULT_ANOMALY_SETTINGS.kinds, ...(storedSettings.anomalies && storedSettings.anomalies.kinds) }
+  }));
+  const [normalization, setNormalization] = useState({ ...DEFAULT_NORMALIZATION, ...storedSettings.normalization });
+  const [layout, setLayout] = useState(() => sanitizeLayout(storedSettings.dashboard));
+  const [numberFormat, setNumberFormat] = useState(() => sanitizeNumberFormat(storedSettings.numberFormat));
+  const [accessibility, setAccessibility] = useState({ shapes: true, highContrast: false, ...storedSettings.accessibility });
+  const [showReportDialog, setShowReportDialog] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [embeddedSnapshot] = useState(readEmbeddedSnapshot);
+  const [hashVersion, setHashVersion] = useState(0);
 
-      if (line && currentTrial && line.includes(',')) {
-        const parts = line.split(',');
-        if (parts.length === 4 && parts[0] !== 'SCHEDULER') {
-          trials[currentTrial].schedulers.push({
-            name: parts[0],
-            makespan: parseFloat(parts[2]),
-            utility: parseFloat(parts[3])
-          });
-        }
-      }
-    }
+  // View state from the URL hash or a snapshot, applied once data is loaded
+  const pendingView = useRef(null);
+
+  const activeDataset = datasets.find(d => d.id === activeDatasetId) || null;
+  // Everything downstream of the settings panel sees schedulers under their
+  // display aliases; selection, colours and the URL keep the real names
+  const trialsData = useMemo(
+    () => (activeDataset ? aliasTrials(activeDataset.trials, schedulerAliases) : {}),
+    [activeDataset, schedulerAliases]
+  );
+  const trialIds = useMemo(() => sortedTrialIds(trialsData), [trialsData]);
+  // Falls back to the first trial whenever the selection is not in this dataset
+  const currentTrial = trialsData[selectedTrial] ? selectedTrial : trialIds[0];
+  // The absolute registry: ranking, the settings panel and the data checks
+  // use it whatever the value scale. Values are shown in the chosen number
+  // format and units.
+  const metrics = useMemo(
+    () => applyNumberFormat(buildMetricRegistry(mergeColumns(datasets)), numberFormat),
+    [datasets, numberFormat]
+  );
+  const { locale } = numberFormat;
+  const allSchedulers = useMemo(() => allSchedulerNames(datasets), [datasets]);
+
+  // The value scale as the charts see it: a baseline that is not loaded
+  // leaves the values absolute, and the baseline goes by its display name
+  const activeNormalization = useMemo(() => ({
+    mode: normalization.mode,
+    baseline: allSchedulers.includes(normalization.baseline) ? displayName(schedulerAliases, normalization.baseline) : null
+  }), [normalization, allSchedulers, schedulerAliases]);
+  const valueMetrics = useMemo(() => normalizeMetrics(metrics, activeNormalization), [metrics, activeNormalization]);
+  const normalizedTrials = useMemo(
+    () => normalizeTrials(trialsData, metrics, activeNormalization),
+    [trialsData, metrics, activeNormalization]
+  );
+  const viewDatasets = useMemo(
+    () => datasets.map(d => ({
+      ...d,
+      trials: normalizeTrials(hasAliases(schedulerAliases) ? aliasTrials(d.trials, schedulerAliases) : d.trials, metrics, activeNormalization)
+    })),
+    [datasets, schedulerAliases, metrics, activeNormalization]
+  );
 
-    return trials;
+  useEffect(() => {
+    saveSettings({
+      selectedSchedulers,
+      schedulerColors,
+      schedulerAliases,
+      schedulerGroups,
+      palette,
+      visibleMetrics,
+      ranking,
+      anomalies: anomalySettings,
+      normalization,
+      dashboard: layout,
+      numberFormat,
+      accessibility
+    });
+  }, [selectedSchedulers, schedulerColors, schedulerAliases, schedulerGroups, palette, visibleMetrics, ranking, anomalySettings, normalization, layout, numberFormat, accessibility]);
+
+  const currentSettings = () => ({ selectedSchedulers, schedulerColors, schedulerAliases, schedulerGroups, visibleMetrics, ranking });
+
+  const applySettings = (next) => {
+    setSelectedSchedulers(next.selectedSchedulers);
+    setSchedulerColors(next.schedulerColors);
+    setSchedulerAliases(next.schedulerAliases);
+    setSchedulerGroups(next.schedulerGroups);
+    setVisibleMetrics(next.visibleMetrics);
+    setRanking(next.ranking);
   };
 
   useEffect(() => {
-    const loadStoredData = async () => {
-      try {
-        const storedSchedulers = await window.storage.get('selected_schedulers');
-        const storedColors = await window.storage.get('scheduler_colors');
-        
-        if (storedSchedulers) {
-          setSelectedSchedulers(JSON.parse(storedSchedulers.value));
-        }
-        if (storedColors) {
-          setSchedulerColors(JSON.parse(storedColors.value));
-        }
-      } catch (error) {
-        console.log('No stored data found, using defaults');
-      }
+    const hashView = window.location.hash.length > 1 ? decodeViewState(window.location.hash) : null;
+    if (embeddedSnapshot) {
+      pendingView.current = { ...embeddedSnapshot.view, ...hashView };
+      addDatasets(embeddedSnapshot.datasets.map(d => createDataset(d.name, d)));
+    } else {
+      pendingView.current = hashView;
+    }
+
+    const handleHashChange = () => {
+      pendingView.current = decodeViewState(window.location.hash);
+      setHashVersion(v => v + 1);
     };
-    
-    loadStoredData();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
   }, []);
 
   useEffect(() => {
-    const saveData = async () => {
+    if (!pendingView.current || datasets.length === 0) return;
+    const view = pendingView.current;
+    pendingView.current = null;
+
+    applySettings(applyViewState(view, currentSettings(), metrics.map(m => m.key)));
+
+    const dataset = datasets.find(d => d.name === view.dataset) || activeDataset || datasets[0];
+    setActiveDatasetId(dataset.id);
+    const trial = view.trial !== undefined ? resolveTrialId(sortedTrialIds(dataset.trials), view.trial) : undefined;
+    if (trial !== undefined) setSelectedTrial(trial);
+    if (view.viewMode && (view.viewMode === 'single' || datasets.length > 1)) setViewMode(view.viewMode);
+    if (view.normalization) setNormalization(view.normalization);
+  }, [datasets, hashVersion]);
+
+  const handleApplyPreset = (preset) => {
+    applySettings(applyPreset(preset, currentSettings()));
+  };
+
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length > 0) loadFiles(files);
+  };
+
+  const loadFiles = async (files) => {
+    const fileDiagnostics = [];
+    const loaded = [];
+
+    for (const [index, file] of files.entries()) {
+      const onProgress = (loadedBytes, total) => setLoadProgress({
+        file: file.name, index, count: files.length, loaded: loadedBytes, total
+      });
+      onProgress(0, file.size);
+
+      let parsed;
       try {
-        await window.storage.set('selected_schedulers', JSON.stringify(selectedSchedulers));
-        await window.storage.set('scheduler_colors', JSON.stringify(schedulerColors));
+        parsed = await parseFileInWorker(file, onProgress);
       } catch (error) {
-        console.error('Error saving data:', error);
+        fileDiagnostics.push({ severity: 'error', line: null, message: `Could not read file: ${error.message}`, file: file.name });
+        continue;
       }
-    };
-    
-    if (Object.keys(selectedSchedulers).length > 0) {
-      saveData();
+      parsed.diagnostics.forEach(d => fileDiagnostics.push({ ...d, file: file.name }));
+
+      // Refuse to render half-parsed data; the diagnostics panel explains why
+      if (hasErrors(parsed.diagnostics)) continue;
+
+      const name = uniqueDatasetName(datasetNameFromFile(file.name), [...datasets, ...loaded]);
+      loaded.push(createDataset(name, parsed));
     }
-  }, [selectedSchedulers, schedulerColors]);
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const text = e.target.result;
-        const parsed = parseCSV(text);
-        setTrialsData(parsed);
-        setMaxTrials(Object.keys(parsed).length);
-        
-        const schedulerSet = new Set();
-        Object.values(parsed).forEach(trial => {
-          trial.schedulers.forEach(s => schedulerSet.add(s.name));
-        });
-        
-        const schedulerList = Array.from(schedulerSet).sort();
-        setAllSchedulers(schedulerList);
-        
-        const newSelections = { ...selectedSchedulers };
-        const newColors = { ...schedulerColors };
-        
-        schedulerList.forEach((scheduler, idx) => {
-          if (!(scheduler in newSelections)) {
-            newSelections[scheduler] = true;
-          }
-          if (!(scheduler in newColors)) {
-            newColors[scheduler] = defaultColors[idx % defaultColors.length];
-          }
-        });
-        
-        setSelectedSchedulers(newSelections);
-        setSchedulerColors(newColors);
-        setCsvData(text);
-      };
-      reader.readAsText(file);
+    setLoadProgress(null);
+    setDiagnostics(fileDiagnostics);
+    addDatasets(loaded);
+  };
+
+  // Clipboard text is usually small, so it is parsed on the main thread
+  const loadText = (text) => {
+    const name = uniqueDatasetName(PASTED_DATASET_NAME, datasets);
+    const parsed = parseText(text);
+    setDiagnostics(parsed.diagnostics.map(d => ({ ...d, file: name })));
+    if (!hasErrors(parsed.diagnostics)) addDatasets([createDataset(name, parsed)]);
+  };
+
+  const reportLoadError = (file, message) => {
+    setDiagnostics([{ severity: 'error', line: null, message, file }]);
+  };
+
+  const handlePasteButton = async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      if (text.trim()) loadText(text);
+      else reportLoadError('Clipboard', 'The clipboard has no text to load');
+    } catch (error) {
+      reportLoadError('Clipboard', `Could not read the clipboard (${error.message}); try pressing Ctrl+V instead`);
     }
   };
 
-  const toggleScheduler = (scheduler) => {
-    setSelectedSchedulers(prev => ({
+  // Ctrl+V anywhere outside a form field loads the pasted files or text. The
+  // listener is registered once, so it calls whichever handler is current.
+  const pasteHandler = useRef(null);
+  pasteHandler.current = (event) => {
+    if (isEditableTarget(event.target)) return;
+    const files = Array.from(event.clipboardData.files);
+    const text = event.clipboardData.getData('text/plain');
+    if (files.length > 0) loadFiles(files);
+    else if (text.trim()) loadText(text);
+    else return;
+    event.preventDefault();
+  };
+
+  const { dragging, dropHandlers } = useFileDrop(loadFiles);
+
+  useEffect(() => {
+    const handlePaste = (event) => pasteHandler.current(event);
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, []);
+
+  const addDatasets = (loaded) => {
+    if (loaded.length === 0) return;
+
+    const nextDatasets = [...datasets, ...loaded];
+    setDatasets(nextDatasets);
+    setActiveDatasetId(loaded[loaded.length - 1].id);
+    setSelectedTrial(sortedTrialIds(loaded[loaded.length - 1].trials)[0]);
+    showNewData(nextDatasets, loaded);
+  };
+
+  // Metrics and schedulers seen for the first time start out shown
+  const showNewData = (nextDatasets, loaded) => {
+    setVisibleMetrics(prev => {
+      const next = { ...prev };
+      mergeColumns(loaded).forEach(c => {
+        if (!(c.key in next)) next[c.key] = true;
+      });
+      return next;
+    });
+
+    const schedulerList = allSchedulerNames(nextDatasets);
+    const newSelections = { ...selectedSchedulers };
+
+    schedulerList.forEach(scheduler => {
+      if (!(scheduler in newSelections)) {
+        newSelections[scheduler] = true;
+      }
+    });
+
+    setSelectedSchedulers(newSelections);
+    setSchedulerColors(assignColors(schedulerList, schedulerColors, palette));
+  };
+
+  // A followed run is reloaded whole on every change. Its dataset keeps its
+  // id, name and schedules; a reload that does not parse leaves it as it was.
+  const loadLiveRun = (run, text) => {
+    const parsed = parseLiveRun(text, run);
+    setDiagnostics(parsed.diagnostics.map(d => ({ ...d, file: run })));
+    if (hasErrors(parsed.diagnostics)) return;
+
+    const existing = datasets.find(d => d.live === run);
+    if (!existing) {
+      const name = uniqueDatasetName(datasetNameFromFile(run), datasets);
+      addDatasets([createDataset(name, { ...parsed, live: run })]);
+      return;
+    }
+    const updated = { ...existing, trials: parsed.trials, columns: parsed.columns, format: parsed.format };
+    const nextDatasets = datasets.map(d => (d.id === existing.id ? updated : d));
+    setDatasets(nextDatasets);
+    showNewData(nextDatasets, [updated]);
+  };
+
+  const unfollowRun = (run) => {
+    setDatasets(prev => prev.map(d => (d.live === run ? { ...d, live: undefined } : d)));
+  };
+
+  const selectDataset = (id, from = datasets) => {
+    setActiveDatasetId(id);
+    const dataset = from.find(d => d.id === id);
+    if (dataset && !(selectedTrial in dataset.trials)) {
+      setSelectedTrial(sortedTrialIds(dataset.trials)[0]);
+    }
+  };
+
+  const renameDataset = (id, name) => {
+    setDatasets(prev => prev.map(d => (d.id === id ? { ...d, name } : d)));
+  };
+
+  // Rows without trial and scheduler columns belong to the shown trial and
+  // the scheduler picked in the panel, given by its display name
+  const importSchedules = (text, scheduler) => {
+    const parsed = parseScheduleCSV(text, {
+      trial: currentTrial,
+      scheduler: scheduler && realName(schedulerAliases, scheduler)
+    });
+    if (hasErrors(parsed.diagnostics)) return parsed;
+
+    const warnings = unlinkedSchedules(parsed.schedules, activeDataset.trials);
+    setDatasets(prev => prev.map(d => (
+      d.id === activeDataset.id ? { ...d, schedules: mergeSchedules(d.schedules, parsed.schedules) } : d
+    )));
+    return { ...parsed, diagnostics: [...parsed.diagnostics, ...warnings] };
+  };
+
+  const removeDataset = (id) => {
+    const remaining = datasets.filter(d => d.id !== id);
+    setDatasets(remaining);
+    if (activeDatasetId === id) {
+      selectDataset(remaining.length > 0 ? remaining[0].id : null, remaining);
+    }
+    if (remaining.length < 2) setViewMode('single');
+  };
+
+  const toggleMetric = (key) => {
+    setVisibleMetrics(prev => ({
       ...prev,
-      [scheduler]: !prev[scheduler]
+      [key]: !prev[key]
     }));
   };
 
@@ -150,146 +394,132 @@ const SchedulerVisualizer = () => {
     }));
   };
 
-  const getCurrentTrialData = () => {
-    if (!trialsData[selectedTrial]) return null;
-    
-    const trial = trialsData[selectedTrial];
-    const filtered = trial.schedulers.filter(s => selectedSchedulers[s.name]);
-    
-    filtered.sort((a, b) => {
-      if (Math.abs(a.utility - b.utility) < 0.01) {
-        return a.makespan - b.makespan;
-      }
-      return b.utility - a.utility;
-    });
-    
-    return filtered.map((s, idx) => ({
-      ...s,
-      rank: idx + 1,
-      color: schedulerColors[s.name]
-    }));
+  const updateAlias = (scheduler, alias) => {
+    setSchedulerAliases(prev => setAlias(prev, scheduler, alias));
   };
 
-  const getTrendData = () => {
-    const trends = [];
-    
-    for (let trial = 1; trial <= maxTrials; trial++) {
-      if (!trialsData[trial]) continue;
-      
-      const trialData = { trial };
-      
-      trialsData[trial].schedulers.forEach(s => {
-        if (selectedSchedulers[s.name]) {
-          trialData[`${s.name}_makespan`] = s.makespan;
-          trialData[`${s.name}_utility`] = s.utility;
-        }
-      });
-      
-      trends.push(trialData);
-    }
-    
-    return trends;
+  // Recolour every loaded scheduler from the palette, dropping manual picks
+  const reassignColors = (nextPalette = palette) => {
+    const loaded = new Set(allSchedulers);
+    const kept = Object.fromEntries(Object.entries(schedulerColors).filter(([name]) => !loaded.has(name)));
+    setSchedulerColors(assignColors(allSchedulers, kept, nextPalette));
   };
 
-  // Capture element as image
-  const captureAsImage = async (element, filename) => {
-    try {
-      const html2canvas = (await import('https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/+esm')).default;
-      const canvas = await html2canvas(element, {
-        backgroundColor: '#ffffff',
-        scale: 2,
-        logging: false,
-        useCORS: true
-      });
-      
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        URL.revokeObjectURL(url);
-      });
-    } catch (error) {
-      console.error('Error capturing image:', error);
-      alert('Error capturing image. Please try again.');
-    }
+  const changePalette = (nextPalette) => {
+    setPalette(nextPalette);
+    reassignColors(nextPalette);
   };
 
-  // Export all trials as images
-  const exportAllTrialsAsImages = async () => {
-    if (!trialsData) return;
-    
-    alert('Starting export... This may take a moment. Images will download one by one.');
-    
-    // Export each trial
-    for (let trial = 1; trial <= maxTrials; trial++) {
-      if (!trialsData[trial]) continue;
-      
-      setSelectedTrial(trial);
-      await new Promise(resolve => setTimeout(resolve, 500)); // Wait for render
-      
-      if (trialChartsRef.current) {
-        await captureAsImage(trialChartsRef.current, `trial_${trial}_comparison.png`);
-        await new Promise(resolve => setTimeout(resolve, 300));
-      }
-    }
-    
-    // Export trends
-    if (trendsRef.current) {
-      await captureAsImage(trendsRef.current, 'performance_trends.png');
-    }
-    
-    alert('Export complete! Check your downloads folder.');
-  };
+  const shownMetrics = useMemo(() => valueMetrics.filter(m => visibleMetrics[m.key]), [valueMetrics, visibleMetrics]);
+  const selectedSchedulersList = useMemo(
+    () => allSchedulers.filter(s => selectedSchedulers[s]),
+    [allSchedulers, selectedSchedulers]
+  );
+  const shownSchedulers = useMemo(
+    () => selectedSchedulersList.map(s => displayName(schedulerAliases, s)),
+    [selectedSchedulersList, schedulerAliases]
+  );
+  const displayColors = useMemo(() => aliasKeys(schedulerColors, schedulerAliases), [schedulerColors, schedulerAliases]);
+  // Marker shapes and dash patterns follow the real names over every loaded
+  // scheduler, so hiding or renaming one leaves the others' styles alone
+  const schedulerStyleMap = useMemo(() => schedulerStyles(allSchedulers, accessibility.shapes), [allSchedulers, accessibility.shapes]);
+  const displayStyles = useMemo(() => aliasKeys(schedulerStyleMap, schedulerAliases), [schedulerStyleMap, schedulerAliases]);
 
-  // Export text report
-  const exportTextReport = () => {
-    if (!trialsData) return;
-    
-    let exportText = 'SCHEDULER PERFORMANCE REPORT\n';
-    exportText += '='.repeat(80) + '\n\n';
-    
-    for (let trial = 1; trial <= maxTrials; trial++) {
-      if (!trialsData[trial]) continue;
-      
-      exportText += `TRIAL RUN ${trial}\n`;
-      exportText += `Deadline: ${trialsData[trial].deadline}\n`;
-      exportText += `Min Security Utility: ${trialsData[trial].securityUtility}\n`;
-      exportText += '-'.repeat(80) + '\n';
-      exportText += 'Rank | Scheduler | Makespan | Utility\n';
-      exportText += '-'.repeat(80) + '\n';
-      
-      const filtered = trialsData[trial].schedulers.filter(s => selectedSchedulers[s.name]);
-      filtered.sort((a, b) => {
-        if (Math.abs(a.utility - b.utility) < 0.01) {
-          return a.makespan - b.makespan;
-        }
-        return b.utility - a.utility;
-      });
-      
-      filtered.forEach((s, idx) => {
-        exportText += `${idx + 1} | ${s.name} | ${s.makespan.toFixed(2)} | ${s.utility.toFixed(2)}\n`;
-      });
-      
-      exportText += '\n\n';
-    }
-    
-    const blob = new Blob([exportText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'scheduler_report.txt';
-    a.click();
-    URL.revokeObjectURL(url);
+  // Data checks run on the absolute values of every trial; findings for
+  // hidden schedulers or switched-off kinds are left out, and only the rest
+  // flag a trial
+  const anomalies = useMemo(
+    () => findAnomalies(trialsData, metrics, { method: anomalySettings.method }),
+    [trialsData, metrics, anomalySettings.method]
+  );
+  const shownAnomalies = useMemo(() => {
+    const shown = new Set(shownSchedulers);
+    return anomalies.filter(f => f.scheduler === null || shown.has(f.scheduler));
+  }, [anomalies, shownSchedulers]);
+  const activeAnomalies = useMemo(
+    () => shownAnomalies.filter(f => anomalySettings.kinds[f.kind]),
+    [shownAnomalies, anomalySettings.kinds]
+  );
+  const anomalyIndex = useMemo(() => indexAnomalies(activeAnomalies), [activeAnomalies]);
+  const flagged = useMemo(() => flaggedTrials(activeAnomalies), [activeAnomalies]);
+
+  // What the trends, statistics and reports analyse: every trial, or only
+  // the unflagged ones. The trial comparison always offers every trial.
+  const analysisTrials = useMemo(
+    () => (anomalySettings.exclude ? excludeTrials(normalizedTrials, flagged) : normalizedTrials),
+    [normalizedTrials, flagged, anomalySettings.exclude]
+  );
+  const analysisTrialIds = useMemo(() => sortedTrialIds(analysisTrials), [analysisTrials]);
+
+  // Findings with no row of their own in the rankings table
+  const currentTrialNotes = trialFindings(anomalyIndex, currentTrial).filter(f => f.scheduler === null || f.kind === 'missing');
+
+  const trialSchedules = useMemo(
+    () => aliasKeys((activeDataset && activeDataset.schedules[currentTrial]) || {}, schedulerAliases),
+    [activeDataset, currentTrial, schedulerAliases]
+  );
+
+  const currentViewState = () => ({
+    dataset: activeDataset ? activeDataset.name : undefined,
+    trial: currentTrial,
+    viewMode,
+    schedulers: selectedSchedulersList,
+    colors: Object.fromEntries(selectedSchedulersList.filter(s => schedulerColors[s]).map(s => [s, schedulerColors[s]])),
+    metrics: shownMetrics.map(m => m.key),
+    ranking,
+    normalization
+  });
+
+  // Keep the URL hash in step with the view so it can be shared as a link
+  useEffect(() => {
+    if (!activeDataset || pendingView.current) return;
+    const hash = encodeViewState(currentViewState());
+    if (window.location.hash.slice(1) !== hash) window.history.replaceState(null, '', `#${hash}`);
+  }, [activeDataset, currentTrial, viewMode, selectedSchedulersList, schedulerColors, shownMetrics, ranking, normalization]);
+
+  // The snapshot carries the aliases too so it opens with the same labels
+  const buildSnapshot = () => createSnapshot({ datasets, view: { ...currentViewState(), aliases: schedulerAliases } });
+
+  const buildExportCharts = () => buildChartSet({
+    trialsData: analysisTrials,
+    schedulers: shownSchedulers,
+    colors: displayColors,
+    styles: displayStyles,
+    ranking,
+    metrics,
+    shownMetrics
+  });
+
+  // What the dashboard panels show; each narrows it with its own filters
+  const dashboardView = {
+    trialId: currentTrial,
+    trial: currentTrial === undefined ? null : normalizedTrials[currentTrial],
+    limits: currentTrial === undefined ? {} : normalizeLimits(trialsData[currentTrial], metrics, activeNormalization),
+    analysisTrials,
+    analysisTrialIds,
+    anomalyIndex,
+    metrics,
+    valueMetrics,
+    shownMetrics,
+    allSchedulers,
+    selectedSchedulers: selectedSchedulersList,
+    aliases: schedulerAliases,
+    colors: displayColors,
+    styles: displayStyles,
+    locale,
+    ranking,
+    normalization: activeNormalization
   };
 
-  const currentData = getCurrentTrialData();
-  const trendData = getTrendData();
-  const selectedSchedulersList = allSchedulers.filter(s => selectedSchedulers[s]);
+  const jumpToTrial = (trial) => {
+    setSelectedTrial(trial);
+    const section = document.getElementById('trial-comparison');
+    if (section) section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6">
+    <div className={`min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-6 ${accessibility.highContrast ? 'high-contrast' : ''}`} {...dropHandlers}>
+      {dragging && <FileDropOverlay />}
       <div className="max-w-7xl mx-auto">
         {/* Header */}
         <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
@@ -301,16 +531,35 @@ const SchedulerVisualizer = () => {
           <div className="flex gap-4 items-center flex-wrap">
             <label className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg cursor-pointer hover:bg-blue-700 transition">
               <Upload size={20} />
-              Upload CSV
+              Upload Results
               <input
                 type="file"
-                accept=".csv,.txt"
+                accept=".csv,.txt,.json"
+                multiple
                 onChange={handleFileUpload}
                 className="hidden"
               />
             </label>
+
+            <button
+              onClick={handlePasteButton}
+              className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-100 transition"
+              title="Load results copied to the clipboard (or press Ctrl+V anywhere on the page)"
+            >
+              <ClipboardPaste size={20} />
+              Paste
+            </button>
+
+            <button
+              onClick={() => setShowLive(!showLive)}
+              className={`flex items-center gap-2 px-4 py-2 border rounded-lg transition ${showLive ? 'bg-blue-50 border-blue-400 text-blue-700' : 'bg-white border-slate-300 text-slate-700 hover:bg-slate-100'}`}
+              title="Follow result files from a local scheduler-viz serve as the simulator writes them"
+            >
+              <Radio size={20} />
+              Live Results
+            </button>
             
-            {csvData && (
+            {activeDataset && (
               <>
                 <button
                   onClick={() => setShowSettings(!showSettings)}
@@ -321,242 +570,460 @@ const SchedulerVisualizer = () => {
                 </button>
                 
                 <button
-                  onClick={exportAllTrialsAsImages}
-                  className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition"
-                >
-                  <Download size={20} />
-                  Export as Images
-                </button>
-                
-                <button
-                  onClick={exportTextReport}
+                  onClick={() => setShowReportDialog(true)}
                   className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition"
                 >
                   <Download size={20} />
-                  Export Text Report
+                  Export Report
                 </button>
+
+                <ChartExportControls buildCharts={buildExportCharts} baseName={activeDataset.name} />
+
+                <SnapshotExport buildSnapshot={buildSnapshot} baseName={activeDataset.name} />
               </>
             )}
           </div>
+
+          {loadProgress && (
+            <div className="mt-4">
+              <div className="flex justify-between text-sm text-slate-600 mb-1">
+                <span>
+                  Parsing {loadProgress.file}
+                  {loadProgress.count > 1 && ` (file ${loadProgress.index + 1} of ${loadProgress.count})`}
+                </span>
+                <span>{loadProgress.total > 0 ? Math.round((loadProgress.loaded / loadProgress.total) * 100) : 100}%</span>
+              </div>
+              <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-600 transition-all"
+                  style={{ width: `${loadProgress.total > 0 ? (loadProgress.loaded / loadProgress.total) * 100 : 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Kept mounted while hidden so followed runs keep updating */}
+        <div hidden={!showLive}>
+          <LiveResults
+            followed={datasets.filter(d => d.live).map(d => d.live)}
+            onRunLoaded={loadLiveRun}
+            onUnfollow={unfollowRun}
+            locale={locale}
+          />
         </div>
 
-        {csvData && (
+        {showReportDialog && activeDataset && (
+          <ReportDialog
+            datasetName={activeDataset.name}
+            trialsData={analysisTrials}
+            trialIds={analysisTrialIds}
+            schedulers={shownSchedulers}
+            metrics={valueMetrics}
+            shownMetrics={shownMetrics}
+            ranking={ranking}
+            rankingMetrics={metrics}
+            locale={locale}
+            onClose={() => setShowReportDialog(false)}
+          />
+        )}
+
+        {/* Parse Diagnostics */}
+        {diagnostics.length > 0 && (
+          <div className={`rounded-lg shadow-lg p-6 mb-6 border ${hasErrors(diagnostics) ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'}`}>
+            <h2 className="text-xl font-bold text-slate-800 mb-2 flex items-center gap-2">
+              <AlertTriangle className={hasErrors(diagnostics) ? 'text-red-600' : 'text-amber-600'} />
+              {hasErrors(diagnostics) ? 'Some files could not be loaded' : 'Files loaded with warnings'}
+            </h2>
+            <VirtualList
+              items={diagnostics}
+              rowHeight={24}
+              maxHeight={240}
+              className="text-sm font-mono"
+              renderItem={(d) => (
+                <div className={`truncate ${d.severity === 'error' ? 'text-red-700' : 'text-amber-700'}`}>
+                  {d.file}{d.line !== null ? `:${d.line}` : ''}: {d.message}
+                </div>
+              )}
+            />
+          </div>
+        )}
+
+        {activeDataset && (
           <>
+            {/* Datasets */}
+            <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+              <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+                <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                  <Layers className="text-blue-600" />
+                  Datasets ({datasets.length})
+                </h2>
+                <div className="flex rounded-lg border border-slate-300 overflow-hidden text-sm">
+                  {[['single', 'Single'], ['overlay', 'Overlay'], ['diff', 'Diff']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => setViewMode(mode)}
+                      disabled={mode !== 'single' && datasets.length < 2}
+                      title={mode !== 'single' && datasets.length < 2 ? 'Load at least two datasets to compare' : undefined}
+                      className={`px-3 py-1 disabled:opacity-40 disabled:cursor-not-allowed ${viewMode === mode ? 'bg-blue-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-100'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                {datasets.map(d => (
+                  <div key={d.id} className={`flex items-center gap-3 p-2 rounded border ${d.id === activeDatasetId ? 'border-blue-400 bg-blue-50' : 'border-slate-200'}`}>
+                    <input
+                      type="radio"
+                      name="active-dataset"
+                      checked={d.id === activeDatasetId}
+                      onChange={() => selectDataset(d.id)}
+                      className="w-4 h-4"
+                      title="Show this dataset in the single-dataset view"
+                    />
+                    <input
+                      type="text"
+                      value={d.name}
+                      onChange={(e) => renameDataset(d.id, e.target.value)}
+                      className="flex-1 px-2 py-1 border border-slate-300 rounded text-sm"
+                    />
+                    {d.live && (
+                      <span className="flex items-center gap-1 text-xs font-semibold text-green-700" title={`Following ${d.live} on the results server`}>
+                        <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse" />
+                        LIVE
+                      </span>
+                    )}
+                    <span className="text-sm text-slate-500">
+                      {countOf(Object.keys(d.trials).length, 'trial')}{d.format && `, ${importerLabel(d.format)}`}
+                    </span>
+                    <button
+                      onClick={() => removeDataset(d.id)}
+                      className="p-1 text-slate-500 hover:text-red-600"
+                      title="Remove dataset"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+
             {/* Settings Panel */}
             {showSettings && (
               <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
                 <h2 className="text-xl font-bold text-slate-800 mb-4">Settings</h2>
                 
-                <div>
+                <div className="mb-6">
                   <h3 className="text-lg font-semibold text-slate-700 mb-3">
-                    Select Schedulers ({selectedSchedulersList.length} selected)
+                    Metrics ({shownMetrics.length} shown)
                   </h3>
-                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 max-h-96 overflow-y-auto p-4 bg-slate-50 rounded-lg">
-                    {allSchedulers.map(scheduler => (
-                      <div key={scheduler} className="flex items-center gap-3 p-2 bg-white rounded border border-slate-200">
+                  <div className="flex flex-wrap gap-3">
+                    {metrics.map(metric => (
+                      <label key={metric.key} className="flex items-center gap-2 px-3 py-2 bg-slate-50 rounded border border-slate-200 text-sm text-slate-700 cursor-pointer">
                         <input
                           type="checkbox"
-                          checked={selectedSchedulers[scheduler] || false}
-                          onChange={() => toggleScheduler(scheduler)}
-                          className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                          checked={visibleMetrics[metric.key] || false}
+                          onChange={() => toggleMetric(metric.key)}
+                          className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
                         />
+                        {metricTitle(metric)}
+                        <span className="text-slate-400">({metric.direction === 'lower' ? '↓' : '↑'})</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold text-slate-700 mb-3">Presets</h3>
+                  <PresetManager settings={currentSettings()} onApply={handleApplyPreset} />
+                </div>
+
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold text-slate-700 mb-3">Ranking</h3>
+                  <RankingControls ranking={ranking} metrics={metrics} onChange={setRanking} />
+                </div>
+
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold text-slate-700 mb-3">Value Scale</h3>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <select
+                      value={normalization.mode}
+                      onChange={(e) => setNormalization({ ...normalization, mode: e.target.value })}
+                      className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                      aria-label="Value scale"
+                    >
+                      {Object.entries(NORMALIZATION_MODES).map(([mode, m]) => (
+                        <option key={mode} value={mode}>{m.label}</option>
+                      ))}
+                    </select>
+                    {NORMALIZATION_MODES[normalization.mode].needsBaseline && (
+                      <select
+                        value={allSchedulers.includes(normalization.baseline) ? normalization.baseline : ''}
+                        onChange={(e) => setNormalization({ ...normalization, baseline: e.target.value })}
+                        className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                        aria-label="Baseline scheduler"
+                      >
+                        <option value="" disabled>Choose a baseline…</option>
+                        {allSchedulers.map(s => (
+                          <option key={s} value={s}>{displayName(schedulerAliases, s)}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  <p className="text-sm text-slate-500 mt-2">
+                    {NORMALIZATION_MODES[normalization.mode].description}
+                    {NORMALIZATION_MODES[normalization.mode].needsBaseline && !activeNormalization.baseline && ' Until a baseline is chosen the values stay absolute.'}
+                    {' '}Rankings, deadline checks and the performance profile always use the absolute values.
+                  </p>
+                </div>
+
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold text-slate-700 mb-3">Accessibility and Number Format</h3>
+                  <div className="flex flex-wrap items-center gap-3 text-sm text-slate-700">
+                    <select
+                      value={numberFormat.locale}
+                      onChange={(e) => setNumberFormat({ ...numberFormat, locale: e.target.value })}
+                      className="px-3 py-2 border border-slate-300 rounded-lg"
+                      aria-label="Number format"
+                    >
+                      {Object.entries(NUMBER_LOCALES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={numberFormat.precision === null ? '' : numberFormat.precision}
+                      onChange={(e) => setNumberFormat({ ...numberFormat, precision: e.target.value === '' ? null : Number(e.target.value) })}
+                      className="px-3 py-2 border border-slate-300 rounded-lg"
+                      aria-label="Decimal places"
+                    >
+                      <option value="">Metric default</option>
+                      {Array.from({ length: MAX_PRECISION + 1 }, (_, digits) => (
+                        <option key={digits} value={digits}>{digits} decimal places</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={numberFormat.showUnits}
+                        onChange={() => setNumberFormat({ ...numberFormat, showUnits: !numberFormat.showUnits })}
+                        className="w-4 h-4"
+                      />
+                      Show units with values
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={accessibility.shapes}
+                        onChange={() => setAccessibility({ ...accessibility, shapes: !accessibility.shapes })}
+                        className="w-4 h-4"
+                      />
+                      Marker shapes and dash patterns
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={accessibility.highContrast}
+                        onChange={() => setAccessibility({ ...accessibility, highContrast: !accessibility.highContrast })}
+                        className="w-4 h-4"
+                      />
+                      High contrast
+                    </label>
+                  </div>
+                  <div className="flex flex-wrap gap-3 mt-3 text-sm text-slate-700">
+                    {metrics.map(metric => (
+                      <label key={metric.key} className="flex items-center gap-2">
+                        {metric.label} unit
                         <input
-                          type="color"
-                          value={schedulerColors[scheduler] || '#000000'}
-                          onChange={(e) => updateColor(scheduler, e.target.value)}
-                          className="w-10 h-8 rounded cursor-pointer"
+                          type="text"
+                          value={numberFormat.units[metric.key] || ''}
+                          placeholder={metric.unit || 'none'}
+                          onChange={(e) => setNumberFormat({ ...numberFormat, units: { ...numberFormat.units, [metric.key]: e.target.value } })}
+                          className="w-20 px-2 py-1 border border-slate-300 rounded"
                         />
-                        <span className="text-sm text-slate-700 flex-1 truncate" title={scheduler}>
-                          {scheduler}
-                        </span>
-                      </div>
+                      </label>
                     ))}
                   </div>
+                  <p className="text-sm text-slate-500 mt-2">
+                    The number format applies to the tables, charts and text reports; CSV and JSON exports keep plain numbers.
+                  </p>
+                </div>
+
+                <div>
+                  <h3 className="text-lg font-semibold text-slate-700 mb-3">
+                    Select Schedulers ({selectedSchedulersList.length} selected)
+                  </h3>
+                  <SchedulerSelector
+                    schedulers={allSchedulers}
+                    selected={selectedSchedulers}
+                    colors={schedulerColors}
+                    styles={schedulerStyleMap}
+                    aliases={schedulerAliases}
+                    groups={schedulerGroups}
+                    palette={palette}
+                    onSelectionChange={setSelectedSchedulers}
+                    onColorChange={updateColor}
+                    onAliasChange={updateAlias}
+                    onGroupsChange={setSchedulerGroups}
+                    onPaletteChange={changePalette}
+                    onReassignColors={() => reassignColors()}
+                  />
                 </div>
               </div>
             )}
 
-            {/* Trial Selection - Now above charts */}
-            {currentData && currentData.length > 0 && (
-              <div className="bg-white rounded-lg shadow-lg p-6 mb-6" ref={trialChartsRef}>
-                <div className="flex items-center justify-between mb-4">
+            {/* Dataset Comparison */}
+            {viewMode !== 'single' && datasets.length > 1 && (
+              <DatasetComparison
+                mode={viewMode}
+                datasets={viewDatasets}
+                schedulers={shownSchedulers}
+                metrics={shownMetrics}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+              />
+            )}
+
+            {/* Data Checks */}
+            {viewMode === 'single' && (
+              <AnomalyPanel
+                findings={shownAnomalies}
+                settings={anomalySettings}
+                onSettingsChange={setAnomalySettings}
+                flaggedCount={flagged.size}
+                trialCount={trialIds.length}
+                onSelectTrial={jumpToTrial}
+              />
+            )}
+
+            {/* Trial Selection - the trial the bar, table and scatter panels show */}
+            {viewMode === 'single' && currentTrial !== undefined && (
+              <div id="trial-comparison" className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
                   <h2 className="text-2xl font-bold text-slate-800">
-                    Trial Run {selectedTrial} - Performance Comparison
+                    Trial Run {currentTrial} - Performance Comparison
                   </h2>
-                  <div className="flex items-center gap-3">
-                    <label className="text-sm font-semibold text-slate-700">
-                      Select Trial:
-                    </label>
-                    <input
-                      type="number"
-                      min="1"
-                      max={maxTrials}
-                      value={selectedTrial}
-                      onChange={(e) => setSelectedTrial(parseInt(e.target.value))}
-                      className="w-20 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    />
-                    <span className="text-slate-600">of {maxTrials}</span>
-                  </div>
+                  <TrialNavigator
+                    trialIds={trialIds}
+                    trialsData={trialsData}
+                    selectedTrial={currentTrial}
+                    onSelect={setSelectedTrial}
+                    locale={locale}
+                  />
                 </div>
                 
-                <p className="text-slate-600 mb-4">
-                  Deadline: {trialsData[selectedTrial].deadline.toFixed(2)} | 
-                  Min Security Utility: {trialsData[selectedTrial].securityUtility.toFixed(2)}
+                <p className="text-slate-600">
+                  Deadline: {formatNumber(trialsData[currentTrial].deadline, 2, locale)} | 
+                  Min Security Utility: {formatNumber(trialsData[currentTrial].securityUtility, 2, locale)}
+                  {anomalySettings.exclude && flagged.has(String(currentTrial)) && (
+                    <span className="ml-2 text-amber-700">(flagged, left out of the analysis)</span>
+                  )}
                 </p>
 
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                  {/* Makespan Chart */}
-                  <div>
-                    <h3 className="text-lg font-semibold text-slate-700 mb-3">
-                      Makespan (Lower is Better)
-                    </h3>
-                    <ResponsiveContainer width="100%" height={400}>
-                      <BarChart data={currentData} layout="vertical" margin={{ left: 150 }}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis type="number" />
-                        <YAxis type="category" dataKey="name" width={140} />
-                        <Tooltip />
-                        <Bar dataKey="makespan">
-                          {currentData.map((entry, index) => (
-                            <Cell key={`cell-${index}`} fill={entry.color} />
-                          ))}
-                        </Bar>
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </div>
+                {currentTrialNotes.length > 0 && (
+                  <ul className="mt-4 text-sm text-amber-700 space-y-1">
+                    {currentTrialNotes.map((f, idx) => (
+                      <li key={idx} className="flex items-center gap-2">
+                        <AlertTriangle size={14} className="shrink-0" />
+                        {f.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
 
-                  {/* Security Utility Chart */}
-                  <div>
-                    <h3 className="text-lg font-semibold text-slate-700 mb-3">
-                      Security Utility (Higher is Better)
-                    </h3>
-                    <ResponsiveContainer width="100%" height={400}>
-                      <BarChart data={currentData} layout="vertical" margin={{ left: 150 }}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis type="number" />
-                        <YAxis type="category" dataKey="name" width={140} />
-                        <Tooltip />
-                        <Bar dataKey="utility">
-                          {currentData.map((entry, index) => (
-                            <Cell key={`cell-${index}`} fill={entry.color} />
-                          ))}
-                        </Bar>
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </div>
-                </div>
+            {/* Dashboard Panels */}
+            {viewMode === 'single' && (
+              <Dashboard
+                layout={layout}
+                onLayoutChange={setLayout}
+                view={dashboardView}
+                trialLabel={currentTrial === undefined ? null : `Trial ${currentTrial}`}
+              />
+            )}
 
-                {/* Rankings Table */}
-                <div className="mt-6 overflow-x-auto">
-                  <table className="w-full border-collapse">
-                    <thead>
-                      <tr className="bg-slate-100">
-                        <th className="border border-slate-300 px-4 py-2 text-left">Rank</th>
-                        <th className="border border-slate-300 px-4 py-2 text-left">Scheduler</th>
-                        <th className="border border-slate-300 px-4 py-2 text-right">Makespan</th>
-                        <th className="border border-slate-300 px-4 py-2 text-right">Utility</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {currentData.map((item) => (
-                        <tr key={item.name} className="hover:bg-slate-50">
-                          <td className="border border-slate-300 px-4 py-2 font-semibold">{item.rank}</td>
-                          <td className="border border-slate-300 px-4 py-2">
-                            <div className="flex items-center gap-2">
-                              <div
-                                className="w-4 h-4 rounded"
-                                style={{ backgroundColor: item.color }}
-                              />
-                              {item.name}
-                            </div>
-                          </td>
-                          <td className="border border-slate-300 px-4 py-2 text-right">
-                            {item.makespan.toFixed(2)}
-                          </td>
-                          <td className="border border-slate-300 px-4 py-2 text-right">
-                            {item.utility.toFixed(2)}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              </div>
+            {/* Per-task Schedules */}
+            {viewMode === 'single' && currentTrial !== undefined && (
+              <SchedulePanel
+                trialId={currentTrial}
+                trial={trialsData[currentTrial]}
+                schedules={trialSchedules}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+                onImport={importSchedules}
+              />
             )}
 
-            {/* Trend Charts */}
-            {trendData.length > 0 && selectedSchedulersList.length > 0 && (
-              <div className="bg-white rounded-lg shadow-lg p-6" ref={trendsRef}>
-                <h2 className="text-2xl font-bold text-slate-800 mb-4 flex items-center gap-2">
-                  <TrendingUp className="text-blue-600" />
-                  Performance Trends Across Trials
-                </h2>
+            {/* Performance Profile */}
+            {viewMode === 'single' && shownMetrics.length > 0 && selectedSchedulersList.length > 0 && analysisTrialIds.length > 0 && (
+              <PerformanceProfile
+                trialsData={analysisTrials}
+                schedulers={shownSchedulers}
+                metrics={metrics}
+                shownMetrics={shownMetrics}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+              />
+            )}
 
-                <div className="space-y-8">
-                  {/* Makespan Trend */}
-                  <div>
-                    <h3 className="text-lg font-semibold text-slate-700 mb-3">
-                      Makespan Trends
-                    </h3>
-                    <ResponsiveContainer width="100%" height={400}>
-                      <LineChart data={trendData}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis dataKey="trial" label={{ value: 'Trial Run', position: 'insideBottom', offset: -5 }} />
-                        <YAxis label={{ value: 'Makespan', angle: -90, position: 'insideLeft' }} />
-                        <Tooltip />
-                        <Legend />
-                        {selectedSchedulersList.map(scheduler => (
-                          <Line
-                            key={scheduler}
-                            type="monotone"
-                            dataKey={`${scheduler}_makespan`}
-                            name={scheduler}
-                            stroke={schedulerColors[scheduler]}
-                            strokeWidth={2}
-                            dot={{ r: 4 }}
-                          />
-                        ))}
-                      </LineChart>
-                    </ResponsiveContainer>
-                  </div>
+            {/* Rank Evolution and Win Matrix */}
+            {viewMode === 'single' && selectedSchedulersList.length > 1 && analysisTrialIds.length > 0 && (
+              <RankEvolution
+                trialsData={analysisTrials}
+                schedulers={shownSchedulers}
+                ranking={ranking}
+                metrics={metrics}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+                currentTrial={currentTrial}
+                onSelectTrial={jumpToTrial}
+              />
+            )}
 
-                  {/* Security Utility Trend */}
-                  <div>
-                    <h3 className="text-lg font-semibold text-slate-700 mb-3">
-                      Security Utility Trends
-                    </h3>
-                    <ResponsiveContainer width="100%" height={400}>
-                      <LineChart data={trendData}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis dataKey="trial" label={{ value: 'Trial Run', position: 'insideBottom', offset: -5 }} />
-                        <YAxis label={{ value: 'Security Utility', angle: -90, position: 'insideLeft' }} />
-                        <Tooltip />
-                        <Legend />
-                        {selectedSchedulersList.map(scheduler => (
-                          <Line
-                            key={scheduler}
-                            type="monotone"
-                            dataKey={`${scheduler}_utility`}
-                            name={scheduler}
-                            stroke={schedulerColors[scheduler]}
-                            strokeWidth={2}
-                            dot={{ r: 4 }}
-                          />
-                        ))}
-                      </LineChart>
-                    </ResponsiveContainer>
-                  </div>
-                </div>
-              </div>
+            {/* Sensitivity to Deadline and Security Utility */}
+            {viewMode === 'single' && selectedSchedulersList.length > 0 && analysisTrialIds.length > 0 && (
+              <SensitivityPanel
+                trialsData={analysisTrials}
+                schedulers={shownSchedulers}
+                metrics={shownMetrics}
+                ranking={ranking}
+                rankingMetrics={metrics}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+              />
+            )}
+
+            {/* Statistical Summary */}
+            {viewMode === 'single' && shownMetrics.length > 0 && selectedSchedulersList.length > 0 && analysisTrialIds.length > 0 && (
+              <StatisticsPanel
+                trialsData={analysisTrials}
+                schedulers={shownSchedulers}
+                metrics={shownMetrics}
+                ranking={ranking}
+                rankingMetrics={metrics}
+                schedulerColors={displayColors}
+                styles={displayStyles}
+                locale={locale}
+              />
             )}
           </>
         )}
 
-        {!csvData && (
+        {!activeDataset && (
           <div className="bg-white rounded-lg shadow-lg p-12 text-center">
             <Upload className="mx-auto text-slate-400 mb-4" size={64} />
             <h2 className="text-2xl font-bold text-slate-800 mb-2">No Data Loaded</h2>
-            <p className="text-slate-600">Upload a CSV file to begin visualization</p>
+            <p className="text-slate-600">Upload, drop or paste a results file, or follow one with Live Results, to begin visualization</p>
+            <p className="text-sm text-slate-500 mt-2">
+              Trial logs, tidy CSV (trial, deadline, security_utility, scheduler, metrics...) and JSON are recognised automatically.
+            </p>
           </div>
         )}
       </div>
@@ -0,0 +1,210 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import SchedulerVisualizer from './App.jsx';
+import { readFixture } from './test/fixtures.js';
+
+const upload = (name) => {
+  const file = new File([readFixture(name)], name, { type: 'text/plain' });
+  fireEvent.change(screen.getByLabelText(/Upload Results/), { target: { files: [file] } });
+};
+
+const rankedNames = (table) => within(table).getAllByRole('row').slice(1)
+  .map(row => within(row).getAllByRole('cell')[1].textContent.trim());
+
+describe('SchedulerVisualizer', () => {
+  it('ranks the first trial of an uploaded log', async () => {
+    render(<SchedulerVisualizer />);
+    expect(screen.queryByRole('table', { name: 'Scheduler rankings' })).toBeNull();
+
+    upload('sample_trials.txt');
+
+    const table = await screen.findByRole('table', { name: 'Scheduler rankings' });
+    expect(screen.getByRole('heading', { name: 'Trial Run 1 - Performance Comparison' })).toBeInTheDocument();
+    expect(rankedNames(table)).toEqual(['PEFT', 'HEFT', 'CPOP', 'SA_1']);
+    expect(within(table).getAllByRole('row').slice(1).map(row => row.cells[0].textContent)).toEqual(['1', '2', '3', '4']);
+  });
+
+  it('shows parse errors instead of loading a malformed log', async () => {
+    render(<SchedulerVisualizer />);
+
+    upload('malformed_trials.txt');
+
+    expect(await screen.findByText(/Non-numeric MAKESPAN "fast" for CPOP/)).toBeInTheDocument();
+    expect(screen.queryByRole('table', { name: 'Scheduler rankings' })).toBeNull();
+  });
+});
+
+describe('SchedulerVisualizer trial playback', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('steps through the trials and stops at the last one', async () => {
+    render(<SchedulerVisualizer />);
+    upload('sample_trials.txt');
+    await screen.findByRole('table', { name: 'Scheduler rankings' });
+
+    vi.useFakeTimers();
+    fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+    act(() => vi.advanceTimersByTime(1000));
+    expect(screen.getByRole('heading', { name: 'Trial Run 2 - Performance Comparison' })).toBeInTheDocument();
+    act(() => vi.advanceTimersByTime(1000));
+    expect(screen.getByRole('heading', { name: 'Trial Run 10 - Performance Comparison' })).toBeInTheDocument();
+
+    act(() => vi.advanceTimersByTime(5000));
+    expect(screen.getByRole('heading', { name: 'Trial Run 10 - Performance Comparison' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Play' })).toBeInTheDocument();
+  });
+});
+
+describe('SchedulerVisualizer data checks', () => {
+  it('badges flagged schedulers and can leave flagged trials out', async () => {
+    render(<SchedulerVisualizer />);
+    upload('anomalous_trials.txt');
+
+    expect(await screen.findByRole('heading', { name: /Data Checks \(8 findings\)/ })).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Makespan 905.00 is far from its median 91.00 (robust z = 274.5)'));
+
+    const table = await screen.findByRole('table', { name: 'Scheduler rankings' });
+    expect(screen.getByRole('heading', { name: 'Trial Run 4 - Performance Comparison' })).toBeInTheDocument();
+    const heft = within(table).getAllByRole('row').find(row => row.cells[1].textContent === 'HEFT');
+    expect(within(heft).getByLabelText('1 data finding')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText(/Exclude flagged trials from the analysis \(5 of 6\)/));
+    expect(screen.getByText('(flagged, left out of the analysis)')).toBeInTheDocument();
+  });
+});
+
+describe('SchedulerVisualizer value scale', () => {
+  it('shows values relative to a baseline without changing the ranking', async () => {
+    render(<SchedulerVisualizer />);
+    upload('sample_trials.txt');
+    const table = await screen.findByRole('table', { name: 'Scheduler rankings' });
+
+    fireEvent.change(screen.getByLabelText('Value scale'), { target: { value: 'ratio' } });
+    fireEvent.change(screen.getByLabelText('Baseline scheduler'), { target: { value: 'HEFT' } });
+
+    expect(within(table).getByRole('columnheader', { name: 'Makespan / HEFT (×)' })).toBeInTheDocument();
+    expect(rankedNames(table)).toEqual(['PEFT', 'HEFT', 'CPOP', 'SA_1']);
+    const heft = within(table).getAllByRole('row').find(row => row.cells[1].textContent === 'HEFT');
+    expect(heft.textContent).toContain('1.000');
+    expect(screen.getByText(/Values: Ratio to baseline: HEFT/)).toBeInTheDocument();
+    expect(window.location.hash).toContain('norm=ratio&base=HEFT');
+    expect(screen.getByRole('heading', { name: 'Performance Profile' })).toBeInTheDocument();
+  });
+});
+
+describe('SchedulerVisualizer dashboard', () => {
+  it('adds, removes and presents panels and keeps the layout', async () => {
+    const { unmount } = render(<SchedulerVisualizer />);
+    upload('sample_trials.txt');
+    await screen.findByRole('table', { name: 'Scheduler rankings' });
+
+    fireEvent.change(screen.getByLabelText('Panel type'), { target: { value: 'summary' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Panel' }));
+    const summary = screen.getByRole('table', { name: 'Summary across trials' });
+    expect(within(summary).getAllByRole('row')).toHaveLength(5);
+
+    fireEvent.click(within(screen.getByRole('region', { name: 'Rankings table' })).getByTitle('Remove panel'));
+    expect(screen.queryByRole('table', { name: 'Scheduler rankings' })).toBeNull();
+    expect(screen.getByRole('heading', { name: /Dashboard \(3 panels\)/ })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Present' }));
+    const presentation = screen.getByRole('dialog', { name: 'Presentation' });
+    expect(within(presentation).getByText('1 / 3')).toBeInTheDocument();
+    fireEvent.keyDown(window, { key: 'ArrowRight' });
+    expect(within(presentation).getByText('2 / 3')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Trial Run 1 - Performance Comparison' })).toBeInTheDocument();
+    fireEvent.keyDown(document.body, { key: 'ArrowRight' });
+    expect(within(presentation).getByText('3 / 3')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Trial Run 1 - Performance Comparison' })).toBeInTheDocument();
+    fireEvent.keyDown(window, { key: 'Escape' });
+    expect(screen.queryByRole('dialog', { name: 'Presentation' })).toBeNull();
+
+    unmount();
+    render(<SchedulerVisualizer />);
+    upload('sample_trials.txt');
+    expect(await screen.findByRole('table', { name: 'Summary across trials' })).toBeInTheDocument();
+    expect(screen.queryByRole('table', { name: 'Scheduler rankings' })).toBeNull();
+  });
+});
+
+describe('SchedulerVisualizer accessibility and number format', () => {
+  it('offers chart data tables, locale formatting and a high-contrast theme', async () => {
+    const { container } = render(<SchedulerVisualizer />);
+    upload('sample_trials.txt');
+    const table = await screen.findByRole('table', { name: 'Scheduler rankings' });
+
+    const figure = screen.getByRole('figure', { name: 'Makespan in trial 1' });
+    fireEvent.click(within(figure).getByRole('button', { name: 'Show data table' }));
+    const data = within(figure).getByRole('table', { name: 'Makespan in trial 1 (data)' });
+    expect(within(data).getByRole('rowheader', { name: 'PEFT' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Number format'), { target: { value: 'de-DE' } });
+    const peft = within(table).getAllByRole('row').find(row => row.cells[1].textContent === 'PEFT');
+    expect(peft.textContent).toContain('85,00');
+
+    fireEvent.click(screen.getByLabelText('High contrast'));
+    expect(container.firstChild).toHaveClass('high-contrast');
+
+    const first = screen.getByLabelText('Show CPOP');
+    first.focus();
+    fireEvent.keyDown(first, { key: 'ArrowRight' });
+    expect(screen.getByLabelText('Show HEFT')).toHaveFocus();
+  });
+});
+
+// Stands in for the stream from `scheduler-viz serve`
+class FakeEventSource {
+  static CLOSED = 2;
+  static latest = null;
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    FakeEventSource.latest = this;
+  }
+
+  addEventListener(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  push(event, data) {
+    this.listeners[event]({ data: JSON.stringify(data) });
+  }
+
+  close() {}
+}
+
+describe('SchedulerVisualizer live results', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('follows a run and reloads it when the server reports a change', async () => {
+    const log = readFixture('sample_trials.txt');
+    let served = log.slice(0, log.indexOf('TRIAL RUN 2'));
+    const fetchMock = vi.fn(async () => ({ ok: true, text: async () => served }));
+    vi.stubGlobal('EventSource', FakeEventSource);
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<SchedulerVisualizer />);
+    fireEvent.click(screen.getByRole('button', { name: /Live Results/ }));
+    fireEvent.click(screen.getByRole('button', { name: /Connect/ }));
+    expect(FakeEventSource.latest.url).toBe('http://localhost:5174/api/events');
+
+    const listing = (size) => ({ directory: '/results', runs: [{ name: 'sweep.txt', size, modified: size }] });
+    act(() => FakeEventSource.latest.push('runs', listing(served.length)));
+    fireEvent.click(await screen.findByRole('button', { name: 'Follow' }));
+
+    expect(await screen.findByText('1 trial, Trial log')).toBeInTheDocument();
+    expect(screen.getByText('LIVE')).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenLastCalledWith('http://localhost:5174/api/runs/sweep.txt', { cache: 'no-store' });
+
+    served = log;
+    act(() => FakeEventSource.latest.push('runs', listing(served.length)));
+    expect(await screen.findByText('3 trials, Trial log')).toBeInTheDocument();
+    expect(screen.getAllByRole('radio')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,52 @@
+// Assembles every exportable chart for a dataset: one bar chart per trial and
+// metric, then one trend chart and one performance profile per metric. Shared by the browser export and
+// the command-line tool.
+
+import { rankSchedulers } from '../lib/ranking.js';
+import { getTrendData, sortedTrialIds } from '../lib/trends.js';
+import { findMetric } from '../lib/metrics.js';
+import { performanceProfile } from '../lib/performanceProfile.js';
+import { trialBarChartSvg, trendChartSvg, performanceProfileSvg } from './staticCharts.js';
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// `styles` are the schedulers' dash patterns and markers (schedulerStyles.js)
+export const buildChartSet = ({ trialsData, schedulers, colors, styles = {}, ranking, metrics, shownMetrics }) => {
+  const selected = new Set(schedulers);
+  const charts = [];
+
+  sortedTrialIds(trialsData).forEach(trialId => {
+    const trial = trialsData[trialId];
+    const present = trial.schedulers.filter(s => selected.has(s.name));
+    if (present.length === 0) return;
+
+    const data = rankSchedulers(present, trial, ranking, metrics).map(s => ({ ...s, color: colors[s.name] }));
+    shownMetrics.forEach(metric => {
+      charts.push({
+        name: `trial_${trialId}_${slug(metric.key)}`,
+        svg: trialBarChartSvg({ trialId, trial, data, metric })
+      });
+    });
+  });
+
+  const trendData = getTrendData(trialsData, schedulers, shownMetrics.map(m => m.key));
+  shownMetrics.forEach(metric => {
+    charts.push({
+      name: `trend_${slug(metric.key)}`,
+      svg: trendChartSvg({ trendData, schedulers, colors, styles, metric })
+    });
+  });
+
+  // Profiles compare absolute values, so they take the absolute registry
+  shownMetrics.forEach(shown => {
+    const metric = findMetric(metrics, shown.key);
+    const { rows } = performanceProfile(trialsData, schedulers, metric);
+    if (rows.length === 0) return;
+    charts.push({
+      name: `profile_${slug(metric.key)}`,
+      svg: performanceProfileSvg({ rows, schedulers, colors, styles, metric })
+    });
+  });
+
+  return charts;
+};
@@ -0,0 +1,85 @@
+// Browser-side packaging of rendered SVG charts: rasterise to PNG at a chosen
+// DPI, paginate into a PDF, or bundle into a ZIP. Everything runs locally;
+// nothing is fetched from the network.
+
+import JSZip from 'jszip';
+import { jsPDF } from 'jspdf';
+import { svgSize } from './staticCharts.js';
+
+const CSS_DPI = 96;
+const PT_PER_PX = 0.75;
+
+// Firefox ignores clicks on links outside the page, and revoking the URL
+// straight after the click can cancel the download before it starts
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const svgBlob = (svg) => new Blob([svg], { type: 'image/svg+xml' });
+
+const svgToCanvas = (svg, dpi) => new Promise((resolve, reject) => {
+  const { width, height } = svgSize(svg);
+  const scale = dpi / CSS_DPI;
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    resolve(canvas);
+  };
+  image.onerror = () => reject(new Error('Could not rasterise chart SVG'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+export const svgToPngBlob = async (svg, dpi) => {
+  const canvas = await svgToCanvas(svg, dpi);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+};
+
+// One chart per page, each page sized to its chart
+export const chartsToPdf = async (charts, dpi, onProgress = () => {}) => {
+  let pdf = null;
+
+  for (let i = 0; i < charts.length; i++) {
+    const { width, height } = svgSize(charts[i].svg);
+    const format = [width * PT_PER_PX, height * PT_PER_PX];
+    const orientation = width >= height ? 'landscape' : 'portrait';
+
+    if (pdf) pdf.addPage(format, orientation);
+    else pdf = new jsPDF({ unit: 'pt', format, orientation });
+
+    const canvas = await svgToCanvas(charts[i].svg, dpi);
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, format[0], format[1]);
+    onProgress(i + 1, charts.length);
+  }
+
+  return pdf ? pdf.output('blob') : null;
+};
+
+export const chartsToZip = async (charts, format, dpi, onProgress = () => {}) => {
+  const zip = new JSZip();
+
+  for (let i = 0; i < charts.length; i++) {
+    const { name, svg } = charts[i];
+    if (format === 'png') zip.file(`${name}.png`, await svgToPngBlob(svg, dpi));
+    else zip.file(`${name}.svg`, svg);
+    onProgress(i + 1, charts.length);
+  }
+
+  return zip.generateAsync({ type: 'blob' });
+};
@@ -0,0 +1,167 @@
+// Fixed-size recharts charts rendered straight to standalone SVG markup.
+// No ResponsiveContainer, no DOM and no animation, so the same code runs in
+// the browser for exports and in Node for the command-line tool. Written with
+// createElement rather than JSX so Node can import it without a build step.
+
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, LineChart, Line, Cell } from 'recharts';
+import { metricTitle, directionHint } from '../lib/metrics.js';
+import { trendKey } from '../lib/trends.js';
+import { profileKey } from '../lib/performanceProfile.js';
+import { markerPath, styleFor } from '../lib/schedulerStyles.js';
+
+const h = React.createElement;
+
+export const CHART_WIDTH = 900;
+export const CHART_HEIGHT = 420;
+
+const TITLE_HEIGHT = 44;
+const LEGEND_ROW_HEIGHT = 20;
+const LEGEND_COLUMN_WIDTH = 180;
+const FONT = 'font-family="Segoe UI, Roboto, Helvetica, Arial, sans-serif"';
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Pull the chart surface out of recharts' wrapper <div> and place it at (x, y)
+const extractSurface = (markup, x, y) => {
+  const start = markup.indexOf('<svg');
+  const end = markup.indexOf('</svg>', start) + '</svg>'.length;
+  return markup
+    .slice(start, end)
+    .replace(/^<svg([^>]*?) style="[^"]*"/, '<svg$1')
+    .replace(/^<svg/, `<svg x="${x}" y="${y}"`);
+};
+
+const legendMarkup = (items, width, top) => {
+  const perRow = Math.max(1, Math.floor((width - 40) / LEGEND_COLUMN_WIDTH));
+  return items.map((item, idx) => {
+    const x = 40 + (idx % perRow) * LEGEND_COLUMN_WIDTH;
+    const y = top + Math.floor(idx / perRow) * LEGEND_ROW_HEIGHT;
+    const dash = item.dash ? ` stroke-dasharray="${item.dash}"` : '';
+    const marker = item.marker
+      ? `<path d="${markerPath(item.marker, x + 9, y, 3.5)}" fill="#ffffff" stroke="${item.color}" stroke-width="1.5"/>`
+      : '';
+    return `<g><line x1="${x}" x2="${x + 18}" y1="${y}" y2="${y}" stroke="${item.color}" stroke-width="3"${dash}/>${marker}`
+      + `<text x="${x + 24}" y="${y + 4}" font-size="12" ${FONT} fill="#334155">${escapeXml(item.label)}</text></g>`;
+  }).join('');
+};
+
+// Wrap a rendered chart with a title, optional subtitle and legend into one
+// self-contained SVG document
+export const composeSvg = ({ title, subtitle, chartMarkup, legend = [], width = CHART_WIDTH, height = CHART_HEIGHT }) => {
+  const perRow = Math.max(1, Math.floor((width - 40) / LEGEND_COLUMN_WIDTH));
+  const legendHeight = legend.length > 0 ? Math.ceil(legend.length / perRow) * LEGEND_ROW_HEIGHT + 16 : 0;
+  const totalHeight = TITLE_HEIGHT + height + legendHeight;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" role="img">`,
+    `<title>${escapeXml(subtitle ? `${title}: ${subtitle}` : title)}</title>`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    `<text x="20" y="24" font-size="18" font-weight="bold" ${FONT} fill="#1E293B">${escapeXml(title)}</text>`,
+    subtitle ? `<text x="20" y="40" font-size="12" ${FONT} fill="#475569">${escapeXml(subtitle)}</text>` : '',
+    extractSurface(chartMarkup, 0, TITLE_HEIGHT),
+    legendMarkup(legend, width, TITLE_HEIGHT + height + 16),
+    '</svg>'
+  ].join('');
+};
+
+// data: ranked schedulers for one trial, each with a `color`
+export const trialBarChartSvg = ({ trialId, trial, data, metric, width = CHART_WIDTH, height = CHART_HEIGHT }) => {
+  const chart = h(BarChart, { width, height, data, layout: 'vertical', margin: { top: 10, right: 30, bottom: 10, left: 150 } },
+    h(CartesianGrid, { strokeDasharray: '3 3' }),
+    h(XAxis, { type: 'number' }),
+    h(YAxis, { type: 'category', dataKey: 'name', width: 140 }),
+    h(Bar, { dataKey: metric.key, isAnimationActive: false },
+      data.map((entry, index) => h(Cell, { key: `cell-${index}`, fill: entry.color })))
+  );
+
+  return composeSvg({
+    title: `Trial Run ${trialId} - ${metricTitle(metric)} (${directionHint(metric)})`,
+    subtitle: `Deadline: ${trial.deadline} | Min Security Utility: ${trial.securityUtility}`,
+    chartMarkup: renderToStaticMarkup(chart),
+    width,
+    height
+  });
+};
+
+// Legend entries and lines carry each scheduler's dash pattern and marker
+const schedulerLegend = (schedulers, colors, styles) => schedulers.map(s => ({ label: s, color: colors[s], ...styleFor(styles, s) }));
+
+const markerDot = (marker) => ({ key, cx, cy, stroke }) => (Number.isFinite(cx) && Number.isFinite(cy)
+  ? h('path', { key, d: markerPath(marker, cx, cy, 3), fill: '#ffffff', stroke, strokeWidth: 1.5 })
+  : h('g', { key }));
+
+export const trendChartSvg = ({ trendData, schedulers, colors, metric, styles = {}, width = CHART_WIDTH, height = CHART_HEIGHT }) => {
+  const chart = h(LineChart, { width, height, data: trendData, margin: { top: 10, right: 30, bottom: 20, left: 20 } },
+    h(CartesianGrid, { strokeDasharray: '3 3' }),
+    h(XAxis, { dataKey: 'trial', label: { value: 'Trial Run', position: 'insideBottom', offset: -10 } }),
+    h(YAxis, { label: { value: metricTitle(metric), angle: -90, position: 'insideLeft' } }),
+    schedulers.map(scheduler => h(Line, {
+      key: scheduler,
+      type: 'monotone',
+      dataKey: trendKey(scheduler, metric.key),
+      stroke: colors[scheduler],
+      strokeWidth: 2,
+      strokeDasharray: styleFor(styles, scheduler).dash,
+      dot: markerDot(styleFor(styles, scheduler).marker),
+      isAnimationActive: false
+    }))
+  );
+
+  return composeSvg({
+    title: `${metric.label} Trends`,
+    chartMarkup: renderToStaticMarkup(chart),
+    legend: schedulerLegend(schedulers, colors, styles),
+    width,
+    height
+  });
+};
+
+export const performanceProfileSvg = ({ rows, schedulers, colors, metric, styles = {}, width = CHART_WIDTH, height = CHART_HEIGHT }) => {
+  const chart = h(LineChart, { width, height, data: rows, margin: { top: 10, right: 30, bottom: 20, left: 20 } },
+    h(CartesianGrid, { strokeDasharray: '3 3' }),
+    h(XAxis, {
+      dataKey: 'tau',
+      type: 'number',
+      scale: 'log',
+      domain: [1, 'dataMax'],
+      allowDataOverflow: true,
+      tickFormatter: (tau) => Number(tau.toFixed(2)),
+      label: { value: 'τ (factor of the best)', position: 'insideBottom', offset: -10 }
+    }),
+    h(YAxis, {
+      domain: [0, 1],
+      tickFormatter: (v) => `${Math.round(v * 100)}%`,
+      label: { value: 'Share of trials', angle: -90, position: 'insideLeft' }
+    }),
+    schedulers.map(scheduler => h(Line, {
+      key: scheduler,
+      type: 'stepAfter',
+      dataKey: profileKey(scheduler),
+      stroke: colors[scheduler],
+      strokeWidth: 2,
+      strokeDasharray: styleFor(styles, scheduler).dash,
+      dot: false,
+      isAnimationActive: false
+    }))
+  );
+
+  return composeSvg({
+    title: `${metric.label} Performance Profile`,
+    subtitle: 'Share of trials within a factor τ of the best',
+    chartMarkup: renderToStaticMarkup(chart),
+    legend: schedulerLegend(schedulers, colors, styles).map(({ marker, ...item }) => item),
+    width,
+    height
+  });
+};
+
+export const svgSize = (svg) => {
+  const match = svg.match(/<svg[^>]* width="(\d+(?:\.\d+)?)" height="(\d+(?:\.\d+)?)"/);
+  return match ? { width: parseFloat(match[1]), height: parseFloat(match[2]) } : { width: CHART_WIDTH, height: CHART_HEIGHT };
+};
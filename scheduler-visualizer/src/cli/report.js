@@ -0,0 +1,183 @@
+// `scheduler-viz report`: the headless counterpart of the app's Export Report
+// and Export Charts buttons. Parsing, ranking, report formatting and chart
+// rendering all come from the same modules the app uses, so a nightly batch
+// run produces exactly what a person would download from the browser.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { hasErrors } from '../lib/parser.js';
+import { parseText } from '../lib/importers.js';
+import { buildMetricRegistry, applyNumberFormat } from '../lib/metrics.js';
+import { DEFAULT_RANKING, RANKING_STRATEGIES } from '../lib/ranking.js';
+import { buildReport, REPORT_FORMATS } from '../lib/reports.js';
+import { schedulerNames, datasetNameFromFile } from '../lib/datasets.js';
+import { sortedTrialIds } from '../lib/trends.js';
+import { assignColors, PALETTES, DEFAULT_PALETTE } from '../lib/colors.js';
+import { displayName, aliasTrials, aliasKeys } from '../lib/schedulers.js';
+import { parsePresetJson, applyPreset } from '../lib/storage.js';
+import { NORMALIZATION_MODES, normalizeMetrics, normalizeTrials } from '../lib/normalization.js';
+import { NUMBER_LOCALES, MAX_PRECISION, sanitizeNumberFormat } from '../lib/numberFormat.js';
+import { schedulerStyles } from '../lib/schedulerStyles.js';
+import { buildChartSet } from '../charts/chartSet.js';
+
+export class UsageError extends Error {}
+
+const splitList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : null);
+
+const pickKnown = (requested, known, what) => {
+  const unknown = requested.filter(r => !known.includes(r));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown ${what}: ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  }
+  return requested;
+};
+
+// --locale and --precision on top of the defaults; units stay the metrics' own
+const resolveNumberFormat = (options) => {
+  const locale = options.locale ? pickKnown([options.locale], Object.keys(NUMBER_LOCALES), 'locale')[0] : 'plain';
+  let precision = null;
+  if (options.precision !== undefined) {
+    precision = Number(options.precision);
+    if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) {
+      throw new UsageError(`--precision must be a whole number from 0 to ${MAX_PRECISION}`);
+    }
+  }
+  return sanitizeNumberFormat({ locale, precision });
+};
+
+const formatDiagnostic = (file, d) => `${file}${d.line !== null ? `:${d.line}` : ''}: ${d.severity}: ${d.message}`;
+
+// Resolve scheduler, metric and ranking choices the same way the app does:
+// everything on by default, then a preset, then explicit flags on top.
+// Scheduler flags take the real names, never a preset's aliases.
+const resolveSettings = async (options, names, metrics) => {
+  const palette = options.palette ? pickKnown([options.palette], Object.keys(PALETTES), 'palette')[0] : DEFAULT_PALETTE;
+  let settings = {
+    selectedSchedulers: Object.fromEntries(names.map(n => [n, true])),
+    schedulerColors: assignColors(names, {}, palette),
+    visibleMetrics: Object.fromEntries(metrics.map(m => [m.key, true])),
+    ranking: { ...DEFAULT_RANKING }
+  };
+
+  if (options.preset) {
+    let preset;
+    try {
+      preset = parsePresetJson(await readFile(options.preset, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`${options.preset}: ${error.message}`);
+    }
+    settings = applyPreset(preset, settings);
+  }
+
+  const schedulers = splitList(options.schedulers)
+    ? pickKnown(splitList(options.schedulers), names, 'scheduler')
+    : names.filter(n => settings.selectedSchedulers[n]);
+  const metricKeys = splitList(options.metrics)
+    ? pickKnown(splitList(options.metrics), metrics.map(m => m.key), 'metric')
+    : metrics.map(m => m.key).filter(k => settings.visibleMetrics[k]);
+
+  const ranking = { ...settings.ranking };
+  if (options.strategy) {
+    pickKnown([options.strategy], Object.keys(RANKING_STRATEGIES), 'ranking strategy');
+    ranking.strategy = options.strategy;
+  }
+  if (options.primary) ranking.primary = pickKnown([options.primary], metrics.map(m => m.key), 'metric')[0];
+  if (options.secondary) ranking.secondary = pickKnown([options.secondary], metrics.map(m => m.key), 'metric')[0];
+
+  const mode = options.normalize ? pickKnown([options.normalize], Object.keys(NORMALIZATION_MODES), 'normalization')[0] : 'absolute';
+  const baseline = options.baseline ? pickKnown([options.baseline], names, 'scheduler')[0] : null;
+  if (NORMALIZATION_MODES[mode].needsBaseline && !baseline) {
+    throw new UsageError(`--normalize ${mode} needs a --baseline scheduler`);
+  }
+
+  if (schedulers.length === 0) throw new UsageError('No schedulers selected');
+  if (metricKeys.length === 0) throw new UsageError('No metrics selected');
+
+  return {
+    schedulers,
+    colors: settings.schedulerColors,
+    aliases: settings.schedulerAliases || {},
+    shownMetrics: metrics.filter(m => metricKeys.includes(m.key)),
+    ranking,
+    normalization: { mode, baseline }
+  };
+};
+
+// Returns the process exit code: 0 on success, 1 when the input has parse
+// errors. Bad flags throw UsageError so the caller can print usage.
+export const runReport = async (input, options, { log = console.log, warn = console.error } = {}) => {
+  const formats = pickKnown(splitList(options.format) || ['md'], Object.keys(REPORT_FORMATS), 'format');
+  const numberFormat = resolveNumberFormat(options);
+
+  let text;
+  try {
+    text = await readFile(input, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${input}: ${error.message}`);
+  }
+
+  const fileName = path.basename(input);
+  const parsed = parseText(text, fileName);
+  parsed.diagnostics.forEach(d => warn(formatDiagnostic(fileName, d)));
+
+  if (hasErrors(parsed.diagnostics)) {
+    warn(`${fileName}: not writing any output because the file has parse errors`);
+    return 1;
+  }
+  if (Object.keys(parsed.trials).length === 0) {
+    warn(`${fileName}: no trial runs found`);
+    return 1;
+  }
+
+  const metrics = applyNumberFormat(buildMetricRegistry(parsed.columns), numberFormat);
+  const names = schedulerNames(parsed.trials);
+  const settings = await resolveSettings(options, names, metrics);
+  const { ranking } = settings;
+
+  // Reports and charts show the preset's display aliases, and the values in
+  // the chosen normalisation; ranking still reads the absolute values
+  const normalization = {
+    ...settings.normalization,
+    baseline: settings.normalization.baseline && displayName(settings.aliases, settings.normalization.baseline)
+  };
+  const trialsData = normalizeTrials(aliasTrials(parsed.trials, settings.aliases), metrics, normalization);
+  const schedulers = settings.schedulers.map(s => displayName(settings.aliases, s));
+  const colors = aliasKeys(settings.colors, settings.aliases);
+  const styles = aliasKeys(schedulerStyles(names), settings.aliases);
+  const shownMetrics = normalizeMetrics(settings.shownMetrics, normalization);
+
+  const baseName = datasetNameFromFile(fileName);
+  const outDir = options.out || '.';
+  await mkdir(outDir, { recursive: true });
+
+  const report = buildReport({
+    datasetName: baseName,
+    trialsData,
+    trialIds: sortedTrialIds(trialsData),
+    rankedSchedulers: schedulers,
+    schedulers,
+    metrics: shownMetrics,
+    ranking,
+    rankingMetrics: metrics,
+    locale: numberFormat.locale
+  });
+
+  for (const format of formats) {
+    const { extension, render } = REPORT_FORMATS[format];
+    const target = path.join(outDir, `${baseName}_report.${extension}`);
+    await writeFile(target, render(report));
+    log(`wrote ${target}`);
+  }
+
+  if (!options.skipCharts) {
+    const chartDir = path.join(outDir, 'charts');
+    await mkdir(chartDir, { recursive: true });
+    const charts = buildChartSet({ trialsData, schedulers, colors, styles, ranking, metrics, shownMetrics });
+    for (const chart of charts) {
+      await writeFile(path.join(chartDir, `${chart.name}.svg`), chart.svg);
+    }
+    log(`wrote ${charts.length} charts to ${chartDir}`);
+  }
+
+  return 0;
+};
@@ -0,0 +1,209 @@
+// `scheduler-viz serve`: a companion server for watching an experiment while
+// it runs. It serves the result files in one directory through the API
+// described in ../lib/liveResults.js and pushes the file list to every
+// connected app as files are added, removed or appended to.
+//
+// Only files directly in the directory with a results extension are served,
+// by default only to this machine, and only to pages from the app's own
+// origins: any other page open in the browser could otherwise read them.
+
+import http from 'node:http';
+import { watch } from 'node:fs';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { UsageError } from './report.js';
+import { isResultsFile, DEFAULT_PORT, RUNS_PATH, EVENTS_PATH, RUNS_EVENT } from '../lib/liveResults.js';
+
+export const DEFAULT_HOST = '127.0.0.1';
+// The Vite dev server and `vite preview`
+export const DEFAULT_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173', 'http://localhost:4173', 'http://127.0.0.1:4173'];
+
+// A simulator appending a trial fires many change events in a row
+const WATCH_DEBOUNCE_MS = 200;
+// Comment lines that stop proxies and browsers timing out an idle stream
+const KEEPALIVE_MS = 15000;
+// How long a dropped browser waits before reconnecting
+const RETRY_MS = 2000;
+
+export const listRuns = async (directory) => {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const runs = await Promise.all(entries
+    .filter(entry => entry.isFile() && isResultsFile(entry.name))
+    .map(async (entry) => {
+      try {
+        const info = await stat(path.join(directory, entry.name));
+        return { name: entry.name, size: info.size, modified: info.mtimeMs };
+      } catch (error) {
+        // Deleted between readdir and stat
+        return null;
+      }
+    }));
+  return runs.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+// The app runs on the Vite server's port, not this one, so allowed origins
+// get a CORS header naming them; requests without an Origin (curl, the
+// command line) get none and need none
+const headersFor = (req, extra) => {
+  const { origin } = req.headers;
+  return {
+    ...(origin ? { 'Access-Control-Allow-Origin': origin } : {}),
+    Vary: 'Origin',
+    'Cache-Control': 'no-store',
+    ...extra
+  };
+};
+
+const sendJson = (req, res, status, body) => {
+  res.writeHead(status, headersFor(req, { 'Content-Type': 'application/json; charset=utf-8' }));
+  res.end(JSON.stringify(body));
+};
+
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Starts serving `directory`; resolves once listening with the server's URL
+// and a close() that stops watching and ends every open event stream.
+// `origins` are the pages allowed to read the runs.
+export const startServer = async (directory, {
+  port = DEFAULT_PORT,
+  host = DEFAULT_HOST,
+  origins = DEFAULT_ORIGINS,
+  debounce = WATCH_DEBOUNCE_MS
+} = {}) => {
+  const root = path.resolve(directory);
+  const clients = new Set();
+  let listing = { directory: root, runs: await listRuns(root) };
+
+  const handleRequest = async (req, res) => {
+    const { origin } = req.headers;
+    if (origin && !origins.includes(origin)) {
+      res.writeHead(403, { Vary: 'Origin', 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ error: `Origin ${origin} is not allowed` }));
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(req, res, 405, { error: 'Only GET is supported' });
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === RUNS_PATH) {
+      sendJson(req, res, 200, listing);
+      return;
+    }
+
+    if (pathname.startsWith(`${RUNS_PATH}/`)) {
+      const name = decodeURIComponent(pathname.slice(RUNS_PATH.length + 1));
+      // Anything not in the listing, including paths outside the directory
+      if (!listing.runs.some(r => r.name === name)) {
+        sendJson(req, res, 404, { error: `No run named "${name}"` });
+        return;
+      }
+      const text = await readFile(path.join(root, name), 'utf8');
+      res.writeHead(200, headersFor(req, { 'Content-Type': 'text/plain; charset=utf-8' }));
+      res.end(text);
+      return;
+    }
+
+    if (pathname === EVENTS_PATH) {
+      res.writeHead(200, headersFor(req, { 'Content-Type': 'text/event-stream', Connection: 'keep-alive' }));
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      sendEvent(res, RUNS_EVENT, listing);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    sendJson(req, res, 404, { error: `Not found: ${pathname}` });
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      if (res.headersSent) res.destroy(error);
+      else sendJson(req, res, 500, { error: error.message });
+    });
+  });
+
+  const refresh = async () => {
+    let runs;
+    try {
+      runs = await listRuns(root);
+    } catch (error) {
+      console.error(`Cannot list ${root}: ${error.message}`);
+      return;
+    }
+    if (JSON.stringify(runs) === JSON.stringify(listing.runs)) return;
+    listing = { directory: root, runs };
+    clients.forEach(res => sendEvent(res, RUNS_EVENT, listing));
+  };
+
+  let pending = null;
+  const watcher = watch(root, () => {
+    clearTimeout(pending);
+    pending = setTimeout(refresh, debounce);
+  });
+  // The directory was removed or the platform watcher failed: the listing
+  // can no longer follow it, so the apps are told by their streams ending
+  watcher.on('error', error => {
+    console.error(`Stopped watching ${root}: ${error.message}`);
+    clearTimeout(pending);
+    clients.forEach(res => res.end());
+    clients.clear();
+  });
+  const keepalive = setInterval(() => clients.forEach(res => res.write(': keepalive\n\n')), KEEPALIVE_MS);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  const close = () => new Promise(resolve => {
+    watcher.close();
+    clearTimeout(pending);
+    clearInterval(keepalive);
+    clients.forEach(res => res.end());
+    server.close(() => resolve());
+  });
+
+  return { url: `http://${urlHost}:${address.port}`, close };
+};
+
+const parsePort = (value) => {
+  if (value === undefined) return DEFAULT_PORT;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Invalid port "${value}"`);
+  return port;
+};
+
+// Serves until interrupted, then resolves with exit code 0
+export const runServe = async (directory, options, { log = console.log } = {}) => {
+  const port = parsePort(options.port);
+
+  let info;
+  try {
+    info = await stat(directory);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${directory}: ${error.message}`);
+  }
+  if (!info.isDirectory()) throw new UsageError(`${directory} is not a directory`);
+
+  let running;
+  try {
+    running = await startServer(directory, {
+      port,
+      host: options.host || DEFAULT_HOST,
+      origins: options.origin ? options.origin.split(',').map(o => o.trim()).filter(Boolean) : DEFAULT_ORIGINS
+    });
+  } catch (error) {
+    throw new UsageError(`Cannot listen on port ${port}: ${error.message}`);
+  }
+  log(`Serving results from ${path.resolve(directory)} at ${running.url}`);
+  log('Connect from the app with Live Results; press Ctrl+C to stop.');
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await running.close();
+  return 0;
+};
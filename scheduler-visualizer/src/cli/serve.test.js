@@ -0,0 +1,85 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, appendFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { startServer } from './serve.js';
+import { readFixture } from '../test/fixtures.js';
+
+// Reads server-sent events from a fetch response body, one at a time
+const eventReader = (response) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return async () => {
+    for (;;) {
+      const match = buffer.match(/event: (\w+)\ndata: (.*)\n\n/);
+      if (match) {
+        buffer = buffer.slice(match.index + match[0].length);
+        return { event: match[1], data: JSON.parse(match[2]) };
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Event stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+};
+
+describe('startServer', () => {
+  let directory;
+  let server;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'scheduler-viz-'));
+    await writeFile(path.join(directory, 'sweep.txt'), readFixture('sample_trials.txt'));
+    await writeFile(path.join(directory, 'notes.md'), 'not a results file');
+    server = await startServer(directory, { port: 0, debounce: 20 });
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('lists and serves the results files only', async () => {
+    const listing = await (await fetch(`${server.url}/api/runs`)).json();
+    expect(listing.runs.map(r => r.name)).toEqual(['sweep.txt']);
+
+    const response = await fetch(`${server.url}/api/runs/sweep.txt`);
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+    expect(await response.text()).toBe(readFixture('sample_trials.txt'));
+
+    expect((await fetch(`${server.url}/api/runs/notes.md`)).status).toBe(404);
+    expect((await fetch(`${server.url}/api/runs/..%2F${path.basename(directory)}%2Fsweep.txt`)).status).toBe(404);
+    expect((await fetch(`${server.url}/api/runs`, { method: 'POST' })).status).toBe(405);
+  });
+
+  it('lets only the app origins read the runs', async () => {
+    const app = await fetch(`${server.url}/api/runs`, { headers: { Origin: 'http://localhost:5173' } });
+    expect(app.headers.get('access-control-allow-origin')).toBe('http://localhost:5173');
+
+    const other = await fetch(`${server.url}/api/runs/sweep.txt`, { headers: { Origin: 'https://example.com' } });
+    expect(other.status).toBe(403);
+    expect(other.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  it('pushes the listing again when a run grows or appears', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/events`, { signal: controller.signal });
+    const nextEvent = eventReader(response);
+
+    const first = await nextEvent();
+    expect(first.event).toBe('runs');
+    const { size } = first.data.runs[0];
+
+    await appendFile(path.join(directory, 'sweep.txt'), 'TRIAL RUN 11 - DEADLINE == 90 SECURITY UTILITY == 0.5\n');
+    const grown = await nextEvent();
+    expect(grown.data.runs[0].size).toBeGreaterThan(size);
+
+    await writeFile(path.join(directory, 'second.csv'), 'trial,scheduler,makespan,utility\n');
+    const added = await nextEvent();
+    expect(added.data.runs.map(r => r.name)).toEqual(['second.csv', 'sweep.txt']);
+
+    controller.abort();
+  });
+});
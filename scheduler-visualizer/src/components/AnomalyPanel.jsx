@@ -0,0 +1,121 @@
+import React from 'react';
+import { ShieldAlert, ShieldCheck, AlertTriangle } from 'lucide-react';
+import VirtualList from './VirtualList.jsx';
+import { ANOMALY_KINDS, OUTLIER_METHODS, countByKind, worstSeverity } from '../lib/anomalies.js';
+
+const SEVERITY_COLORS = { error: '#DC2626', warning: '#D97706' };
+
+const KIND_STYLES = {
+  on: 'bg-blue-600 text-white border-blue-600',
+  off: 'bg-white text-slate-500 border-slate-300 hover:bg-slate-100'
+};
+
+const describeFindings = (findings) => findings.map(f => f.message).join('\n');
+
+// Warning icon for a table row, with the findings as its tooltip
+export const AnomalyBadge = ({ findings }) => (
+  findings.length > 0 ? (
+    <span
+      className="inline-flex items-center"
+      title={describeFindings(findings)}
+      aria-label={`${findings.length} data ${findings.length === 1 ? 'finding' : 'findings'}`}
+    >
+      <AlertTriangle size={14} color={SEVERITY_COLORS[worstSeverity(findings)]} />
+    </span>
+  ) : null
+);
+
+// Marker for a flagged point on a trend line
+export const TrendAnomalyMarker = ({ cx, cy, findings }) => (
+  <g>
+    <circle cx={cx} cy={cy} r={7} fill={SEVERITY_COLORS[worstSeverity(findings)]} stroke="#FFFFFF" strokeWidth={1.5} />
+    <text x={cx} y={cy + 3.5} fontSize="10" fontWeight="bold" textAnchor="middle" fill="#FFFFFF">!</text>
+    <title>{describeFindings(findings)}</title>
+  </g>
+);
+
+// Findings of the data checks for the schedulers being shown, filterable by
+// kind, with the option to leave the flagged trials out of the analysis.
+// Clicking a finding opens its trial.
+const AnomalyPanel = ({ findings, settings, onSettingsChange, flaggedCount, trialCount, onSelectTrial }) => {
+  const counts = countByKind(findings);
+  const shown = findings.filter(f => settings.kinds[f.kind]);
+
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+          {shown.length > 0 ? <ShieldAlert className="text-amber-600" /> : <ShieldCheck className="text-green-600" />}
+          Data Checks ({shown.length} {shown.length === 1 ? 'finding' : 'findings'})
+        </h2>
+        <select
+          value={settings.method}
+          onChange={(e) => update({ method: e.target.value })}
+          className="px-3 py-1 border border-slate-300 rounded-lg text-sm"
+          title="How outliers are detected across each scheduler's trials"
+        >
+          {Object.entries(OUTLIER_METHODS).map(([key, m]) => (
+            <option key={key} value={key}>{m.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {Object.entries(ANOMALY_KINDS).map(([kind, label]) => (
+          <button
+            key={kind}
+            onClick={() => update({ kinds: { ...settings.kinds, [kind]: !settings.kinds[kind] } })}
+            className={`px-3 py-1 rounded-full border text-sm ${KIND_STYLES[settings.kinds[kind] ? 'on' : 'off']}`}
+            aria-pressed={settings.kinds[kind]}
+          >
+            {label} ({counts[kind]})
+          </button>
+        ))}
+        <label className="flex items-center gap-2 ml-2 text-sm text-slate-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.exclude}
+            onChange={() => update({ exclude: !settings.exclude })}
+            className="w-4 h-4"
+          />
+          Exclude flagged trials from the analysis ({flaggedCount} of {trialCount})
+        </label>
+      </div>
+
+      {settings.exclude && flaggedCount > 0 && (
+        <p className="text-sm text-slate-500 mb-3">
+          Trends, rank evolution, sensitivity, statistics and reports leave out the {flaggedCount} flagged
+          {flaggedCount === 1 ? ' trial' : ' trials'}; the trial comparison still shows every trial.
+        </p>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-slate-600">No findings for the selected checks and schedulers.</p>
+      ) : (
+        <VirtualList
+          items={shown}
+          rowHeight={28}
+          maxHeight={224}
+          className="text-sm border border-slate-200 rounded"
+          renderItem={(f) => (
+            <button
+              onClick={() => onSelectTrial(f.trial)}
+              className="w-full h-full flex items-center gap-3 px-3 text-left hover:bg-slate-50"
+              title="Show this trial"
+            >
+              <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: SEVERITY_COLORS[f.severity] }} />
+              <span className="w-20 shrink-0 text-slate-500">Trial {f.trial}</span>
+              <span className="w-28 shrink-0 text-slate-500 truncate">{ANOMALY_KINDS[f.kind]}</span>
+              {f.scheduler !== null && <span className="w-28 shrink-0 font-semibold truncate">{f.scheduler}</span>}
+              <span className="truncate text-slate-700">{f.message}</span>
+            </button>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AnomalyPanel;
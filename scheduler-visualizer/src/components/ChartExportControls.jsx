@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { chartsToZip, chartsToPdf, downloadBlob } from '../charts/exporters.js';
+
+const FORMATS = {
+  svg: 'SVG (ZIP)',
+  png: 'PNG (ZIP)',
+  pdf: 'PDF (multi-page)'
+};
+
+const ChartExportControls = ({ buildCharts, baseName }) => {
+  const [format, setFormat] = useState('svg');
+  const [dpi, setDpi] = useState(300);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setStatus('Rendering charts...');
+    try {
+      const charts = buildCharts();
+      if (charts.length === 0) {
+        setStatus('Nothing to export: select at least one scheduler and metric.');
+        return;
+      }
+
+      const onProgress = (done, total) => setStatus(`Exporting chart ${done} of ${total}...`);
+      if (format === 'pdf') {
+        downloadBlob(await chartsToPdf(charts, dpi, onProgress), `${baseName}_charts.pdf`);
+      } else {
+        downloadBlob(await chartsToZip(charts, format, dpi, onProgress), `${baseName}_charts_${format}.zip`);
+      }
+      setStatus(`Exported ${charts.length} charts.`);
+    } catch (error) {
+      console.error('Error exporting charts:', error);
+      setStatus(`Export failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+      >
+        {Object.entries(FORMATS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {format !== 'svg' && (
+        <label className="flex items-center gap-1 text-sm text-slate-700">
+          DPI
+          <input
+            type="number"
+            min="72"
+            max="1200"
+            step="1"
+            value={dpi}
+            onChange={(e) => setDpi(Math.min(1200, Math.max(72, parseInt(e.target.value, 10) || 72)))}
+            className="w-20 px-2 py-2 border border-slate-300 rounded-lg"
+          />
+        </label>
+      )}
+      <button
+        onClick={handleExport}
+        disabled={busy}
+        className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition disabled:opacity-50"
+      >
+        <Download size={20} />
+        Export Charts
+      </button>
+      {status && <span className="text-sm text-slate-600">{status}</span>}
+    </div>
+  );
+};
+
+export default ChartExportControls;
@@ -0,0 +1,59 @@
+import React, { useId, useState } from 'react';
+import { Table2 } from 'lucide-react';
+
+const cell = 'border border-slate-300 px-3 py-1';
+
+// A chart with what a screen reader needs in place of the picture: a name,
+// a description of its main takeaway, and the plotted values as a table
+// that can be shown under it. `getTable` returns { columns, rows } of text
+// and only runs while the table is open; the first column labels each row.
+const ChartFigure = ({ label, description, getTable, children }) => {
+  const [showTable, setShowTable] = useState(false);
+  const id = useId();
+  const table = showTable && getTable ? getTable() : null;
+
+  return (
+    <figure aria-label={label} aria-describedby={`${id}-description`}>
+      <p id={`${id}-description`} className="sr-only">{description}</p>
+      {children}
+      {getTable && (
+        <>
+          <button
+            type="button"
+            onClick={() => setShowTable(!showTable)}
+            aria-expanded={showTable}
+            aria-controls={`${id}-table`}
+            className="mt-2 flex items-center gap-1 text-sm text-blue-700 hover:underline"
+          >
+            <Table2 size={14} />
+            {showTable ? 'Hide data table' : 'Show data table'}
+          </button>
+          <div id={`${id}-table`} className="mt-2 max-h-80 overflow-auto">
+            {table && (
+              <table className="w-full border-collapse text-sm" aria-label={`${label} (data)`}>
+                <thead className="sticky top-0 bg-slate-100">
+                  <tr>
+                    {table.columns.map((column, idx) => (
+                      <th key={idx} scope="col" className={`${cell} ${idx === 0 ? 'text-left' : 'text-right'}`}>{column}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.rows.map((row, rowIdx) => (
+                    <tr key={rowIdx}>
+                      {row.map((value, idx) => (idx === 0
+                        ? <th key={idx} scope="row" className={`${cell} text-left font-normal`}>{value}</th>
+                        : <td key={idx} className={`${cell} text-right`}>{value}</td>))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </figure>
+  );
+};
+
+export default ChartFigure;
@@ -0,0 +1,420 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  LayoutDashboard,
+  Plus,
+  Save,
+  Trash2,
+  RotateCcw,
+  Presentation,
+  GripVertical,
+  ChevronUp,
+  ChevronDown,
+  ChevronLeft,
+  ChevronRight,
+  Maximize2,
+  Minimize2,
+  SlidersHorizontal,
+  X
+} from 'lucide-react';
+import {
+  PANEL_TYPES,
+  PANEL_HEIGHTS,
+  DEFAULT_LAYOUT,
+  addPanel,
+  removePanel,
+  updatePanel,
+  movePanel,
+  panelMetrics,
+  panelSchedulers,
+  sanitizeLayout,
+  describePanel
+} from '../lib/dashboard.js';
+import { listLayouts, saveLayout, deleteLayout } from '../lib/storage.js';
+import { displayName } from '../lib/schedulers.js';
+import { PANEL_BODIES } from './DashboardPanels.jsx';
+
+// Carries a panel id between drag and drop; files use their own type
+const PANEL_DRAG_TYPE = 'application/x-scheduler-panel';
+// Room the presentation header and padding take from the screen height
+const PRESENTATION_CHROME = 180;
+
+const toggleIn = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// One filter: "same as settings" (null) or an explicit list of keys
+const FilterGroup = ({ title, value, options, onChange }) => (
+  <fieldset className="min-w-[12rem]">
+    <legend className="font-semibold text-slate-700 mb-1">{title}</legend>
+    <label className="flex items-center gap-2 mb-1">
+      <input
+        type="checkbox"
+        checked={value === null}
+        onChange={() => onChange(value === null ? options.map(o => o.key) : null)}
+        className="w-4 h-4"
+      />
+      Same as settings
+    </label>
+    {value !== null && (
+      <div className="max-h-40 overflow-y-auto pl-2 space-y-1">
+        {options.map(o => (
+          <label key={o.key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={value.includes(o.key)}
+              onChange={() => onChange(toggleIn(value, o.key))}
+              className="w-4 h-4"
+            />
+            {o.label}
+          </label>
+        ))}
+      </div>
+    )}
+  </fieldset>
+);
+
+const LayoutManager = ({ layout, onLoad }) => {
+  const [layouts, setLayouts] = useState(listLayouts);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setLayouts(saveLayout(trimmed, layout));
+    setSelected(trimmed);
+    setName('');
+  };
+
+  const handleLoad = (layoutName) => {
+    setSelected(layoutName);
+    const saved = layouts.find(l => l.name === layoutName);
+    if (saved) onLoad(sanitizeLayout(saved.panels));
+  };
+
+  const handleDelete = () => {
+    setLayouts(deleteLayout(selected));
+    setSelected('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={selected}
+        onChange={(e) => handleLoad(e.target.value)}
+        disabled={layouts.length === 0}
+        className="px-3 py-2 border border-slate-300 rounded-lg text-sm disabled:opacity-50"
+        aria-label="Saved layouts"
+      >
+        <option value="" disabled>{layouts.length === 0 ? 'No saved layouts' : 'Load a layout…'}</option>
+        {layouts.map(l => (
+          <option key={l.name} value={l.name}>{l.name}</option>
+        ))}
+      </select>
+      {selected && (
+        <button onClick={handleDelete} className="p-2 text-slate-500 hover:text-red-600" title={`Delete layout "${selected}"`}>
+          <Trash2 size={16} />
+        </button>
+      )}
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+        placeholder="Layout name"
+        className="px-3 py-2 border border-slate-300 rounded-lg text-sm w-36"
+      />
+      <button
+        onClick={handleSave}
+        disabled={!name.trim()}
+        className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition disabled:opacity-50"
+      >
+        <Save size={16} />
+        Save Layout
+      </button>
+    </div>
+  );
+};
+
+const iconButton = 'p-1 rounded text-slate-500 hover:text-slate-800 hover:bg-slate-100 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// A panel's title bar: drag handle, name, and its size, filter, order and
+// remove controls
+const PanelHeader = ({ panel, title, index, count, filtering, onToggleFilters, onChange, onMove, onRemove, onDragStart }) => (
+  <div className="flex items-center gap-2 mb-4">
+    <span
+      draggable
+      onDragStart={onDragStart}
+      className="cursor-grab text-slate-400 hover:text-slate-600"
+      title="Drag to reorder"
+    >
+      <GripVertical size={18} />
+    </span>
+    <h2 className="text-xl font-bold text-slate-800 flex-1 truncate">{title}</h2>
+    <select
+      value={panel.height}
+      onChange={(e) => onChange({ height: e.target.value })}
+      className="px-2 py-1 border border-slate-300 rounded text-sm"
+      aria-label="Panel height"
+    >
+      {Object.entries(PANEL_HEIGHTS).map(([key, h]) => (
+        <option key={key} value={key}>{h.label}</option>
+      ))}
+    </select>
+    <button
+      onClick={() => onChange({ width: panel.width === 'full' ? 'half' : 'full' })}
+      className={`${iconButton} hidden lg:block`}
+      title={panel.width === 'full' ? 'Half width' : 'Full width'}
+    >
+      {panel.width === 'full' ? <Minimize2 size={18} /> : <Maximize2 size={18} />}
+    </button>
+    <button onClick={onToggleFilters} className={iconButton} title="Panel filters" aria-pressed={filtering}>
+      <SlidersHorizontal size={18} />
+    </button>
+    <button onClick={() => onMove(index - 1)} disabled={index === 0} className={iconButton} title="Move earlier">
+      <ChevronUp size={18} />
+    </button>
+    <button onClick={() => onMove(index + 1)} disabled={index === count - 1} className={iconButton} title="Move later">
+      <ChevronDown size={18} />
+    </button>
+    <button onClick={onRemove} className={`${iconButton} hover:text-red-600`} title="Remove panel">
+      <X size={18} />
+    </button>
+  </div>
+);
+
+// One panel at a time over the whole screen, stepped through with the arrow
+// keys; Escape leaves
+const PresentationMode = ({ layout, renderBody, titleOf, onClose }) => {
+  const [index, setIndex] = useState(0);
+  const [height, setHeight] = useState(() => Math.max(PANEL_HEIGHTS.small.px, window.innerHeight - PRESENTATION_CHROME));
+  const last = layout.length - 1;
+  const current = Math.min(index, last);
+  // The listeners outlive renders, so they reach the current handler via a ref
+  const close = useRef(onClose);
+  close.current = onClose;
+
+  useEffect(() => {
+    const onKey = (event) => {
+      if (event.key === 'Escape') close.current();
+      else if (['ArrowRight', 'PageDown', ' '].includes(event.key)) setIndex(i => Math.min(i + 1, last));
+      else if (['ArrowLeft', 'PageUp'].includes(event.key)) setIndex(i => Math.max(i - 1, 0));
+      else return;
+      // The trial navigator listens on the window too; the slides must keep
+      // showing the trial that was picked
+      event.preventDefault();
+      event.stopImmediatePropagation();
+    };
+    const onResize = () => setHeight(Math.max(PANEL_HEIGHTS.small.px, window.innerHeight - PRESENTATION_CHROME));
+    window.addEventListener('keydown', onKey, true);
+    window.addEventListener('resize', onResize);
+    return () => {
+      window.removeEventListener('keydown', onKey, true);
+      window.removeEventListener('resize', onResize);
+    };
+  }, [last]);
+
+  // Browser full screen where allowed; leaving it (Esc) also ends the show
+  useEffect(() => {
+    const root = document.documentElement;
+    if (root.requestFullscreen) root.requestFullscreen().catch(() => {});
+    const onChange = () => { if (!document.fullscreenElement) close.current(); };
+    document.addEventListener('fullscreenchange', onChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', onChange);
+      if (document.fullscreenElement && document.exitFullscreen) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  const panel = layout[current];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col" role="dialog" aria-modal="true" aria-label="Presentation">
+      <div className="flex items-center gap-3 px-8 py-4 border-b border-slate-200">
+        <h2 className="text-2xl font-bold text-slate-800 flex-1 truncate">{titleOf(panel)}</h2>
+        <span className="text-sm text-slate-500">{current + 1} / {layout.length}</span>
+        <button onClick={() => setIndex(current - 1)} disabled={current === 0} className={iconButton} title="Previous panel">
+          <ChevronLeft size={24} />
+        </button>
+        <button onClick={() => setIndex(current + 1)} disabled={current === last} className={iconButton} title="Next panel">
+          <ChevronRight size={24} />
+        </button>
+        <button onClick={onClose} className={iconButton} title="Leave presentation (Esc)">
+          <X size={24} />
+        </button>
+      </div>
+      <div className="flex-1 overflow-auto px-8 py-6">
+        {renderBody({ ...panel, width: 'full' }, height)}
+      </div>
+    </div>
+  );
+};
+
+// The configurable part of the page: an ordered grid of chart and table
+// panels, each with its own size and filters. `view` is everything the
+// panels show (see DashboardPanels.jsx); `layout` is saved by the caller.
+const Dashboard = ({ layout, onLayoutChange, view, trialLabel }) => {
+  const [newType, setNewType] = useState('bar');
+  const [filtering, setFiltering] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const [presenting, setPresenting] = useState(false);
+
+  const change = (id, changes) => onLayoutChange(updatePanel(layout, id, changes));
+
+  // Each panel's metrics and schedulers after its filters, kept stable
+  // between renders so the panels' own memos hold
+  const resolved = useMemo(() => Object.fromEntries(layout.map(panel => [panel.id, {
+    metrics: panelMetrics(panel, view.valueMetrics, view.shownMetrics),
+    schedulers: panelSchedulers(panel, view.allSchedulers, view.selectedSchedulers).map(s => displayName(view.aliases, s))
+  }])), [layout, view.valueMetrics, view.shownMetrics, view.allSchedulers, view.selectedSchedulers, view.aliases]);
+
+  const titleOf = (panel) => {
+    const title = describePanel(panel);
+    return ['bar', 'table', 'scatter'].includes(panel.type) && trialLabel ? `${title}: ${trialLabel}` : title;
+  };
+
+  const renderBody = (panel, height) => {
+    const Body = PANEL_BODIES[panel.type];
+    const { metrics, schedulers } = resolved[panel.id];
+    if (panel.type !== 'scatter' && metrics.length === 0) return <p className="text-slate-600">No metrics selected for this panel.</p>;
+    if (schedulers.length === 0) return <p className="text-slate-600">No schedulers selected for this panel.</p>;
+    return (
+      <Body
+        panel={panel}
+        metrics={metrics}
+        schedulers={schedulers}
+        height={height}
+        view={view}
+        onChange={(changes) => change(panel.id, changes)}
+      />
+    );
+  };
+
+  const handleDrop = (event, index) => {
+    const id = event.dataTransfer.getData(PANEL_DRAG_TYPE);
+    setDragOver(null);
+    if (!id) return;
+    event.preventDefault();
+    onLayoutChange(movePanel(layout, id, index));
+  };
+
+  const acceptsPanel = (event) => Array.from(event.dataTransfer.types || []).includes(PANEL_DRAG_TYPE);
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+            <LayoutDashboard className="text-blue-600" />
+            Dashboard ({layout.length} {layout.length === 1 ? 'panel' : 'panels'})
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={newType}
+              onChange={(e) => setNewType(e.target.value)}
+              className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+              aria-label="Panel type"
+              title={PANEL_TYPES[newType].description}
+            >
+              {Object.entries(PANEL_TYPES).map(([type, t]) => (
+                <option key={type} value={type}>{t.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onLayoutChange(addPanel(layout, newType))}
+              className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition"
+            >
+              <Plus size={16} />
+              Add Panel
+            </button>
+            <button
+              onClick={() => onLayoutChange(DEFAULT_LAYOUT)}
+              className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg text-sm hover:bg-slate-100 transition"
+              title="Back to the bar charts, rankings table and trends"
+            >
+              <RotateCcw size={16} />
+              Reset
+            </button>
+            <button
+              onClick={() => setPresenting(true)}
+              disabled={layout.length === 0}
+              className="flex items-center gap-2 px-3 py-2 bg-slate-600 text-white rounded-lg text-sm hover:bg-slate-700 transition disabled:opacity-50"
+              title="Show the panels one at a time, full screen"
+            >
+              <Presentation size={16} />
+              Present
+            </button>
+          </div>
+        </div>
+        <div className="mt-3">
+          <LayoutManager layout={layout} onLoad={onLayoutChange} />
+        </div>
+      </div>
+
+      {layout.length === 0 && (
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6 text-slate-600">
+          The dashboard is empty. Add a panel, load a saved layout or reset to the default one.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        {layout.map((panel, index) => (
+          <section
+            key={panel.id}
+            aria-label={describePanel(panel)}
+            onDragOver={(e) => { if (acceptsPanel(e)) { e.preventDefault(); setDragOver(panel.id); } }}
+            onDragLeave={() => setDragOver(null)}
+            onDrop={(e) => handleDrop(e, index)}
+            className={`bg-white rounded-lg shadow-lg p-6 min-w-0 ${panel.width === 'full' ? 'lg:col-span-2' : ''} ${dragOver === panel.id ? 'ring-2 ring-blue-400' : ''}`}
+          >
+            <PanelHeader
+              panel={panel}
+              title={titleOf(panel)}
+              index={index}
+              count={layout.length}
+              filtering={filtering === panel.id}
+              onToggleFilters={() => setFiltering(filtering === panel.id ? null : panel.id)}
+              onChange={(changes) => change(panel.id, changes)}
+              onMove={(to) => onLayoutChange(movePanel(layout, panel.id, to))}
+              onRemove={() => onLayoutChange(removePanel(layout, panel.id))}
+              onDragStart={(e) => {
+                e.dataTransfer.setData(PANEL_DRAG_TYPE, panel.id);
+                e.dataTransfer.effectAllowed = 'move';
+              }}
+            />
+
+            {filtering === panel.id && (
+              <div className="flex flex-wrap gap-6 mb-4 p-3 bg-slate-50 rounded border border-slate-200 text-sm text-slate-700">
+                {panel.type !== 'scatter' && (
+                  <FilterGroup
+                    title="Metrics"
+                    value={panel.metrics}
+                    options={view.valueMetrics.map(m => ({ key: m.key, label: m.label }))}
+                    onChange={(metrics) => change(panel.id, { metrics })}
+                  />
+                )}
+                <FilterGroup
+                  title="Schedulers"
+                  value={panel.schedulers}
+                  options={view.allSchedulers.map(s => ({ key: s, label: displayName(view.aliases, s) }))}
+                  onChange={(schedulers) => change(panel.id, { schedulers })}
+                />
+              </div>
+            )}
+
+            {renderBody(panel, PANEL_HEIGHTS[panel.height].px)}
+          </section>
+        ))}
+      </div>
+
+      {presenting && layout.length > 0 && (
+        <PresentationMode
+          layout={layout}
+          renderBody={renderBody}
+          titleOf={titleOf}
+          onClose={() => setPresenting(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,286 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, Cell } from 'recharts';
+import { formatMetric, metricTitle, directionHint } from '../lib/metrics.js';
+import { getTrendData, trendKey, downsampleTrend } from '../lib/trends.js';
+import { rankSchedulers, describeRanking, rankingDetailLabel } from '../lib/ranking.js';
+import { summariseTrials } from '../lib/statistics.js';
+import { schedulerFindings, pointFindings } from '../lib/anomalies.js';
+import { describeNormalization } from '../lib/normalization.js';
+import { formatNumber, formatValue } from '../lib/numberFormat.js';
+import { describeBars, describeTrend } from '../lib/chartSummaries.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import RankingsTable from './RankingsTable.jsx';
+import ParetoView from './ParetoView.jsx';
+import ChartFigure from './ChartFigure.jsx';
+import { TrendAnomalyMarker } from './AnomalyPanel.jsx';
+import { MarkerShape, MarkerLegend, SchedulerSwatch, SchedulerTick } from './SchedulerMarker.jsx';
+
+// Beyond this many trials the trend charts show averaged buckets of trials
+const MAX_TREND_POINTS = 300;
+// Beyond this many points the trend lines are drawn without dots
+const MAX_TREND_DOTS = 60;
+
+// Every panel body takes the panel, its metrics and schedulers (display
+// names) after its own filters, a chart height, and `view`: what the page is
+// showing, shared by all panels, including the schedulers' marker styles and
+// the number locale.
+
+const Empty = ({ children }) => <p className="text-slate-600">{children}</p>;
+
+// The shown trial's rows for these schedulers, ranked among themselves
+const useTrialRows = (view, schedulers) => useMemo(() => {
+  if (!view.trial) return [];
+  const shown = new Set(schedulers);
+  return rankSchedulers(view.trial.schedulers.filter(s => shown.has(s.name)), view.trial, view.ranking, view.metrics)
+    .map(s => ({ ...s, color: view.colors[s.name] }));
+}, [view.trial, view.ranking, view.metrics, view.colors, schedulers]);
+
+const noRowsMessage = (view) => (view.trial ? 'None of the selected schedulers ran in this trial.' : 'No trial is selected.');
+
+export const BarPanel = ({ panel, metrics, schedulers, height, view }) => {
+  const rows = useTrialRows(view, schedulers);
+  if (rows.length === 0) return <Empty>{noRowsMessage(view)}</Empty>;
+
+  return (
+    <div className={`grid grid-cols-1 gap-6 ${panel.width === 'full' && metrics.length > 1 ? 'lg:grid-cols-2' : ''}`}>
+      {metrics.map(metric => (
+        <div key={metric.key}>
+          <h3 className="text-lg font-semibold text-slate-700 mb-3">
+            {metricTitle(metric)} ({directionHint(metric)})
+          </h3>
+          <ChartFigure
+            label={`${metricTitle(metric)} in trial ${view.trialId}`}
+            description={describeBars(metric, rows, `in trial ${view.trialId}`)}
+            getTable={() => ({
+              columns: ['Scheduler', metricTitle(metric)],
+              rows: rows.map(r => [r.name, formatMetric(metric, r[metric.key])])
+            })}
+          >
+            <ResponsiveContainer width="100%" height={height}>
+              <BarChart data={rows} layout="vertical" margin={{ left: 150 }} accessibilityLayer>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={(v) => formatValue(v, view.locale)} />
+                <YAxis type="category" dataKey="name" width={140} tick={<SchedulerTick styles={view.styles} colors={view.colors} />} />
+                <Tooltip formatter={(value) => formatMetric(metric, value)} />
+                <Bar dataKey={metric.key} name={metric.label}>
+                  {rows.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartFigure>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const TablePanel = ({ metrics, schedulers, view }) => {
+  const rows = useTrialRows(view, schedulers);
+  if (rows.length === 0) return <Empty>{noRowsMessage(view)}</Empty>;
+
+  const findings = Object.fromEntries(rows.map(s => [s.name, schedulerFindings(view.anomalyIndex, view.trialId, s.name)]));
+  return (
+    <>
+      <RankingsTable
+        data={rows}
+        metrics={metrics}
+        styles={view.styles}
+        locale={view.locale}
+        ranking={view.ranking}
+        detailLabel={rankingDetailLabel(view.ranking)}
+        findings={findings}
+      />
+      <p className="text-sm text-slate-500 mt-2">
+        Ranking: {describeRanking(view.ranking, view.metrics)} | Values: {describeNormalization(view.normalization)}
+      </p>
+    </>
+  );
+};
+
+export const ScatterPanel = ({ panel, schedulers, height, view, onChange }) => {
+  const rows = useTrialRows(view, schedulers);
+  const axisSelect = (axis, label) => (
+    <label className="flex items-center gap-2 text-sm text-slate-700">
+      {label}
+      <select
+        value={panel[axis]}
+        onChange={(e) => onChange({ [axis]: e.target.value })}
+        className="px-2 py-1 border border-slate-300 rounded text-sm"
+      >
+        {view.valueMetrics.map(m => (
+          <option key={m.key} value={m.key}>{m.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-4 mb-3">
+        {axisSelect('x', 'X axis')}
+        {axisSelect('y', 'Y axis')}
+      </div>
+      {rows.length === 0 ? <Empty>{noRowsMessage(view)}</Empty> : (
+        <ParetoView
+          trial={view.trial}
+          data={rows}
+          metrics={view.valueMetrics}
+          styles={view.styles}
+          locale={view.locale}
+          axes={[panel.x, panel.y]}
+          height={height}
+          limits={view.limits}
+        />
+      )}
+    </>
+  );
+};
+
+export const TrendPanel = ({ metrics, schedulers, height, view }) => {
+  const { analysisTrials, analysisTrialIds, anomalyIndex, colors } = view;
+
+  const trendData = useMemo(
+    () => downsampleTrend(getTrendData(analysisTrials, schedulers, metrics.map(m => m.key)), MAX_TREND_POINTS),
+    [analysisTrials, schedulers, metrics]
+  );
+  const downsampled = trendData.length < analysisTrialIds.length;
+
+  // The trials behind a trend point, several when it is a downsampled bucket
+  const pointTrials = useMemo(() => {
+    const position = new Map(analysisTrialIds.map((trial, idx) => [trial, idx]));
+    return (row) => (row.trialCount > 1
+      ? analysisTrialIds.slice(position.get(row.trial), position.get(row.trialEnd) + 1)
+      : [row.trial]);
+  }, [analysisTrialIds]);
+
+  if (trendData.length === 0) return <Empty>No trials to show.</Empty>;
+
+  // Flagged points get a marker even when the line is drawn without dots
+  const renderDot = ({ key, cx, cy, stroke, payload }, scheduler, metricKey) => {
+    if (!Number.isFinite(cx) || !Number.isFinite(cy)) return <g key={key} />;
+    const findings = pointTrials(payload).flatMap(trial => pointFindings(anomalyIndex, trial, scheduler, metricKey));
+    if (findings.length > 0) return <TrendAnomalyMarker key={key} cx={cx} cy={cy} findings={findings} />;
+    if (trendData.length > MAX_TREND_DOTS) return <g key={key} />;
+    return <MarkerShape key={key} shape={styleFor(view.styles, scheduler).marker} cx={cx} cy={cy} fill="#FFFFFF" stroke={stroke} strokeWidth={2} />;
+  };
+
+  const pointLabel = (row) => (row.trialCount > 1 ? `Trials ${row.trial}-${row.trialEnd}` : `Trial ${row.trial}`);
+
+  return (
+    <>
+      {downsampled && (
+        <p className="text-sm text-slate-500 mb-4">
+          {analysisTrialIds.length} trials are shown as {trendData.length} points, each the mean of up to {trendData[0].trialCount} consecutive trials.
+        </p>
+      )}
+
+      <div className="space-y-8">
+        {metrics.map(metric => (
+          <div key={metric.key}>
+            <h3 className="text-lg font-semibold text-slate-700 mb-3">
+              {metric.label} Trends
+            </h3>
+            <ChartFigure
+              label={`${metric.label} trends`}
+              description={describeTrend(metric, trendData, schedulers, analysisTrialIds.length)}
+              getTable={() => ({
+                columns: ['Trial', ...schedulers],
+                rows: trendData.map(row => [pointLabel(row), ...schedulers.map(s => formatMetric(metric, row[trendKey(s, metric.key)]))])
+              })}
+            >
+              <ResponsiveContainer width="100%" height={height}>
+                <LineChart data={trendData} accessibilityLayer>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="trial" label={{ value: 'Trial Run', position: 'insideBottom', offset: -5 }} />
+                  <YAxis
+                    tickFormatter={(v) => formatValue(v, view.locale)}
+                    label={{ value: metricTitle(metric), angle: -90, position: 'insideLeft' }}
+                  />
+                  <Tooltip
+                    formatter={(value) => formatMetric(metric, value)}
+                    labelFormatter={(trial, payload) => {
+                      const row = payload && payload[0] && payload[0].payload;
+                      return row ? pointLabel(row) : `Trial ${trial}`;
+                    }}
+                  />
+                  <Legend content={<MarkerLegend styles={view.styles} />} />
+                  {schedulers.map(scheduler => (
+                    <Line
+                      key={scheduler}
+                      type="monotone"
+                      dataKey={trendKey(scheduler, metric.key)}
+                      name={scheduler}
+                      stroke={colors[scheduler]}
+                      strokeWidth={2}
+                      strokeDasharray={styleFor(view.styles, scheduler).dash}
+                      dot={(props) => renderDot(props, scheduler, metric.key)}
+                      isAnimationActive={!downsampled}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartFigure>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export const SummaryPanel = ({ metrics, schedulers, height, view }) => {
+  const summary = useMemo(
+    () => summariseTrials(view.analysisTrials, schedulers, view.ranking, view.metrics),
+    [view.analysisTrials, schedulers, view.ranking, view.metrics]
+  );
+  if (view.analysisTrialIds.length === 0) return <Empty>No trials to show.</Empty>;
+
+  const rows = [...summary.perScheduler].sort((a, b) => a.averageRank - b.averageRank);
+
+  return (
+    <div className="overflow-auto" style={{ maxHeight: height }}>
+      <table className="w-full border-collapse text-sm" aria-label="Summary across trials">
+        <thead className="sticky top-0 bg-slate-100">
+          <tr>
+            <th className="border border-slate-300 px-3 py-2 text-left">Scheduler</th>
+            <th className="border border-slate-300 px-3 py-2 text-right">Trials</th>
+            <th className="border border-slate-300 px-3 py-2 text-right">Average Rank</th>
+            <th className="border border-slate-300 px-3 py-2 text-right">Wins</th>
+            {metrics.map(m => (
+              <th key={m.key} className="border border-slate-300 px-3 py-2 text-right">Mean {metricTitle(m)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(s => (
+            <tr key={s.name} className="hover:bg-slate-50">
+              <td className="border border-slate-300 px-3 py-2">
+                <div className="flex items-center gap-2">
+                  <SchedulerSwatch color={view.colors[s.name]} shape={styleFor(view.styles, s.name).marker} />
+                  {s.name}
+                </div>
+              </td>
+              <td className="border border-slate-300 px-3 py-2 text-right">{s.trials}</td>
+              <td className="border border-slate-300 px-3 py-2 text-right">{formatNumber(s.averageRank, 2, view.locale)}</td>
+              <td className="border border-slate-300 px-3 py-2 text-right">{s.wins}</td>
+              {metrics.map(m => (
+                <td key={m.key} className="border border-slate-300 px-3 py-2 text-right">
+                  {formatMetric(m, s.stats[m.key] && s.stats[m.key].mean)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export const PANEL_BODIES = {
+  bar: BarPanel,
+  table: TablePanel,
+  scatter: ScatterPanel,
+  line: TrendPanel,
+  summary: SummaryPanel
+};
@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { GitCompare } from 'lucide-react';
+import { formatMetric, metricTitle } from '../lib/metrics.js';
+import { getOverlayData, overlayKey, diffDatasets } from '../lib/datasets.js';
+import { formatNumber, formatValue } from '../lib/numberFormat.js';
+import { DASH_PATTERNS, styleFor } from '../lib/schedulerStyles.js';
+import { countOf } from '../lib/chartSummaries.js';
+import ChartFigure from './ChartFigure.jsx';
+import { MarkerShape } from './SchedulerMarker.jsx';
+
+// Line style tells the datasets apart here, so schedulers keep only their
+// marker shapes
+export const datasetDash = (index) => DASH_PATTERNS[index % DASH_PATTERNS.length];
+
+const STATUS_CLASSES = {
+  improved: 'bg-green-50 text-green-800',
+  regressed: 'bg-red-100 text-red-800 font-semibold',
+  unchanged: 'text-slate-500'
+};
+
+const formatDelta = (metric, change, locale) => {
+  const sign = change.delta > 0 ? '+' : '';
+  const percent = change.percent === null ? '' : ` (${sign}${formatNumber(change.percent, 1, locale)}%)`;
+  return `${sign}${formatMetric(metric, change.delta)}${percent}`;
+};
+
+const OverlayView = ({ datasets, schedulers, metrics, schedulerColors, styles, locale }) => {
+  const series = datasets.flatMap((d, idx) => schedulers.map(scheduler => ({ dataset: d, idx, scheduler, name: `${scheduler} [${d.name}]` })));
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap gap-4 text-sm text-slate-600">
+        {datasets.map((d, idx) => (
+          <span key={d.id} className="flex items-center gap-2">
+            <svg width="40" height="10">
+              <line x1="0" x2="40" y1="5" y2="5" stroke="#334155" strokeWidth="2" strokeDasharray={datasetDash(idx)} />
+            </svg>
+            {d.name}
+          </span>
+        ))}
+      </div>
+
+      {metrics.map(metric => {
+        const data = getOverlayData(datasets, schedulers, metric.key);
+        return (
+          <div key={metric.key}>
+            <h3 className="text-lg font-semibold text-slate-700 mb-3">{metric.label} Across Datasets</h3>
+            <ChartFigure
+              label={`${metric.label} across datasets`}
+              description={`Line chart of ${metric.label} per trial for ${countOf(schedulers.length, 'scheduler')} in ${countOf(datasets.length, 'dataset')}. `
+                + 'The line style marks the dataset and the marker shape the scheduler.'}
+              getTable={() => ({
+                columns: ['Trial', ...series.map(l => l.name)],
+                rows: data.map(row => [row.trial, ...series.map(l => formatMetric(metric, row[overlayKey(l.dataset, l.scheduler, metric.key)]))])
+              })}
+            >
+              <ResponsiveContainer width="100%" height={400}>
+                <LineChart data={data} accessibilityLayer>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="trial" label={{ value: 'Trial Run', position: 'insideBottom', offset: -5 }} />
+                  <YAxis
+                    tickFormatter={(v) => formatValue(v, locale)}
+                    label={{ value: metricTitle(metric), angle: -90, position: 'insideLeft' }}
+                  />
+                  <Tooltip formatter={(value) => formatMetric(metric, value)} />
+                  <Legend />
+                  {series.map(({ dataset, idx, scheduler, name }) => (
+                    <Line
+                      key={overlayKey(dataset, scheduler, metric.key)}
+                      type="monotone"
+                      dataKey={overlayKey(dataset, scheduler, metric.key)}
+                      name={name}
+                      stroke={schedulerColors[scheduler]}
+                      strokeDasharray={datasetDash(idx)}
+                      strokeWidth={2}
+                      dot={({ key, cx, cy, stroke }) => (Number.isFinite(cx) && Number.isFinite(cy)
+                        ? <MarkerShape key={key} shape={styleFor(styles, scheduler).marker} cx={cx} cy={cy} r={3} fill="#FFFFFF" stroke={stroke} />
+                        : <g key={key} />)}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartFigure>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const DiffView = ({ datasets, schedulers, metrics, locale }) => {
+  const [baseId, setBaseId] = useState(datasets[0].id);
+  const [compareId, setCompareId] = useState(datasets[1].id);
+  const [regressionsOnly, setRegressionsOnly] = useState(false);
+
+  const base = datasets.find(d => d.id === baseId) || datasets[0];
+  const compare = datasets.find(d => d.id === compareId) || datasets[1];
+  const { trialIds, rows } = useMemo(
+    () => diffDatasets(base, compare, schedulers, metrics),
+    [base, compare, schedulers, metrics]
+  );
+  const shownRows = regressionsOnly ? rows.filter(r => r.regressions > 0) : rows;
+  const totalRegressions = rows.reduce((sum, r) => sum + r.regressions, 0);
+
+  const datasetSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className="px-3 py-2 border border-slate-300 rounded-lg">
+      {datasets.map(d => (
+        <option key={d.id} value={d.id}>{d.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm text-slate-700">
+        <span>Base</span>
+        {datasetSelect(base.id, setBaseId)}
+        <span>compared with</span>
+        {datasetSelect(compare.id, setCompareId)}
+        <label className="flex items-center gap-2 ml-4">
+          <input
+            type="checkbox"
+            checked={regressionsOnly}
+            onChange={() => setRegressionsOnly(!regressionsOnly)}
+            className="w-4 h-4"
+          />
+          Only schedulers with regressions
+        </label>
+      </div>
+
+      <p className="text-slate-600 mb-4">
+        {trialIds.length} shared trials, {totalRegressions} regressions across {rows.filter(r => r.regressions > 0).length} schedulers.
+      </p>
+
+      {trialIds.length === 0 ? (
+        <p className="text-slate-600">The selected datasets have no trial numbers in common.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr className="bg-slate-100">
+                <th className="border border-slate-300 px-3 py-2 text-left">Scheduler</th>
+                <th className="border border-slate-300 px-3 py-2 text-left">Metric</th>
+                {trialIds.map(trial => (
+                  <th key={trial} className="border border-slate-300 px-3 py-2 text-right">Trial {trial}</th>
+                ))}
+                <th className="border border-slate-300 px-3 py-2 text-right">Regressions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shownRows.flatMap(row => metrics.map((metric, metricIdx) => (
+                <tr key={`${row.name}-${metric.key}`}>
+                  {metricIdx === 0 && (
+                    <td rowSpan={metrics.length} className="border border-slate-300 px-3 py-2 font-semibold align-top">
+                      {row.name}
+                    </td>
+                  )}
+                  <td className="border border-slate-300 px-3 py-2">{metric.label}</td>
+                  {row.cells.map(cell => {
+                    const change = cell.changes[metric.key];
+                    return (
+                      <td
+                        key={cell.trial}
+                        className={`border border-slate-300 px-3 py-2 text-right whitespace-nowrap ${change ? STATUS_CLASSES[change.status] : ''}`}
+                        title={change ? `${formatMetric(metric, change.before)} → ${formatMetric(metric, change.after)}` : 'Missing in one dataset'}
+                      >
+                        {change ? formatDelta(metric, change, locale) : '-'}
+                      </td>
+                    );
+                  })}
+                  {metricIdx === 0 && (
+                    <td rowSpan={metrics.length} className={`border border-slate-300 px-3 py-2 text-right align-top ${row.regressions > 0 ? 'text-red-700 font-semibold' : ''}`}>
+                      {row.regressions}
+                    </td>
+                  )}
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DatasetComparison = ({ mode, datasets, schedulers, metrics, schedulerColors, styles = {}, locale = 'plain' }) => (
+  <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+    <h2 className="text-2xl font-bold text-slate-800 mb-4 flex items-center gap-2">
+      <GitCompare className="text-blue-600" />
+      {mode === 'overlay' ? 'Dataset Overlay' : 'Dataset Diff'}
+    </h2>
+    {mode === 'overlay'
+      ? <OverlayView datasets={datasets} schedulers={schedulers} metrics={metrics} schedulerColors={schedulerColors} styles={styles} locale={locale} />
+      : <DiffView datasets={datasets} schedulers={schedulers} metrics={metrics} locale={locale} />}
+  </div>
+);
+
+export default DatasetComparison;
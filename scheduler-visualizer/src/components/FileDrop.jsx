@@ -0,0 +1,54 @@
+import React, { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+
+const hasFiles = (event) => Array.from(event.dataTransfer.types || []).includes('Files');
+
+// Drop handlers for an element that accepts result files, and whether files
+// are being dragged over it. Drag events fire for every child element, so
+// entering and leaving are counted rather than toggled.
+export const useFileDrop = (onFiles) => {
+  const [dragging, setDragging] = useState(false);
+  const depth = useRef(0);
+
+  const onDragEnter = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    depth.current++;
+    setDragging(true);
+  };
+
+  const onDragOver = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  const onDragLeave = (event) => {
+    if (!hasFiles(event)) return;
+    depth.current = Math.max(0, depth.current - 1);
+    if (depth.current === 0) setDragging(false);
+  };
+
+  const onDrop = (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    depth.current = 0;
+    setDragging(false);
+    const files = Array.from(event.dataTransfer.files);
+    if (files.length > 0) onFiles(files);
+  };
+
+  return { dragging, dropHandlers: { onDragEnter, onDragOver, onDragLeave, onDrop } };
+};
+
+const FileDropOverlay = () => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-blue-600/20 pointer-events-none">
+    <div className="bg-white rounded-lg shadow-lg px-10 py-8 border-4 border-dashed border-blue-500 text-center">
+      <Upload className="mx-auto text-blue-600 mb-3" size={48} />
+      <p className="text-xl font-bold text-slate-800">Drop files to load them</p>
+      <p className="text-sm text-slate-500 mt-1">Trial logs, tidy CSV or JSON</p>
+    </div>
+  </div>
+);
+
+export default FileDropOverlay;
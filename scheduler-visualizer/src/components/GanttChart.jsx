@@ -0,0 +1,160 @@
+import React, { useId, useMemo, useRef, useState } from 'react';
+import { scheduleLanes, securityColor, timeTicks } from '../lib/schedules.js';
+import { formatValue } from '../lib/numberFormat.js';
+
+// Drawn in a fixed coordinate space and scaled to the container width
+const WIDTH = 640;
+const LANE_HEIGHT = 26;
+const MARGIN = { top: 18, right: 16, bottom: 28, left: 72 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+// Task bars narrower than this get no text label
+const MIN_LABEL_WIDTH = 28;
+// Drags shorter than this are clicks, not a zoom selection
+const MIN_DRAG_WIDTH = 4;
+
+// One schedule as a Gantt chart: a lane per processor, a bar per task
+// coloured by security level, and the trial deadline as a vertical line.
+// Drag across the chart to zoom into that time range; double-click resets.
+const GanttChart = ({ tasks, domain, deadline, security, locale = 'plain', onZoom, onReset }) => {
+  const formatTime = (t) => formatValue(t, locale, 3);
+  // useId() contains colons, which url(#...) references do not accept everywhere
+  const clipId = `gantt${useId().replace(/:/g, '')}`;
+  const svgRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+
+  const lanes = useMemo(() => scheduleLanes(tasks), [tasks]);
+  const laneIndex = useMemo(() => new Map(lanes.map((lane, idx) => [lane, idx])), [lanes]);
+  const height = MARGIN.top + lanes.length * LANE_HEIGHT + MARGIN.bottom;
+  const plotBottom = MARGIN.top + lanes.length * LANE_HEIGHT;
+
+  const [start, end] = domain;
+  const x = (t) => MARGIN.left + ((t - start) / (end - start)) * PLOT_WIDTH;
+  const timeAt = (px) => start + ((px - MARGIN.left) / PLOT_WIDTH) * (end - start);
+
+  // Pointer position in chart coordinates, clamped to the plot area
+  const pointerX = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const px = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    return Math.min(MARGIN.left + PLOT_WIDTH, Math.max(MARGIN.left, px));
+  };
+
+  const handleMouseDown = (event) => {
+    if (event.button !== 0) return;
+    const px = pointerX(event);
+    setDrag({ from: px, to: px });
+  };
+
+  const handleMouseMove = (event) => {
+    if (drag) setDrag({ ...drag, to: pointerX(event) });
+  };
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const left = Math.min(drag.from, drag.to);
+    const right = Math.max(drag.from, drag.to);
+    setDrag(null);
+    if (right - left >= MIN_DRAG_WIDTH) onZoom([timeAt(left), timeAt(right)]);
+  };
+
+  const visible = tasks.filter(t => t.finish >= start && t.start <= end);
+  const showDeadline = Number.isFinite(deadline) && deadline >= start && deadline <= end;
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className="w-full select-none cursor-crosshair"
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onMouseLeave={() => setDrag(null)}
+      onDoubleClick={onReset}
+    >
+      <defs>
+        <clipPath id={clipId}>
+          <rect x={MARGIN.left} y={0} width={PLOT_WIDTH} height={height} />
+        </clipPath>
+      </defs>
+
+      {timeTicks(start, end).map(t => (
+        <g key={t}>
+          <line x1={x(t)} x2={x(t)} y1={MARGIN.top} y2={plotBottom} stroke="#E2E8F0" />
+          <text x={x(t)} y={plotBottom + 16} fontSize="10" textAnchor="middle" fill="#475569">{formatTime(t)}</text>
+        </g>
+      ))}
+
+      {lanes.map((lane, idx) => (
+        <g key={lane}>
+          {idx % 2 === 1 && (
+            <rect x={MARGIN.left} y={MARGIN.top + idx * LANE_HEIGHT} width={PLOT_WIDTH} height={LANE_HEIGHT} fill="#F8FAFC" />
+          )}
+          <text
+            x={MARGIN.left - 6}
+            y={MARGIN.top + idx * LANE_HEIGHT + LANE_HEIGHT / 2 + 4}
+            fontSize="11"
+            textAnchor="end"
+            fill="#334155"
+          >
+            {lane.length > 10 ? `${lane.slice(0, 9)}…` : lane}
+            <title>{lane}</title>
+          </text>
+        </g>
+      ))}
+
+      <g clipPath={`url(#${clipId})`}>
+        {visible.map((t, idx) => {
+          const left = x(t.start);
+          const width = Math.max(1, x(t.finish) - left);
+          const top = MARGIN.top + laneIndex.get(t.processor) * LANE_HEIGHT + 3;
+          return (
+            <g key={idx}>
+              <rect
+                x={left}
+                y={top}
+                width={width}
+                height={LANE_HEIGHT - 6}
+                rx="2"
+                fill={securityColor(t.security, security)}
+                stroke="#FFFFFF"
+                strokeWidth="0.5"
+              >
+                <title>
+                  {`${t.task} on ${t.processor}: ${formatTime(t.start)} - ${formatTime(t.finish)}`
+                    + (t.security !== null ? `, security level ${t.security}` : '')}
+                </title>
+              </rect>
+              {width >= MIN_LABEL_WIDTH && (
+                <text x={left + 3} y={top + LANE_HEIGHT / 2 + 1} fontSize="9" fill="#0F172A" pointerEvents="none">
+                  {t.task}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {showDeadline && (
+          <g>
+            <line x1={x(deadline)} x2={x(deadline)} y1={MARGIN.top - 6} y2={plotBottom} stroke="#DC2626" strokeWidth="2" strokeDasharray="6 3" />
+            <text x={x(deadline) + 4} y={MARGIN.top - 6} fontSize="10" fill="#DC2626">Deadline {formatTime(deadline)}</text>
+          </g>
+        )}
+
+        {drag && (
+          <rect
+            x={Math.min(drag.from, drag.to)}
+            y={MARGIN.top}
+            width={Math.abs(drag.to - drag.from)}
+            height={plotBottom - MARGIN.top}
+            fill="#2563EB"
+            fillOpacity="0.15"
+            stroke="#2563EB"
+          />
+        )}
+      </g>
+
+      <line x1={MARGIN.left} x2={MARGIN.left + PLOT_WIDTH} y1={plotBottom} y2={plotBottom} stroke="#94A3B8" />
+    </svg>
+  );
+};
+
+export default GanttChart;
@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Radio, Plug, Unplug, FolderOpen } from 'lucide-react';
+import {
+  DEFAULT_SERVER_URL,
+  normalizeServerUrl,
+  subscribeRuns,
+  fetchRunText,
+  changedRuns
+} from '../lib/liveResults.js';
+import { formatNumber } from '../lib/numberFormat.js';
+
+const STATUS = {
+  connecting: { label: 'Connecting…', dot: 'bg-amber-400' },
+  open: { label: 'Connected', dot: 'bg-green-500' },
+  retrying: { label: 'Connection lost, retrying…', dot: 'bg-amber-400' },
+  closed: { label: 'Disconnected by the browser', dot: 'bg-red-500' }
+};
+
+const formatSize = (bytes, locale) => (bytes < 1024 ? `${bytes} B` : `${formatNumber(bytes / 1024, 1, locale)} KB`);
+
+// Connects to `scheduler-viz serve` and browses the runs in its directory.
+// Following a run loads it as a dataset and reloads it whenever the server
+// reports that the file changed. `followed` names the runs that currently
+// have a dataset; `onRunLoaded(name, text)` receives each (re)loaded file.
+const LiveResults = ({ followed, onRunLoaded, onUnfollow, locale = 'plain' }) => {
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [connectedUrl, setConnectedUrl] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [listing, setListing] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  // The stream outlives renders, so it reaches the current props through refs
+  const latest = useRef({ followed, onRunLoaded });
+  latest.current = { followed, onRunLoaded };
+  const previousRuns = useRef([]);
+  // One reload at a time, so each sees the datasets the last one produced
+  const queue = useRef(Promise.resolve());
+
+  const loadRun = (url, name) => {
+    queue.current = queue.current.then(async () => {
+      try {
+        latest.current.onRunLoaded(name, await fetchRunText(url, name));
+        setLoadError(null);
+      } catch (error) {
+        setLoadError(`Could not load ${name}: ${error.message}`);
+      }
+    });
+  };
+
+  useEffect(() => {
+    if (connectedUrl === null) return undefined;
+    previousRuns.current = [];
+    return subscribeRuns(connectedUrl, { onRuns: setListing, onStatus: setStatus });
+  }, [connectedUrl]);
+
+  useEffect(() => {
+    if (!listing) return;
+    changedRuns(previousRuns.current, listing.runs)
+      .filter(name => latest.current.followed.includes(name))
+      .forEach(name => loadRun(connectedUrl, name));
+    previousRuns.current = listing.runs;
+  }, [listing]);
+
+  const connect = () => {
+    setLoadError(null);
+    setConnectedUrl(normalizeServerUrl(serverUrl));
+  };
+
+  const disconnect = () => {
+    setConnectedUrl(null);
+    setStatus(null);
+    setListing(null);
+  };
+
+  const { label, dot } = STATUS[status] || {};
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-bold text-slate-800 mb-4 flex items-center gap-2">
+        <Radio className="text-blue-600" />
+        Live Results
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <input
+          type="text"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+          disabled={connectedUrl !== null}
+          placeholder={DEFAULT_SERVER_URL}
+          className="flex-1 min-w-[16rem] px-3 py-2 border border-slate-300 rounded-lg text-sm disabled:bg-slate-100"
+          title="Address of a running scheduler-viz serve"
+        />
+        {connectedUrl === null ? (
+          <button
+            onClick={connect}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition"
+          >
+            <Plug size={16} />
+            Connect
+          </button>
+        ) : (
+          <button
+            onClick={disconnect}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-slate-300 text-slate-700 rounded-lg text-sm hover:bg-slate-100 transition"
+          >
+            <Unplug size={16} />
+            Disconnect
+          </button>
+        )}
+        {label && (
+          <span className="flex items-center gap-2 text-sm text-slate-600">
+            <span className={`w-2 h-2 rounded-full ${dot}`} />
+            {label}
+          </span>
+        )}
+      </div>
+
+      {connectedUrl === null && (
+        <p className="text-sm text-slate-500">
+          Start the companion server next to the app with <code className="bg-slate-100 px-1 rounded">npm run results -- &lt;results directory&gt;</code>,
+          then connect to follow runs while the simulator writes them.
+        </p>
+      )}
+      {loadError && <p className="text-sm text-red-700 mb-2">{loadError}</p>}
+
+      {listing && (
+        <>
+          <p className="text-sm text-slate-500 mb-2 flex items-center gap-2">
+            <FolderOpen size={16} />
+            {listing.directory}
+          </p>
+          {listing.runs.length === 0 ? (
+            <p className="text-sm text-slate-600">No result files in this directory yet.</p>
+          ) : (
+            <div className="overflow-auto max-h-72">
+              <table className="w-full text-sm border-collapse" aria-label="Runs on the results server">
+                <thead className="sticky top-0 bg-slate-100">
+                  <tr>
+                    <th className="border border-slate-300 px-3 py-1 text-left">Run</th>
+                    <th className="border border-slate-300 px-3 py-1 text-right">Size</th>
+                    <th className="border border-slate-300 px-3 py-1 text-right">Last modified</th>
+                    <th className="border border-slate-300 px-3 py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {listing.runs.map(run => {
+                    const following = followed.includes(run.name);
+                    return (
+                      <tr key={run.name} className={following ? 'bg-blue-50' : 'hover:bg-slate-50'}>
+                        <td className="border border-slate-300 px-3 py-1 font-mono">{run.name}</td>
+                        <td className="border border-slate-300 px-3 py-1 text-right">{formatSize(run.size, locale)}</td>
+                        <td className="border border-slate-300 px-3 py-1 text-right">{new Date(run.modified).toLocaleString()}</td>
+                        <td className="border border-slate-300 px-3 py-1 text-right">
+                          <button
+                            onClick={() => (following ? onUnfollow(run.name) : loadRun(connectedUrl, run.name))}
+                            className={`px-3 py-1 rounded text-sm ${following ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-white border border-slate-300 text-slate-700 hover:bg-slate-100'}`}
+                            title={following ? 'Stop updating; the dataset keeps its current trials' : 'Load as a dataset and keep it up to date'}
+                          >
+                            {following ? 'Following' : 'Follow'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LiveResults;
@@ -0,0 +1,190 @@
+import React from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell, LabelList } from 'recharts';
+import { findMetric, formatMetric, metricTitle } from '../lib/metrics.js';
+import { paretoRanks, dominatedByCounts } from '../lib/pareto.js';
+import { constraintViolations, VIOLATION_LABELS } from '../lib/constraints.js';
+import { formatValue } from '../lib/numberFormat.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { countOf, listNames } from '../lib/chartSummaries.js';
+import ChartFigure from './ChartFigure.jsx';
+import { MarkerShape, SchedulerSwatch } from './SchedulerMarker.jsx';
+
+// Reference lines for the metrics that carry a trial constraint
+const LIMITS = {
+  makespan: { color: '#DC2626', label: (trial, locale) => `Deadline ${formatValue(trial.deadline, locale)}` },
+  utility: { color: '#D97706', label: (trial, locale) => `Min utility ${formatValue(trial.securityUtility, locale)}` }
+};
+
+const ParetoPoint = ({ cx, cy, payload }) => {
+  if (cx === undefined || cy === undefined) return null;
+  const optimal = payload.paretoRank === 1;
+  return (
+    <MarkerShape
+      shape={payload.marker}
+      cx={cx}
+      cy={cy}
+      r={optimal ? 8 : 5}
+      fill={payload.color}
+      fillOpacity={payload.violations.length > 0 ? 0.35 : 1}
+      stroke={optimal ? '#0F172A' : 'none'}
+      strokeWidth={2}
+    />
+  );
+};
+
+const ParetoTooltip = ({ active, payload, xMetric, yMetric }) => {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white border border-slate-300 rounded p-2 text-sm shadow">
+      <div className="font-semibold">{point.name}</div>
+      <div>{xMetric.label}: {formatMetric(xMetric, point[xMetric.key])}</div>
+      <div>{yMetric.label}: {formatMetric(yMetric, point[yMetric.key])}</div>
+      <div>Dominance rank: {point.paretoRank}</div>
+      {point.violations.map(v => (
+        <div key={v} className="text-red-600">{VIOLATION_LABELS[v]}</div>
+      ))}
+    </div>
+  );
+};
+
+// `axes` are the x and y metric keys; `limits` places the deadline and
+// minimum utility lines on the axes' scale. The table under the chart is
+// also its accessible alternative.
+const ParetoView = ({
+  trial,
+  data,
+  metrics,
+  styles = {},
+  locale = 'plain',
+  axes = ['makespan', 'utility'],
+  height = 450,
+  limits = { makespan: trial.deadline, utility: trial.securityUtility }
+}) => {
+  const xMetric = findMetric(metrics, axes[0]);
+  const yMetric = findMetric(metrics, axes[1]);
+  const xLimit = LIMITS[xMetric.key] && limits[xMetric.key];
+  const yLimit = LIMITS[yMetric.key] && limits[yMetric.key];
+  const objectives = [xMetric, yMetric];
+
+  const ranks = paretoRanks(data, objectives);
+  const dominatedBy = dominatedByCounts(data, objectives);
+
+  const points = data.map(s => ({
+    ...s,
+    paretoRank: ranks.get(s.name),
+    dominatedBy: dominatedBy.get(s.name),
+    violations: constraintViolations(s, trial),
+    marker: styleFor(styles, s.name).marker
+  }));
+
+  const front = points
+    .filter(p => p.paretoRank === 1)
+    .sort((a, b) => a[xMetric.key] - b[xMetric.key]);
+
+  const tableRows = [...points].sort((a, b) => a.paretoRank - b.paretoRank || a.dominatedBy - b.dominatedBy);
+
+  const description = `Scatter plot of ${yMetric.label} against ${xMetric.label} for ${countOf(points.length, 'scheduler')}. `
+    + `Pareto-optimal: ${listNames(front.map(p => p.name))}. The table below lists every point.`;
+
+  return (
+    <div>
+      <ChartFigure label={`${yMetric.label} against ${xMetric.label}`} description={description}>
+        <ResponsiveContainer width="100%" height={height}>
+          <ScatterChart margin={{ top: 20, right: 40, bottom: 30, left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey={xMetric.key}
+              name={xMetric.label}
+              domain={['auto', 'auto']}
+              tickFormatter={(v) => formatValue(v, locale)}
+              label={{ value: metricTitle(xMetric), position: 'insideBottom', offset: -15 }}
+            />
+            <YAxis
+              type="number"
+              dataKey={yMetric.key}
+              name={yMetric.label}
+              domain={['auto', 'auto']}
+              tickFormatter={(v) => formatValue(v, locale)}
+              label={{ value: metricTitle(yMetric), angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip content={<ParetoTooltip xMetric={xMetric} yMetric={yMetric} />} />
+            {Number.isFinite(xLimit) && (
+              <ReferenceLine
+                x={xLimit}
+                stroke={LIMITS[xMetric.key].color}
+                strokeDasharray="6 4"
+                label={{ value: LIMITS[xMetric.key].label(trial, locale), position: 'top', fill: LIMITS[xMetric.key].color }}
+                ifOverflow="extendDomain"
+              />
+            )}
+            {Number.isFinite(yLimit) && (
+              <ReferenceLine
+                y={yLimit}
+                stroke={LIMITS[yMetric.key].color}
+                strokeDasharray="6 4"
+                label={{ value: LIMITS[yMetric.key].label(trial, locale), position: 'right', fill: LIMITS[yMetric.key].color }}
+                ifOverflow="extendDomain"
+              />
+            )}
+            <Scatter
+              data={front}
+              line={{ stroke: '#0F172A', strokeDasharray: '4 4' }}
+              shape={() => <g />}
+              isAnimationActive={false}
+            />
+            <Scatter data={points} shape={<ParetoPoint />}>
+              {points.map(p => (
+                <Cell key={p.name} fill={p.color} />
+              ))}
+              <LabelList dataKey="name" position="top" fontSize={11} />
+            </Scatter>
+          </ScatterChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+
+      <p className="text-sm text-slate-600 mt-2">
+        Outlined points are Pareto-optimal. Faded points violate the trial's deadline or minimum security utility.
+      </p>
+
+      <div className="mt-6 overflow-x-auto">
+        <table className="w-full border-collapse" aria-label="Pareto dominance">
+          <thead>
+            <tr className="bg-slate-100">
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-left">Dominance Rank</th>
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-left">Scheduler</th>
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-right">{metricTitle(xMetric)}</th>
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-right">{metricTitle(yMetric)}</th>
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-right">Dominated By</th>
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-left">Constraints</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tableRows.map(p => (
+              <tr key={p.name} className={p.paretoRank === 1 ? 'bg-blue-50' : 'hover:bg-slate-50'}>
+                <td className="border border-slate-300 px-4 py-2 font-semibold">{p.paretoRank}</td>
+                <td className="border border-slate-300 px-4 py-2">
+                  <div className="flex items-center gap-2">
+                    <SchedulerSwatch color={p.color} shape={p.marker} size={16} />
+                    {p.name}
+                  </div>
+                </td>
+                <td className="border border-slate-300 px-4 py-2 text-right">{formatMetric(xMetric, p[xMetric.key])}</td>
+                <td className="border border-slate-300 px-4 py-2 text-right">{formatMetric(yMetric, p[yMetric.key])}</td>
+                <td className="border border-slate-300 px-4 py-2 text-right">{p.dominatedBy}</td>
+                <td className="border border-slate-300 px-4 py-2">
+                  {p.violations.length === 0
+                    ? <span className="text-green-700">Satisfied</span>
+                    : <span className="text-red-700">{p.violations.map(v => VIOLATION_LABELS[v]).join(', ')}</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ParetoView;
@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { Gauge } from 'lucide-react';
+import { performanceProfile, profileKey } from '../lib/performanceProfile.js';
+import { findMetric } from '../lib/metrics.js';
+import { formatValue, formatPercent } from '../lib/numberFormat.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { countOf } from '../lib/chartSummaries.js';
+import ChartFigure from './ChartFigure.jsx';
+import { MarkerLegend } from './SchedulerMarker.jsx';
+
+const formatTau = (tau, locale) => formatValue(tau, locale, tau < 10 ? 3 : 1);
+
+// Who was best most often, read off the profile at tau = 1
+const describeProfile = (rows, schedulers, metric, trialCount) => {
+  const intro = `Performance profile of ${metric.label} over ${countOf(trialCount, 'trial')} for ${countOf(schedulers.length, 'scheduler')}`;
+  if (rows.length === 0 || schedulers.length === 0) return `${intro}.`;
+  const best = schedulers.reduce((a, b) => (rows[0][profileKey(b)] > rows[0][profileKey(a)] ? b : a));
+  return `${intro}. ${best} was best most often, in ${formatPercent(rows[0][profileKey(best)])} of trials.`;
+};
+
+// Dolan-Moré performance profile per metric. `metrics` is the absolute
+// registry: ratios to the best are taken on absolute values whatever the
+// comparison mode, so the profile does not change with the baseline.
+const PerformanceProfile = ({ trialsData, schedulers, metrics, shownMetrics, schedulerColors, styles = {}, locale = 'plain' }) => {
+  const [metricKey, setMetricKey] = useState(null);
+  const metric = findMetric(metrics, shownMetrics.some(m => m.key === metricKey) ? metricKey : shownMetrics[0].key);
+
+  const { rows, trialCount } = useMemo(
+    () => performanceProfile(trialsData, schedulers, metric),
+    [trialsData, schedulers, metric]
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <Gauge className="text-blue-600" />
+          Performance Profile
+        </h2>
+        <select
+          value={metric.key}
+          onChange={(e) => setMetricKey(e.target.value)}
+          className="px-3 py-1 border border-slate-300 rounded-lg text-sm"
+          aria-label="Metric for the performance profile"
+        >
+          {shownMetrics.map(m => (
+            <option key={m.key} value={m.key}>{findMetric(metrics, m.key).label}</option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-600">No trial has a positive {metric.label.toLowerCase()} for the selected schedulers.</p>
+      ) : (
+        <ChartFigure
+          label={`Performance profile of ${metric.label}`}
+          description={describeProfile(rows, schedulers, metric, trialCount)}
+          getTable={() => ({
+            columns: ['τ', ...schedulers],
+            rows: rows.map(row => [formatTau(row.tau, locale), ...schedulers.map(s => formatPercent(row[profileKey(s)], 1, locale))])
+          })}
+        >
+          <ResponsiveContainer width="100%" height={420}>
+            <LineChart data={rows} margin={{ top: 10, right: 30, bottom: 20, left: 20 }} accessibilityLayer>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="tau"
+                type="number"
+                scale="log"
+                domain={[1, 'dataMax']}
+                allowDataOverflow
+                tickFormatter={(tau) => formatTau(tau, locale)}
+                label={{ value: 'τ (factor of the best)', position: 'insideBottom', offset: -10 }}
+              />
+              <YAxis
+                domain={[0, 1]}
+                tickFormatter={(v) => formatPercent(v, 0, locale)}
+                label={{ value: 'Share of trials', angle: -90, position: 'insideLeft' }}
+              />
+              <Tooltip
+                formatter={(value) => formatPercent(value, 1, locale)}
+                labelFormatter={(tau) => `Within ${formatTau(tau, locale)}× of the best`}
+              />
+              <Legend verticalAlign="top" content={<MarkerLegend styles={styles} />} />
+              {schedulers.map(s => (
+                <Line
+                  key={s}
+                  type="stepAfter"
+                  dataKey={profileKey(s)}
+                  name={s}
+                  stroke={schedulerColors[s]}
+                  strokeWidth={2}
+                  strokeDasharray={styleFor(styles, s).dash}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartFigure>
+      )}
+
+      <p className="text-sm text-slate-500 mt-2">
+        For each scheduler, the share of the {trialCount} trials in which its {metric.label.toLowerCase()} was within a factor τ of
+        the best selected scheduler. The value at τ = 1 is how often it was best; a line that reaches the top sooner is more robust.
+        Trials a scheduler did not run in, or with a value that is not positive, count against it.
+      </p>
+    </div>
+  );
+};
+
+export default PerformanceProfile;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Save, Upload, Download, Trash2 } from 'lucide-react';
+import { listPresets, savePreset, deletePreset, createPreset, presetToJson, parsePresetJson } from '../lib/storage.js';
+import { downloadBlob } from '../charts/exporters.js';
+
+const PresetManager = ({ settings, onApply }) => {
+  const [presets, setPresets] = useState(listPresets);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setPresets(savePreset(createPreset(trimmed, settings)));
+    setMessage({ type: 'info', text: `Saved preset "${trimmed}".` });
+    setName('');
+  };
+
+  const handleDelete = (presetName) => {
+    setPresets(deletePreset(presetName));
+    setMessage({ type: 'info', text: `Deleted preset "${presetName}".` });
+  };
+
+  const handleExport = (preset) => {
+    const filename = `${preset.name.replace(/[^a-z0-9-_]+/gi, '_')}.preset.json`;
+    downloadBlob(new Blob([presetToJson(preset)], { type: 'application/json' }), filename);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const preset = parsePresetJson(await file.text());
+      setPresets(savePreset(preset));
+      onApply(preset);
+      setMessage({ type: 'info', text: `Imported and applied preset "${preset.name}".` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 items-center mb-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Preset name"
+          className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!name.trim()}
+          className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          <Save size={16} />
+          Save Current
+        </button>
+        <label className="flex items-center gap-2 px-3 py-2 bg-slate-600 text-white rounded-lg text-sm cursor-pointer hover:bg-slate-700 transition">
+          <Upload size={16} />
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+
+      {message && (
+        <p className={`text-sm mb-3 ${message.type === 'error' ? 'text-red-700' : 'text-slate-600'}`}>{message.text}</p>
+      )}
+
+      {presets.length === 0 ? (
+        <p className="text-sm text-slate-500">No saved presets yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {presets.map(preset => (
+            <div key={preset.name} className="flex items-center gap-3 p-2 bg-slate-50 rounded border border-slate-200 text-sm">
+              <span className="flex-1 font-medium text-slate-700">{preset.name}</span>
+              <span className="text-slate-500">
+                {preset.schedulers.length} schedulers, {preset.metrics.length} metrics
+              </span>
+              <button onClick={() => onApply(preset)} className="px-2 py-1 text-blue-600 hover:underline">
+                Apply
+              </button>
+              <button onClick={() => handleExport(preset)} className="p-1 text-slate-500 hover:text-slate-800" title="Export as JSON">
+                <Download size={16} />
+              </button>
+              <button onClick={() => handleDelete(preset.name)} className="p-1 text-slate-500 hover:text-red-600" title="Delete preset">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetManager;
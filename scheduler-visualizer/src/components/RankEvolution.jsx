@@ -0,0 +1,252 @@
+import React, { useMemo, useState } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, ReferenceLine } from 'recharts';
+import { Activity } from 'lucide-react';
+import { rankHistory, winMatrix } from '../lib/rankEvolution.js';
+import { downsampleTrend } from '../lib/trends.js';
+import { formatNumber } from '../lib/numberFormat.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { countOf } from '../lib/chartSummaries.js';
+import ChartFigure from './ChartFigure.jsx';
+import { MarkerShape, SchedulerSwatch } from './SchedulerMarker.jsx';
+
+const MAX_BUMP_POINTS = 300;
+
+// Green when the row scheduler usually wins, red when it usually loses
+const cellColor = (wins, losses) => {
+  const met = wins + losses;
+  if (met === 0) return 'transparent';
+  const share = wins / met;
+  return share >= 0.5
+    ? `rgba(22, 163, 74, ${((share - 0.5) * 2 * 0.75).toFixed(2)})`
+    : `rgba(220, 38, 38, ${((0.5 - share) * 2 * 0.75).toFixed(2)})`;
+};
+
+const pointLabel = (row) => (row.trialCount > 1 ? `Trials ${row.trial}-${row.trialEnd}` : `Trial ${row.trial}`);
+
+const BumpChart = ({ trialsData, schedulers, ranking, metrics, schedulerColors, styles = {}, locale = 'plain', currentTrial, onSelectTrial }) => {
+  const [highlighted, setHighlighted] = useState(null);
+
+  const history = useMemo(
+    () => rankHistory(trialsData, schedulers, ranking, metrics),
+    [trialsData, schedulers, ranking, metrics]
+  );
+  const data = useMemo(() => downsampleTrend(history, MAX_BUMP_POINTS), [history]);
+  const downsampled = data.length < history.length;
+
+  const averageRanks = schedulers
+    .map(s => {
+      const ranks = history.map(row => row[s]).filter(Number.isFinite);
+      return { name: s, rank: ranks.reduce((sum, r) => sum + r, 0) / ranks.length };
+    })
+    .filter(s => Number.isFinite(s.rank))
+    .sort((a, b) => a.rank - b.rank);
+  const description = `Line chart of each scheduler's rank in every trial, for ${countOf(schedulers.length, 'scheduler')} over ${countOf(history.length, 'trial')}; rank 1 is best.`
+    + (averageRanks.length > 0 ? ` Best average rank: ${averageRanks[0].name} at ${formatNumber(averageRanks[0].rank, 2, locale)}.` : '');
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {schedulers.map(s => (
+          <button
+            key={s}
+            onClick={() => setHighlighted(highlighted === s ? null : s)}
+            aria-pressed={highlighted === s}
+            className={`flex items-center gap-2 px-2 py-1 rounded border text-sm ${highlighted === s ? 'border-blue-500 bg-blue-50' : 'border-slate-200 hover:bg-slate-50'}`}
+          >
+            <SchedulerSwatch color={schedulerColors[s]} shape={styleFor(styles, s).marker} size={12} />
+            {s}
+          </button>
+        ))}
+      </div>
+
+      {downsampled && (
+        <p className="text-sm text-slate-500 mb-2">
+          {history.length} trials are shown as {data.length} points, each the mean rank over up to {data[0].trialCount} consecutive trials.
+        </p>
+      )}
+
+      <ChartFigure
+        label="Rank evolution"
+        description={description}
+        getTable={() => ({
+          columns: ['Trial', ...schedulers],
+          rows: data.map(row => [pointLabel(row), ...schedulers.map(s => formatNumber(row[s], Number.isInteger(row[s]) ? 0 : 1, locale))])
+        })}
+      >
+        <ResponsiveContainer width="100%" height={420}>
+          <LineChart
+            accessibilityLayer
+            data={data}
+            onClick={(e) => !downsampled && e && e.activeLabel !== undefined && onSelectTrial(e.activeLabel)}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="trial" label={{ value: 'Trial Run', position: 'insideBottom', offset: -5 }} />
+            <YAxis
+              reversed
+              allowDecimals={false}
+              domain={[1, schedulers.length]}
+              label={{ value: 'Rank', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip
+              itemSorter={(item) => item.value}
+              formatter={(value) => formatNumber(value, Number.isInteger(value) ? 0 : 1, locale)}
+              labelFormatter={(trial, payload) => {
+                const row = payload && payload[0] && payload[0].payload;
+                return row ? pointLabel(row) : `Trial ${trial}`;
+              }}
+            />
+            {!downsampled && currentTrial !== undefined && (
+              <ReferenceLine x={currentTrial} stroke="#64748B" strokeDasharray="4 4" />
+            )}
+            {schedulers.map(s => (
+              <Line
+                key={s}
+                type="linear"
+                dataKey={s}
+                name={s}
+                stroke={schedulerColors[s]}
+                strokeWidth={highlighted === s ? 4 : 2}
+                strokeOpacity={highlighted && highlighted !== s ? 0.15 : 1}
+                strokeDasharray={styleFor(styles, s).dash}
+                dot={data.length > 60 ? false : ({ key, cx, cy, stroke }) => (Number.isFinite(cx) && Number.isFinite(cy)
+                  ? <MarkerShape key={key} shape={styleFor(styles, s).marker} cx={cx} cy={cy} r={3} fill="#FFFFFF" stroke={stroke} />
+                  : <g key={key} />)}
+                isAnimationActive={!downsampled}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+      <p className="text-sm text-slate-500 mt-2">
+        Click a scheduler to highlight its line{downsampled ? '' : ', or click the chart to open that trial'}.
+      </p>
+    </div>
+  );
+};
+
+const WinMatrix = ({ trialsData, schedulers, ranking, metrics, currentTrial, onSelectTrial }) => {
+  const [focus, setFocus] = useState(null);
+
+  const matrix = useMemo(
+    () => winMatrix(trialsData, schedulers, ranking, metrics),
+    [trialsData, schedulers, ranking, metrics]
+  );
+
+  const focusTrials = focus && matrix[focus.a] && matrix[focus.a][focus.b] ? matrix[focus.a][focus.b] : null;
+
+  const selectCell = (a, b) => {
+    setFocus({ a, b });
+    if (matrix[a][b].length > 0) onSelectTrial(matrix[a][b][0]);
+  };
+
+  return (
+    <div>
+      <div className="overflow-auto max-h-[36rem]">
+        <table className="border-collapse text-sm">
+          <thead>
+            <tr>
+              <th scope="col" className="border border-slate-300 px-2 py-2 bg-slate-100 text-left">Row beat column</th>
+              {schedulers.map(b => (
+                <th
+                  key={b}
+                  scope="col"
+                  className="border border-slate-300 px-1 py-2 bg-slate-100 font-medium"
+                  style={{ writingMode: 'vertical-rl', transform: 'rotate(180deg)' }}
+                  title={b}
+                >
+                  {b}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {schedulers.map(a => (
+              <tr key={a}>
+                <th scope="row" className="border border-slate-300 px-2 py-1 bg-slate-100 text-left font-medium whitespace-nowrap">{a}</th>
+                {schedulers.map(b => {
+                  if (a === b) return <td key={b} className="border border-slate-300 bg-slate-200" />;
+                  const wins = matrix[a][b].length;
+                  const losses = matrix[b][a].length;
+                  const focused = focus && focus.a === a && focus.b === b;
+                  return (
+                    <td
+                      key={b}
+                      className={`border border-slate-300 text-center hover:ring-2 hover:ring-blue-400 ${focused ? 'ring-2 ring-blue-600' : ''}`}
+                      style={{ backgroundColor: cellColor(wins, losses) }}
+                    >
+                      <button
+                        onClick={() => selectCell(a, b)}
+                        aria-pressed={Boolean(focused)}
+                        className="w-full px-2 py-1"
+                        title={`${a} ranked above ${b} in ${wins} of ${wins + losses} trials`}
+                        aria-label={`${a} ranked above ${b} in ${wins} of ${wins + losses} trials`}
+                      >
+                        {wins}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {focusTrials && (
+        <div className="mt-4 p-3 bg-slate-50 rounded border border-slate-200">
+          <p className="text-sm text-slate-700 mb-2">
+            <span className="font-semibold">{focus.a}</span> ranked above <span className="font-semibold">{focus.b}</span> in
+            {' '}{focusTrials.length} of {focusTrials.length + matrix[focus.b][focus.a].length} trials
+            {focusTrials.length > 0 ? ':' : '.'}
+          </p>
+          <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+            {focusTrials.map(trial => (
+              <button
+                key={trial}
+                onClick={() => onSelectTrial(trial)}
+                className={`px-2 py-1 rounded text-xs border ${trial === currentTrial ? 'bg-blue-600 text-white border-blue-600' : 'bg-white border-slate-300 hover:bg-slate-100'}`}
+              >
+                {trial}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="text-sm text-slate-500 mt-2">
+        Each cell counts the trials in which the row scheduler ranked above the column scheduler. Click a cell to list those trials and open the first.
+      </p>
+    </div>
+  );
+};
+
+const RankEvolution = (props) => {
+  const [view, setView] = useState('bump');
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <Activity className="text-blue-600" />
+          Rankings Across Trials
+        </h2>
+        <div className="flex rounded-lg border border-slate-300 overflow-hidden text-sm">
+          {[['bump', 'Rank Evolution'], ['matrix', 'Win Matrix']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setView(mode)}
+              aria-pressed={view === mode}
+              className={`px-3 py-1 ${view === mode ? 'bg-blue-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-100'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'bump' ? <BumpChart {...props} /> : <WinMatrix {...props} />}
+    </div>
+  );
+};
+
+export default RankEvolution;
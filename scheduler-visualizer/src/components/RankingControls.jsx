@@ -0,0 +1,99 @@
+import React from 'react';
+import { RANKING_STRATEGIES } from '../lib/ranking.js';
+import { metricTitle } from '../lib/metrics.js';
+
+const RankingControls = ({ ranking, metrics, onChange }) => {
+  const update = (changes) => onChange({ ...ranking, ...changes });
+
+  const updateWeight = (key, value) => {
+    const weight = parseFloat(value);
+    update({ weights: { ...ranking.weights, [key]: Number.isFinite(weight) && weight >= 0 ? weight : 0 } });
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-wrap gap-4 items-end">
+        <label className="flex flex-col text-sm text-slate-700 gap-1">
+          Strategy
+          <select
+            value={ranking.strategy}
+            onChange={(e) => update({ strategy: e.target.value })}
+            className="px-3 py-2 border border-slate-300 rounded-lg"
+          >
+            {Object.entries(RANKING_STRATEGIES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col text-sm text-slate-700 gap-1">
+          Primary metric
+          <select
+            value={ranking.primary}
+            onChange={(e) => update({ primary: e.target.value })}
+            className="px-3 py-2 border border-slate-300 rounded-lg"
+          >
+            {metrics.map(m => (
+              <option key={m.key} value={m.key}>{metricTitle(m)}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col text-sm text-slate-700 gap-1">
+          Secondary metric
+          <select
+            value={ranking.secondary}
+            onChange={(e) => update({ secondary: e.target.value })}
+            className="px-3 py-2 border border-slate-300 rounded-lg"
+          >
+            {metrics.map(m => (
+              <option key={m.key} value={m.key}>{metricTitle(m)}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex flex-col text-sm text-slate-700 gap-1">
+          Tie tolerance
+          <input
+            type="number"
+            min="0"
+            step="0.001"
+            value={ranking.tolerance}
+            onChange={(e) => {
+              const tolerance = parseFloat(e.target.value);
+              update({ tolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 0 });
+            }}
+            className="w-28 px-3 py-2 border border-slate-300 rounded-lg"
+          />
+        </label>
+      </div>
+
+      {ranking.strategy === 'weightedSum' && (
+        <div className="flex flex-wrap gap-3">
+          {metrics.map(m => (
+            <label key={m.key} className="flex items-center gap-2 text-sm text-slate-700 px-3 py-2 bg-slate-50 rounded border border-slate-200">
+              {metricTitle(m)}
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={ranking.weights[m.key] ?? 0}
+                onChange={(e) => updateWeight(m.key, e.target.value)}
+                className="w-20 px-2 py-1 border border-slate-300 rounded"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-slate-500">
+        {ranking.strategy === 'lexicographic' && 'Orders by the primary metric; values within the tolerance are ordered by the secondary metric.'}
+        {ranking.strategy === 'weightedSum' && 'Each metric is min-max normalised within the trial, oriented so that 1 is best, and combined with the weights above.'}
+        {ranking.strategy === 'feasibilityFirst' && 'Schedulers meeting the trial deadline and minimum security utility come first, then the lexicographic order.'}
+        {ranking.strategy === 'pareto' && 'Orders by non-dominated front over the primary and secondary metrics, then the lexicographic order.'}
+      </p>
+    </div>
+  );
+};
+
+export default RankingControls;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatMetric, metricTitle } from '../lib/metrics.js';
+import { rankingDetail } from '../lib/ranking.js';
+import { useVirtualRows, SpacerRow } from './VirtualList.jsx';
+import { AnomalyBadge } from './AnomalyPanel.jsx';
+import { SchedulerSwatch } from './SchedulerMarker.jsx';
+import { styleFor } from '../lib/schedulerStyles.js';
+
+const ROW_HEIGHT = 41;
+
+// `findings` maps scheduler names to their data-check findings in this trial
+const RankingsTable = ({ data, metrics, ranking, detailLabel, findings = {}, styles = {}, locale = 'plain' }) => {
+  const { containerRef, onScroll, start, end, padTop, padBottom } = useVirtualRows(data.length, ROW_HEIGHT);
+  const columnCount = 2 + metrics.length + (detailLabel ? 1 : 0);
+
+  return (
+    <div ref={containerRef} onScroll={onScroll} className="overflow-auto max-h-[32rem]">
+      <table className="w-full border-collapse" aria-label="Scheduler rankings">
+        <thead className="sticky top-0">
+          <tr className="bg-slate-100">
+            <th scope="col" className="border border-slate-300 px-4 py-2 text-left">Rank</th>
+            <th scope="col" className="border border-slate-300 px-4 py-2 text-left">Scheduler</th>
+            {metrics.map(m => (
+              <th key={m.key} scope="col" className="border border-slate-300 px-4 py-2 text-right">{metricTitle(m)}</th>
+            ))}
+            {detailLabel && (
+              <th scope="col" className="border border-slate-300 px-4 py-2 text-right">{detailLabel}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          <SpacerRow height={padTop} colSpan={columnCount} />
+          {data.slice(start, end).map((item) => (
+            <tr key={item.name} className="hover:bg-slate-50" style={{ height: ROW_HEIGHT }}>
+              <td className="border border-slate-300 px-4 py-2 font-semibold">{item.rank}</td>
+              <td className="border border-slate-300 px-4 py-2">
+                <div className="flex items-center gap-2">
+                  <SchedulerSwatch color={item.color} shape={styleFor(styles, item.name).marker} size={16} />
+                  {item.name}
+                  <AnomalyBadge findings={findings[item.name] || []} />
+                </div>
+              </td>
+              {metrics.map(m => (
+                <td key={m.key} className="border border-slate-300 px-4 py-2 text-right">
+                  {formatMetric(m, item[m.key])}
+                </td>
+              ))}
+              {detailLabel && (
+                <td className="border border-slate-300 px-4 py-2 text-right">
+                  {rankingDetail(item, ranking, locale)}
+                </td>
+              )}
+            </tr>
+          ))}
+          <SpacerRow height={padBottom} colSpan={columnCount} />
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RankingsTable;
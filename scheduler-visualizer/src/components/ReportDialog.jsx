@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import JSZip from 'jszip';
+import { buildReport, REPORT_FORMATS } from '../lib/reports.js';
+import { metricTitle } from '../lib/metrics.js';
+import { downloadBlob } from '../charts/exporters.js';
+import VirtualList from './VirtualList.jsx';
+
+const toggleIn = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+const CheckboxGroup = ({ title, options, selected, onChange, renderLabel = (o) => o }) => {
+  const selectedSet = new Set(selected);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-slate-700">{title} ({selected.length}/{options.length})</h4>
+        <div className="flex gap-2 text-xs">
+          <button onClick={() => onChange(options)} className="text-blue-600 hover:underline">All</button>
+          <button onClick={() => onChange([])} className="text-blue-600 hover:underline">None</button>
+        </div>
+      </div>
+      <VirtualList
+        items={options}
+        rowHeight={24}
+        maxHeight={192}
+        className="p-2 bg-slate-50 rounded border border-slate-200"
+        renderItem={(option) => (
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={selectedSet.has(option)}
+              onChange={() => onChange(toggleIn(selected, option))}
+              className="w-4 h-4"
+            />
+            {renderLabel(option)}
+          </label>
+        )}
+      />
+    </div>
+  );
+};
+
+// `metrics` labels the values as shown; `rankingMetrics` is the absolute
+// registry the ranking reads
+const ReportDialog = ({ datasetName, trialsData, trialIds, schedulers, metrics, shownMetrics, ranking, rankingMetrics = metrics, locale = 'plain', onClose }) => {
+  const [formats, setFormats] = useState(['text']);
+  const [trials, setTrials] = useState(trialIds);
+  const [reportSchedulers, setReportSchedulers] = useState(schedulers);
+  const [metricKeys, setMetricKeys] = useState(shownMetrics.map(m => m.key));
+
+  const metricByKey = Object.fromEntries(metrics.map(m => [m.key, m]));
+  const trialSet = new Set(trials);
+
+  const handleDownload = async () => {
+    const report = buildReport({
+      datasetName,
+      trialsData,
+      trialIds: trialIds.filter(id => trialSet.has(id)),
+      rankedSchedulers: schedulers,
+      schedulers: reportSchedulers,
+      metrics: metrics.filter(m => metricKeys.includes(m.key)),
+      ranking,
+      rankingMetrics,
+      locale
+    });
+
+    if (formats.length === 1) {
+      const { extension, mime, render } = REPORT_FORMATS[formats[0]];
+      downloadBlob(new Blob([render(report)], { type: mime }), `scheduler_report.${extension}`);
+      return;
+    }
+
+    // Several formats go into one archive; browsers block bursts of downloads
+    const zip = new JSZip();
+    formats.forEach(format => {
+      const { extension, render } = REPORT_FORMATS[format];
+      zip.file(`scheduler_report.${extension}`, render(report));
+    });
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), 'scheduler_report.zip');
+  };
+
+  const canDownload = formats.length > 0 && trials.length > 0 && reportSchedulers.length > 0 && metricKeys.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-slate-800">Export Report</h2>
+          <button onClick={onClose} className="p-1 text-slate-500 hover:text-slate-800" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="mb-4">
+          <h4 className="font-semibold text-slate-700 mb-2">Formats</h4>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(REPORT_FORMATS).map(([key, { label }]) => (
+              <label key={key} className="flex items-center gap-2 px-3 py-2 bg-slate-50 rounded border border-slate-200 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={formats.includes(key)}
+                  onChange={() => setFormats(toggleIn(formats, key))}
+                  className="w-4 h-4"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <CheckboxGroup
+            title="Trials"
+            options={trialIds}
+            selected={trials}
+            onChange={setTrials}
+            renderLabel={(id) => `Trial ${id}`}
+          />
+          <CheckboxGroup
+            title="Schedulers"
+            options={schedulers}
+            selected={reportSchedulers}
+            onChange={setReportSchedulers}
+          />
+          <CheckboxGroup
+            title="Metrics"
+            options={metrics.map(m => m.key)}
+            selected={metricKeys}
+            onChange={setMetricKeys}
+            renderLabel={(key) => metricTitle(metricByKey[key])}
+          />
+        </div>
+
+        <p className="text-sm text-slate-500 mt-4">
+          Ranks are computed over all schedulers selected in Settings, using the current ranking strategy, so they match the trial view.
+        </p>
+
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={handleDownload}
+            disabled={!canDownload}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50"
+          >
+            <Download size={20} />
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportDialog;
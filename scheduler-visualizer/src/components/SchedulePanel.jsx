@@ -0,0 +1,232 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { GanttChart as GanttIcon, Upload, ZoomIn, ZoomOut, ChevronLeft, ChevronRight, Maximize2 } from 'lucide-react';
+import GanttChart from './GanttChart.jsx';
+import {
+  scheduleEnd,
+  scheduleLanes,
+  securityRange,
+  securityColor,
+  zoomDomain,
+  panDomain,
+  UNKNOWN_SECURITY_COLOR
+} from '../lib/schedules.js';
+import { formatValue } from '../lib/numberFormat.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { SchedulerSwatch } from './SchedulerMarker.jsx';
+
+// Beyond this many distinct security levels the legend shows a gradient
+const MAX_LEGEND_LEVELS = 8;
+const ZOOM_STEP = 0.5;
+const PAN_STEP = 0.25;
+// Headroom to the right of the latest finish or the deadline
+const DOMAIN_PADDING = 1.02;
+
+const NONE = '';
+
+const SecurityLegend = ({ range, hasUnknown }) => (
+  <div className="flex flex-wrap items-center gap-3 text-sm text-slate-600">
+    <span>Security level:</span>
+    {range && range.levels.length <= MAX_LEGEND_LEVELS && range.levels.map(level => (
+      <span key={level} className="flex items-center gap-1">
+        <span className="w-4 h-4 rounded" style={{ backgroundColor: securityColor(level, range) }} />
+        {level}
+      </span>
+    ))}
+    {range && range.levels.length > MAX_LEGEND_LEVELS && (
+      <span className="flex items-center gap-2">
+        {range.min}
+        <span
+          className="w-32 h-4 rounded"
+          style={{ background: `linear-gradient(to right, ${[0, 0.5, 1].map(f => securityColor(range.min + f * (range.max - range.min), range)).join(', ')})` }}
+        />
+        {range.max}
+      </span>
+    )}
+    {hasUnknown && (
+      <span className="flex items-center gap-1">
+        <span className="w-4 h-4 rounded" style={{ backgroundColor: UNKNOWN_SECURITY_COLOR }} />
+        Not recorded
+      </span>
+    )}
+  </div>
+);
+
+// Per-task schedules for the selected trial: two schedulers' Gantt charts
+// side by side on a shared, zoomable time axis, plus the schedule import.
+// `onImport(text, scheduler)` loads a schedule file and returns
+// { taskCount, diagnostics }; `scheduler` is the one rows without a
+// scheduler column are linked to.
+const SchedulePanel = ({ trialId, trial, schedules, schedulerColors, styles = {}, locale = 'plain', onImport }) => {
+  const available = useMemo(() => Object.keys(schedules).sort(), [schedules]);
+  const [left, setLeft] = useState(NONE);
+  const [right, setRight] = useState(NONE);
+  const [domain, setDomain] = useState(null);
+  const [linkScheduler, setLinkScheduler] = useState(NONE);
+  const [message, setMessage] = useState(null);
+
+  const trialSchedulers = trial.schedulers.map(s => s.name);
+  const shownLeft = available.includes(left) ? left : available[0];
+  // The right-hand chart defaults to the next scheduler with a schedule
+  const shownRight = available.includes(right) && right !== shownLeft ? right : available.find(s => s !== shownLeft);
+  const shown = [shownLeft, shownRight].filter(s => s !== undefined);
+
+  useEffect(() => {
+    setDomain(null);
+  }, [trialId]);
+
+  const shownTasks = useMemo(
+    () => [shownLeft, shownRight].filter(s => s !== undefined).flatMap(s => schedules[s]),
+    [schedules, shownLeft, shownRight]
+  );
+  const fullDomain = [0, Math.max(scheduleEnd(shownTasks), Number.isFinite(trial.deadline) ? trial.deadline : 0, 1) * DOMAIN_PADDING];
+  const view = domain || fullDomain;
+  const range = useMemo(() => securityRange(shownTasks), [shownTasks]);
+  const hasUnknown = shownTasks.some(t => t.security === null);
+
+  const setView = ([start, end]) => {
+    // Never zoom out past the whole schedule
+    if (end - start >= fullDomain[1] - fullDomain[0]) setDomain(null);
+    else setDomain(panDomain([start, end], 0, fullDomain));
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const { taskCount, diagnostics } = onImport(await file.text(), linkScheduler || undefined);
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    setMessage({
+      type: errors.length > 0 ? 'error' : 'info',
+      text: errors.length > 0 ? `${file.name} was not loaded.` : `Loaded ${taskCount} tasks from ${file.name}.`,
+      diagnostics
+    });
+  };
+
+  const iconButton = 'p-2 bg-white border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-100 disabled:opacity-40';
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <GanttIcon className="text-blue-600" />
+          Schedules for Trial Run {trialId}
+        </h2>
+        <div className="flex items-center gap-2 flex-wrap text-sm">
+          <select
+            value={linkScheduler}
+            onChange={(e) => setLinkScheduler(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg"
+            title="Scheduler for files that have no scheduler column; files without a trial column belong to this trial"
+          >
+            <option value={NONE}>File names the scheduler</option>
+            {trialSchedulers.map(s => (
+              <option key={s} value={s}>Rows are {s}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 px-3 py-2 bg-slate-600 text-white rounded-lg cursor-pointer hover:bg-slate-700 transition">
+            <Upload size={16} />
+            Load Schedule
+            <input type="file" accept=".csv,.txt" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`text-sm mb-4 ${message.type === 'error' ? 'text-red-700' : 'text-slate-600'}`}>
+          <p>{message.text}</p>
+          {message.diagnostics.length > 0 && (
+            <ul className="mt-1 font-mono text-xs max-h-32 overflow-y-auto">
+              {message.diagnostics.map((d, idx) => (
+                <li key={idx} className={d.severity === 'error' ? 'text-red-700' : 'text-amber-700'}>
+                  {d.line !== null ? `line ${d.line}: ` : ''}{d.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {available.length === 0 ? (
+        <p className="text-slate-600">
+          No schedule detail loaded for this trial. Load a CSV with task, processor, start, finish and
+          (optionally) security_level columns, plus trial and scheduler columns or the scheduler picked above.
+        </p>
+      ) : (
+        <>
+          <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+            <div className="flex items-center gap-2 flex-wrap text-sm">
+              <select value={shownLeft} onChange={(e) => setLeft(e.target.value)} className="px-3 py-2 border border-slate-300 rounded-lg">
+                {available.map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+              <span className="text-slate-500">vs</span>
+              <select
+                value={shownRight === undefined ? NONE : shownRight}
+                onChange={(e) => setRight(e.target.value)}
+                className="px-3 py-2 border border-slate-300 rounded-lg"
+              >
+                {available.length === 1 && <option value={NONE}>None</option>}
+                {available.filter(s => s !== shownLeft).map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+            </div>
+            <div className="flex items-center gap-2 text-sm">
+              <button onClick={() => setView(panDomain(view, -PAN_STEP, fullDomain))} disabled={!domain} className={iconButton} title="Pan left">
+                <ChevronLeft size={16} />
+              </button>
+              <button onClick={() => setView(zoomDomain(view, ZOOM_STEP))} className={iconButton} title="Zoom in">
+                <ZoomIn size={16} />
+              </button>
+              <button onClick={() => setView(zoomDomain(view, 1 / ZOOM_STEP))} disabled={!domain} className={iconButton} title="Zoom out">
+                <ZoomOut size={16} />
+              </button>
+              <button onClick={() => setDomain(null)} disabled={!domain} className={iconButton} title="Show the whole schedule">
+                <Maximize2 size={16} />
+              </button>
+              <button onClick={() => setView(panDomain(view, PAN_STEP, fullDomain))} disabled={!domain} className={iconButton} title="Pan right">
+                <ChevronRight size={16} />
+              </button>
+              <span className="text-slate-500 ml-2">
+                t = {formatValue(view[0], locale, 2)} to {formatValue(view[1], locale, 2)}
+              </span>
+            </div>
+          </div>
+
+          <div className={`grid grid-cols-1 ${shown.length > 1 ? 'lg:grid-cols-2' : ''} gap-6`}>
+            {shown.map(s => {
+              const tasks = schedules[s];
+              const makespan = scheduleEnd(tasks);
+              return (
+                <div key={s}>
+                  <h3 className="text-lg font-semibold text-slate-700 mb-1 flex items-center gap-2">
+                    <SchedulerSwatch color={schedulerColors[s]} shape={styleFor(styles, s).marker} size={16} />
+                    {s}
+                  </h3>
+                  <p className={`text-sm mb-2 ${makespan > trial.deadline ? 'text-red-700' : 'text-slate-500'}`}>
+                    {tasks.length} tasks on {scheduleLanes(tasks).length} processors, finishing at {formatValue(makespan, locale, 2)}
+                    {makespan > trial.deadline && ' (after the deadline)'}
+                  </p>
+                  <GanttChart
+                    tasks={tasks}
+                    domain={view}
+                    deadline={trial.deadline}
+                    security={range}
+                    locale={locale}
+                    onZoom={setView}
+                    onReset={() => setDomain(null)}
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="mt-4 flex items-center justify-between flex-wrap gap-3">
+            <SecurityLegend range={range} hasUnknown={hasUnknown} />
+            <p className="text-sm text-slate-500">Drag across a chart to zoom in; double-click to reset.</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SchedulePanel;
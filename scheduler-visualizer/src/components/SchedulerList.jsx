@@ -0,0 +1,164 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { Pencil } from 'lucide-react';
+import { useVirtualRows } from './VirtualList.jsx';
+import { SchedulerSwatch } from './SchedulerMarker.jsx';
+import { styleFor } from '../lib/schedulerStyles.js';
+
+const ROW_HEIGHT = 62;
+const MIN_COLUMN_WIDTH = 280;
+const MAX_COLUMNS = 3;
+
+// Scheduler checkboxes and colour pickers laid out in a responsive grid whose
+// rows are virtualised, so sweeps with many schedulers stay responsive.
+// `validateAlias` returns why an alias cannot be used, or null when it can.
+// Arrow keys move between the checkboxes, scrolling rows into the window.
+const SchedulerList = ({ schedulers, selected, colors, styles = {}, aliases = {}, onToggle, onColorChange, onAliasChange, validateAlias }) => {
+  const [editing, setEditing] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [pendingFocus, setPendingFocus] = useState(null);
+  const checkboxes = useRef(new Map());
+  const hintId = useId();
+
+  // Column count follows the container width, starting at one column until
+  // the container has been measured
+  const columnsFor = (width) => Math.min(MAX_COLUMNS, Math.max(1, Math.floor(width / MIN_COLUMN_WIDTH)));
+  const { containerRef, onScroll, width, start, end, padTop, padBottom } = useVirtualRows(
+    (w) => Math.ceil(schedulers.length / columnsFor(w)),
+    ROW_HEIGHT
+  );
+  const columns = columnsFor(width);
+
+  // The checkbox to focus may only mount once its row has scrolled in
+  useEffect(() => {
+    const checkbox = pendingFocus && checkboxes.current.get(pendingFocus);
+    if (!checkbox) return;
+    checkbox.focus();
+    setPendingFocus(null);
+  }, [pendingFocus, start, end]);
+
+  const keySteps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+
+  const onKeyDown = (e) => {
+    const from = schedulers.indexOf(e.target.dataset.scheduler);
+    if (from === -1) return;
+    let to;
+    if (e.key in keySteps) to = Math.max(0, Math.min(schedulers.length - 1, from + keySteps[e.key]));
+    else if (e.key === 'Home') to = 0;
+    else if (e.key === 'End') to = schedulers.length - 1;
+    else return;
+    e.preventDefault();
+
+    const container = containerRef.current;
+    const top = Math.floor(to / columns) * ROW_HEIGHT;
+    if (top < container.scrollTop) container.scrollTop = top;
+    else if (top + ROW_HEIGHT > container.scrollTop + container.clientHeight) container.scrollTop = top + ROW_HEIGHT - container.clientHeight;
+    setPendingFocus(schedulers[to]);
+  };
+
+  const startEditing = (scheduler) => {
+    setEditing({ name: scheduler, value: aliases[scheduler] || '' });
+    setEditError(null);
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const error = validateAlias ? validateAlias(editing.name, editing.value) : null;
+    if (error) {
+      setEditError(error);
+      return;
+    }
+    onAliasChange(editing.name, editing.value);
+    setEditing(null);
+    setEditError(null);
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setEditError(null);
+  };
+
+  return (
+    <>
+      {editError && <p className="text-sm text-red-700 mb-2">{editError}</p>}
+      <p id={hintId} className="sr-only">Arrow keys, Home and End move between schedulers; Space shows or hides one.</p>
+      <div
+        ref={containerRef}
+        onScroll={onScroll}
+        onKeyDown={onKeyDown}
+        role="group"
+        aria-label="Schedulers"
+        aria-describedby={hintId}
+        className="max-h-96 overflow-y-auto p-4 bg-slate-50 rounded-lg"
+      >
+        <div style={{ height: padTop }} />
+        {Array.from({ length: end - start }, (_, offset) => {
+          const row = start + offset;
+          return (
+            <div
+              key={row}
+              className="grid gap-3 pb-3"
+              style={{ height: ROW_HEIGHT, gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+            >
+              {schedulers.slice(row * columns, (row + 1) * columns).map(scheduler => (
+                <div key={scheduler} className="flex items-center gap-3 p-2 bg-white rounded border border-slate-200">
+                  <input
+                    type="checkbox"
+                    ref={(el) => (el ? checkboxes.current.set(scheduler, el) : checkboxes.current.delete(scheduler))}
+                    data-scheduler={scheduler}
+                    checked={selected[scheduler] || false}
+                    onChange={() => onToggle(scheduler)}
+                    aria-label={`Show ${aliases[scheduler] || scheduler}`}
+                    className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                  />
+                  <input
+                    type="color"
+                    value={colors[scheduler] || '#000000'}
+                    onChange={(e) => onColorChange(scheduler, e.target.value)}
+                    aria-label={`Colour of ${aliases[scheduler] || scheduler}`}
+                    className="w-10 h-8 rounded cursor-pointer"
+                  />
+                  <SchedulerSwatch color={colors[scheduler]} shape={styleFor(styles, scheduler).marker} />
+                  {editing && editing.name === scheduler ? (
+                    <input
+                      type="text"
+                      autoFocus
+                      value={editing.value}
+                      placeholder={scheduler}
+                      onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitEdit();
+                        if (e.key === 'Escape') cancelEdit();
+                      }}
+                      onBlur={commitEdit}
+                      aria-label={`Display name of ${scheduler}`}
+                      className={`flex-1 min-w-0 px-2 py-1 border rounded text-sm ${editError ? 'border-red-400' : 'border-slate-300'}`}
+                      title="Display name; leave empty to use the scheduler's own name"
+                    />
+                  ) : (
+                    <div className="flex-1 min-w-0" title={scheduler}>
+                      <div className="text-sm text-slate-700 truncate">{aliases[scheduler] || scheduler}</div>
+                      {aliases[scheduler] && <div className="text-xs text-slate-400 truncate">{scheduler}</div>}
+                    </div>
+                  )}
+                  {onAliasChange && !(editing && editing.name === scheduler) && (
+                    <button
+                      onClick={() => startEditing(scheduler)}
+                      className="p-1 text-slate-400 hover:text-blue-600"
+                      title="Set a display name"
+                      aria-label={`Set a display name for ${scheduler}`}
+                    >
+                      <Pencil size={14} />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+        <div style={{ height: padBottom }} />
+      </div>
+    </>
+  );
+};
+
+export default SchedulerList;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { markerPath, styleFor } from '../lib/schedulerStyles.js';
+
+// Scheduler markers for the charts and tables, so that shape and line style
+// tell schedulers apart along with colour (see schedulerStyles.js)
+
+export const MarkerShape = ({ shape, cx, cy, r = 4, fill, stroke, strokeWidth = 1.5, ...rest }) => (
+  <path d={markerPath(shape, cx, cy, r)} fill={fill} stroke={stroke} strokeWidth={strokeWidth} {...rest} />
+);
+
+// The small marker next to a scheduler's name in tables and toggles
+export const SchedulerSwatch = ({ color, shape = 'circle', size = 14 }) => (
+  <svg width={size} height={size} viewBox="0 0 14 14" aria-hidden="true" className="shrink-0">
+    <MarkerShape shape={shape} cx={7} cy={7} r={5} fill={color} stroke="#0F172A" strokeWidth={0.75} />
+  </svg>
+);
+
+// Recharts legend content: each entry's dash pattern with its marker on it
+export const MarkerLegend = ({ payload = [], styles }) => (
+  <ul className="flex flex-wrap justify-center gap-x-4 gap-y-1 text-sm">
+    {payload.map(entry => {
+      const style = styleFor(styles, entry.value);
+      return (
+        <li key={entry.value} className="flex items-center gap-1">
+          <svg width="32" height="12" aria-hidden="true">
+            <line x1="0" x2="32" y1="6" y2="6" stroke={entry.color} strokeWidth="2" strokeDasharray={style.dash} />
+            <MarkerShape shape={style.marker} cx={16} cy={6} r={4} fill="#FFFFFF" stroke={entry.color} strokeWidth={2} />
+          </svg>
+          <span style={{ color: entry.color }}>{entry.value}</span>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+// Category axis tick for bar charts: the scheduler's marker before its name
+export const SchedulerTick = ({ x, y, payload, styles, colors }) => (
+  <g transform={`translate(${x},${y})`}>
+    <MarkerShape shape={styleFor(styles, payload.value).marker} cx={-8} cy={0} r={5} fill={colors[payload.value]} stroke="#0F172A" strokeWidth={0.75} />
+    <text x={-18} y={0} dy={4} textAnchor="end" fill="#475569" fontSize={12}>{payload.value}</text>
+  </g>
+);
@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { Search, Users, Palette, X } from 'lucide-react';
+import SchedulerList from './SchedulerList.jsx';
+import { PALETTES } from '../lib/colors.js';
+import {
+  filterSchedulers,
+  setSelection,
+  invertSelection,
+  groupSelectionState,
+  toggleGroup,
+  mergeGroups,
+  displayName,
+  aliasConflict
+} from '../lib/schedulers.js';
+
+const GROUP_PRESSED = { all: 'true', some: 'mixed', none: 'false' };
+
+const GROUP_STYLES = {
+  all: 'bg-blue-600 text-white border-blue-600',
+  some: 'bg-blue-100 text-blue-800 border-blue-300',
+  none: 'bg-white text-slate-700 border-slate-300 hover:bg-slate-100'
+};
+
+// Scheduler selection for large sweeps: a name filter, bulk actions on the
+// matching schedulers, saved groups toggled together, display aliases and
+// the colour palette. The bulk actions only touch the schedulers the filter
+// currently shows.
+const SchedulerSelector = ({
+  schedulers,
+  selected,
+  colors,
+  styles,
+  aliases,
+  groups,
+  palette,
+  onSelectionChange,
+  onColorChange,
+  onAliasChange,
+  onGroupsChange,
+  onPaletteChange,
+  onReassignColors
+}) => {
+  const [query, setQuery] = useState('');
+  const [groupName, setGroupName] = useState('');
+
+  const label = (name) => displayName(aliases, name);
+  const { names: matching, error } = useMemo(
+    () => filterSchedulers(schedulers, query, (name) => displayName(aliases, name)),
+    [schedulers, query, aliases]
+  );
+
+  const saveGroup = (members) => {
+    const name = groupName.trim();
+    if (!name || members.length === 0) return;
+    onGroupsChange(mergeGroups(groups, [{ name, members }]));
+    setGroupName('');
+  };
+
+  const bulkButton = 'px-3 py-1 bg-white text-slate-700 hover:bg-slate-100';
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <div className="relative flex-1 min-w-[16rem]">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Filter by name or regular expression, e.g. ^HEFT|CPOP"
+            aria-label="Filter schedulers"
+            className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm"
+          />
+        </div>
+        <span className="text-sm text-slate-500">
+          {query.trim() ? `${matching.length} of ${schedulers.length} match` : `${schedulers.length} schedulers`}
+        </span>
+        <div className="flex rounded-lg border border-slate-300 overflow-hidden text-sm divide-x divide-slate-300">
+          <button onClick={() => onSelectionChange(setSelection(selected, matching, true))} className={bulkButton}>
+            All
+          </button>
+          <button onClick={() => onSelectionChange(setSelection(selected, matching, false))} className={bulkButton}>
+            None
+          </button>
+          <button onClick={() => onSelectionChange(invertSelection(selected, matching))} className={bulkButton}>
+            Invert
+          </button>
+        </div>
+      </div>
+      {error && (
+        <p className="text-xs text-amber-700 mb-2">
+          Not a valid regular expression ({error}); matching as plain text.
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <Users size={18} className="text-slate-500" />
+        {groups.length === 0 && <span className="text-sm text-slate-500">No groups yet.</span>}
+        {groups.map(group => {
+          const state = groupSelectionState(group, selected, schedulers);
+          return (
+            <div key={group.name} className={`flex items-center rounded-full border text-sm ${GROUP_STYLES[state]}`}>
+              <button
+                onClick={() => onSelectionChange(toggleGroup(selected, group, schedulers))}
+                aria-pressed={GROUP_PRESSED[state]}
+                className="pl-3 pr-1 py-1"
+                title={group.members.map(label).join(', ')}
+              >
+                {group.name} ({group.members.length})
+              </button>
+              <button
+                onClick={() => onGroupsChange(groups.filter(g => g.name !== group.name))}
+                className="pr-2 pl-1 py-1 opacity-70 hover:opacity-100"
+                title="Delete group"
+                aria-label={`Delete group ${group.name}`}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+        <input
+          type="text"
+          value={groupName}
+          onChange={(e) => setGroupName(e.target.value)}
+          placeholder="New group name"
+          className="px-3 py-1 border border-slate-300 rounded-lg text-sm"
+        />
+        <button
+          onClick={() => saveGroup(schedulers.filter(s => selected[s]))}
+          disabled={!groupName.trim()}
+          className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          Save selected
+        </button>
+        <button
+          onClick={() => saveGroup(matching)}
+          disabled={!groupName.trim() || !query.trim()}
+          className="px-3 py-1 bg-slate-600 text-white rounded-lg text-sm hover:bg-slate-700 transition disabled:opacity-50"
+        >
+          Save matching
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <Palette size={18} className="text-slate-500" />
+        <select
+          value={palette}
+          onChange={(e) => onPaletteChange(e.target.value)}
+          className="px-3 py-1 border border-slate-300 rounded-lg text-sm"
+          title="Palette used for schedulers without a colour"
+          aria-label="Colour palette"
+        >
+          {Object.entries(PALETTES).map(([key, p]) => (
+            <option key={key} value={key}>{p.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={onReassignColors}
+          className="px-3 py-1 bg-white border border-slate-300 text-slate-700 rounded-lg text-sm hover:bg-slate-100"
+          title="Replace every scheduler's colour with the one picked by its name from this palette; names that would clash take the next free colour, so colours depend on which schedulers are loaded"
+        >
+          Reassign colours
+        </button>
+      </div>
+
+      <SchedulerList
+        schedulers={matching}
+        selected={selected}
+        colors={colors}
+        styles={styles}
+        aliases={aliases}
+        onToggle={(name) => onSelectionChange({ ...selected, [name]: !selected[name] })}
+        onColorChange={onColorChange}
+        onAliasChange={onAliasChange}
+        validateAlias={(name, alias) => aliasConflict(aliases, schedulers, name, alias)}
+      />
+    </div>
+  );
+};
+
+export default SchedulerSelector;
@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { SlidersHorizontal } from 'lucide-react';
+import { formatMetric, metricTitle, directionHint } from '../lib/metrics.js';
+import {
+  SENSITIVITY_PARAMETERS,
+  RANK_MEASURE,
+  FEASIBILITY_MEASURE,
+  sensitivitySeries,
+  breakdownPoints
+} from '../lib/sensitivity.js';
+import { formatNumber, formatValue, formatPercent } from '../lib/numberFormat.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { countOf } from '../lib/chartSummaries.js';
+import ChartFigure from './ChartFigure.jsx';
+import { MarkerShape, MarkerLegend, SchedulerSwatch } from './SchedulerMarker.jsx';
+
+// With more distinct values than this, "auto" grouping switches to bins
+const AUTO_BIN_LIMIT = 30;
+const AUTO_BINS = 10;
+const BREAKDOWN_THRESHOLD = 0.5;
+
+const GROUPINGS = [
+  ['auto', 'Auto'],
+  ['0', 'Exact values'],
+  ['5', '5 bins'],
+  ['10', '10 bins'],
+  ['20', '20 bins']
+];
+
+const SensitivityPanel = ({ trialsData, schedulers, metrics, ranking, rankingMetrics, schedulerColors, styles = {}, locale = 'plain' }) => {
+  const [parameter, setParameter] = useState('deadline');
+  const [measure, setMeasure] = useState(FEASIBILITY_MEASURE);
+  const [grouping, setGrouping] = useState('auto');
+
+  const distinctValues = useMemo(
+    () => new Set(Object.values(trialsData).map(t => t[parameter])).size,
+    [trialsData, parameter]
+  );
+  const bins = grouping === 'auto'
+    ? (distinctValues > AUTO_BIN_LIMIT ? AUTO_BINS : 0)
+    : parseInt(grouping, 10);
+
+  const metric = metrics.find(m => m.key === measure);
+  const activeMeasure = metric || measure === RANK_MEASURE ? measure : FEASIBILITY_MEASURE;
+
+  const rows = useMemo(
+    () => sensitivitySeries(trialsData, schedulers, { parameter, measure: activeMeasure, bins, ranking, metrics: rankingMetrics, locale }),
+    [trialsData, schedulers, parameter, activeMeasure, bins, ranking, rankingMetrics, locale]
+  );
+  const feasibilityRows = useMemo(
+    () => (activeMeasure === FEASIBILITY_MEASURE
+      ? rows
+      : sensitivitySeries(trialsData, schedulers, { parameter, measure: FEASIBILITY_MEASURE, bins, locale })),
+    [rows, activeMeasure, trialsData, schedulers, parameter, bins, locale]
+  );
+  const breakdown = breakdownPoints(feasibilityRows, schedulers, parameter, BREAKDOWN_THRESHOLD);
+
+  const parameterLabel = SENSITIVITY_PARAMETERS[parameter].label;
+  const formatMeasure = (value) => {
+    if (value === undefined || value === null) return '-';
+    if (activeMeasure === FEASIBILITY_MEASURE) return formatPercent(value, 0, locale);
+    if (activeMeasure === RANK_MEASURE) return formatNumber(value, 2, locale);
+    return formatMetric(metric, value);
+  };
+  const measureLabel = activeMeasure === FEASIBILITY_MEASURE
+    ? 'Feasibility Rate (Higher is Better)'
+    : activeMeasure === RANK_MEASURE
+      ? 'Mean Rank (Lower is Better)'
+      : `${metricTitle(metric)} (${directionHint(metric)})`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <SlidersHorizontal className="text-blue-600" />
+          Sensitivity to Trial Parameters
+        </h2>
+        <div className="flex items-center gap-3 flex-wrap">
+          <div className="flex rounded-lg border border-slate-300 overflow-hidden text-sm">
+            {Object.entries(SENSITIVITY_PARAMETERS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setParameter(key)}
+                className={`px-3 py-1 ${parameter === key ? 'bg-blue-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={activeMeasure}
+            onChange={(e) => setMeasure(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+          >
+            <option value={FEASIBILITY_MEASURE}>Feasibility rate</option>
+            <option value={RANK_MEASURE}>Rank</option>
+            {metrics.map(m => (
+              <option key={m.key} value={m.key}>{metricTitle(m)}</option>
+            ))}
+          </select>
+          <select
+            value={grouping}
+            onChange={(e) => setGrouping(e.target.value)}
+            className="px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            title="How trials sharing a parameter value are grouped"
+          >
+            {GROUPINGS.map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-sm text-slate-500 mb-3">
+        {distinctValues} distinct {parameterLabel.toLowerCase()} values across {Object.keys(trialsData).length} trials,
+        {' '}{bins ? `grouped into ${bins} equal-width bins` : 'one point per value'}. Each point is the mean over the trials in its group.
+      </p>
+
+      <h3 className="text-lg font-semibold text-slate-700 mb-3">{measureLabel} vs {parameterLabel}</h3>
+      <ChartFigure
+        label={`${measureLabel} vs ${parameterLabel}`}
+        description={`Line chart of ${measureLabel.toLowerCase()} against ${parameterLabel.toLowerCase()} for ${countOf(schedulers.length, 'scheduler')}, `
+          + `one point per group of trials. Schedulers that break down: ${breakdown.filter(b => b.breaksAt !== null).length} of ${schedulers.length}; see the breakdown table.`}
+        getTable={() => ({
+          columns: [parameterLabel, ...schedulers],
+          rows: rows.map(row => [row.label, ...schedulers.map(s => formatMeasure(row[s]))])
+        })}
+      >
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart data={rows} accessibilityLayer>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(v) => formatValue(v, locale, 3)}
+              label={{ value: parameterLabel, position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis
+              reversed={activeMeasure === RANK_MEASURE}
+              domain={activeMeasure === FEASIBILITY_MEASURE ? [0, 1] : ['auto', 'auto']}
+              tickFormatter={activeMeasure === FEASIBILITY_MEASURE ? (v) => formatPercent(v, 0, locale) : (v) => formatValue(v, locale)}
+            />
+            <Tooltip
+              formatter={(value, name, item) => [`${formatMeasure(value)} (n=${item.payload[`${name}__n`]})`, name]}
+              labelFormatter={(x, payload) => {
+                const row = payload && payload[0] && payload[0].payload;
+                return row ? `${parameterLabel} ${row.label} (${row.count} trials)` : x;
+              }}
+            />
+            <Legend content={<MarkerLegend styles={styles} />} />
+            {schedulers.map(s => (
+              <Line
+                key={s}
+                type="linear"
+                dataKey={s}
+                name={s}
+                stroke={schedulerColors[s]}
+                strokeWidth={2}
+                strokeDasharray={styleFor(styles, s).dash}
+                dot={({ key, cx, cy, stroke }) => (Number.isFinite(cx) && Number.isFinite(cy)
+                  ? <MarkerShape key={key} shape={styleFor(styles, s).marker} cx={cx} cy={cy} r={3} fill="#FFFFFF" stroke={stroke} />
+                  : <g key={key} />)}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+
+      <div className="mt-6 overflow-x-auto">
+        <h3 className="text-lg font-semibold text-slate-700 mb-3">
+          Breakdown Points (feasibility below {formatPercent(BREAKDOWN_THRESHOLD, 0, locale)})
+        </h3>
+        <table className="w-full border-collapse text-sm">
+          <thead>
+            <tr className="bg-slate-100">
+              <th className="border border-slate-300 px-3 py-2 text-left">Scheduler</th>
+              <th className="border border-slate-300 px-3 py-2 text-left">Still feasible at {parameterLabel}</th>
+              <th className="border border-slate-300 px-3 py-2 text-left">Breaks down at {parameterLabel}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {breakdown.map(b => (
+              <tr key={b.name} className="hover:bg-slate-50">
+                <td className="border border-slate-300 px-3 py-2">
+                  <div className="flex items-center gap-2">
+                    <SchedulerSwatch color={schedulerColors[b.name]} shape={styleFor(styles, b.name).marker} size={16} />
+                    {b.name}
+                  </div>
+                </td>
+                <td className="border border-slate-300 px-3 py-2">{b.lastOk ?? '-'}</td>
+                <td className={`border border-slate-300 px-3 py-2 ${b.breaksAt ? 'text-red-700 font-semibold' : 'text-green-700'}`}>
+                  {b.breaksAt ?? 'Never'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-sm text-slate-500 mt-2">
+          Groups are walked from the loosest to the tightest {parameterLabel.toLowerCase()}
+          {' '}({SENSITIVITY_PARAMETERS[parameter].harder} is tighter); a scheduler breaks down at the first group where fewer than
+          {' '}{formatPercent(BREAKDOWN_THRESHOLD, 0, locale)} of its schedules meet both constraints.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SensitivityPanel;
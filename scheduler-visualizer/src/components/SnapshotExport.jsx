@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Camera } from 'lucide-react';
+import { snapshotToHtml, SNAPSHOT_ASSET_ATTRIBUTE } from '../lib/snapshot.js';
+import { downloadBlob } from '../charts/exporters.js';
+
+const fetchText = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not fetch ${url} (${response.status})`);
+  return response.text();
+};
+
+// The running app's own bundle: linked files in a normal build, inline
+// elements when this page is itself a snapshot
+const collectAssets = async () => {
+  const inlined = (selector) => Array.from(document.querySelectorAll(selector)).map(el => el.textContent);
+
+  const scripts = [
+    ...inlined(`script[type="module"][${SNAPSHOT_ASSET_ATTRIBUTE}]`),
+    ...await Promise.all(Array.from(document.querySelectorAll('script[type="module"][src]')).map(s => fetchText(s.src)))
+  ];
+  const styles = [
+    ...inlined(`style[${SNAPSHOT_ASSET_ATTRIBUTE}]`),
+    ...await Promise.all(Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(l => fetchText(l.href)))
+  ];
+
+  return { scripts, styles };
+};
+
+const SnapshotExport = ({ buildSnapshot, baseName }) => {
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSave = async () => {
+    // The dev server serves hundreds of separate modules that cannot be inlined
+    if (import.meta.env.DEV) {
+      setStatus('Snapshots need a production build: run "npm run build" then "npm run preview".');
+      return;
+    }
+
+    setBusy(true);
+    setStatus('Saving snapshot...');
+    try {
+      const html = snapshotToHtml(buildSnapshot(), { title: `${baseName} - Scheduler Visualizer`, ...await collectAssets() });
+      downloadBlob(new Blob([html], { type: 'text/html' }), `${baseName}_snapshot.html`);
+      setStatus('Snapshot saved.');
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      setStatus(`Snapshot failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={handleSave}
+        disabled={busy}
+        className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition disabled:opacity-50"
+        title="Save an offline HTML copy with the data and the current view"
+      >
+        <Camera size={20} />
+        Save Snapshot
+      </button>
+      {status && <span className="text-sm text-slate-600">{status}</span>}
+    </div>
+  );
+};
+
+export default SnapshotExport;
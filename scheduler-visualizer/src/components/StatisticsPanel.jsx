@@ -0,0 +1,278 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell, ErrorBar } from 'recharts';
+import { Sigma } from 'lucide-react';
+import { formatMetric, metricTitle, directionHint } from '../lib/metrics.js';
+import { summariseTrials, pairwiseWilcoxon, criticalDifferenceCliques } from '../lib/statistics.js';
+import { formatNumber, formatValue } from '../lib/numberFormat.js';
+import { describeBars } from '../lib/chartSummaries.js';
+import { styleFor } from '../lib/schedulerStyles.js';
+import { useVirtualRows, SpacerRow } from './VirtualList.jsx';
+import ChartFigure from './ChartFigure.jsx';
+import { SchedulerSwatch, SchedulerTick } from './SchedulerMarker.jsx';
+
+// k schedulers give k(k-1)/2 pairs, so this table is windowed
+const WILCOXON_ROW_HEIGHT = 37;
+
+const formatP = (p, locale) => (p < 0.001 ? `<${formatNumber(0.001, 3, locale)}` : formatNumber(p, 3, locale));
+
+const CriticalDifferenceDiagram = ({ avgRanks, criticalDifference, k, colors, locale }) => {
+  const width = 800;
+  const axisY = 60;
+  const left = 160;
+  const right = width - 160;
+  const sorted = [...avgRanks].sort((a, b) => a.rank - b.rank);
+  const half = Math.ceil(sorted.length / 2);
+  const rowHeight = 22;
+  const cliques = criticalDifferenceCliques(avgRanks, criticalDifference);
+  const cliqueTop = axisY + 16;
+  const labelTop = cliqueTop + cliques.length * 8 + 20;
+  const height = labelTop + half * rowHeight + 10;
+  const x = (rank) => left + ((rank - 1) / Math.max(k - 1, 1)) * (right - left);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label="Critical difference diagram">
+      {/* CD interval */}
+      <line x1={x(1)} x2={x(1 + criticalDifference)} y1={18} y2={18} stroke="#0F172A" strokeWidth={2} />
+      <line x1={x(1)} x2={x(1)} y1={13} y2={23} stroke="#0F172A" />
+      <line x1={x(1 + criticalDifference)} x2={x(1 + criticalDifference)} y1={13} y2={23} stroke="#0F172A" />
+      <text x={(x(1) + x(1 + criticalDifference)) / 2} y={10} textAnchor="middle" fontSize={12}>
+        CD = {formatNumber(criticalDifference, 2, locale)}
+      </text>
+
+      {/* Rank axis */}
+      <line x1={left} x2={right} y1={axisY} y2={axisY} stroke="#0F172A" />
+      {Array.from({ length: k }, (_, i) => i + 1).map(r => (
+        <g key={r}>
+          <line x1={x(r)} x2={x(r)} y1={axisY - 6} y2={axisY} stroke="#0F172A" />
+          <text x={x(r)} y={axisY - 10} textAnchor="middle" fontSize={11}>{r}</text>
+        </g>
+      ))}
+
+      {/* Groups that are not significantly different */}
+      {cliques.map((clique, idx) => (
+        <line
+          key={idx}
+          x1={x(sorted[clique.start].rank) - 4}
+          x2={x(sorted[clique.end].rank) + 4}
+          y1={cliqueTop + idx * 8}
+          y2={cliqueTop + idx * 8}
+          stroke="#0F172A"
+          strokeWidth={4}
+        />
+      ))}
+
+      {/* Scheduler labels: best half on the left, worst half on the right */}
+      {sorted.map((s, idx) => {
+        const onLeft = idx < half;
+        const row = onLeft ? idx : sorted.length - 1 - idx;
+        const y = labelTop + row * rowHeight;
+        const labelX = onLeft ? left - 10 : right + 10;
+        return (
+          <g key={s.name}>
+            <polyline
+              points={`${x(s.rank)},${axisY} ${x(s.rank)},${y} ${labelX},${y}`}
+              fill="none"
+              stroke={colors[s.name] || '#64748B'}
+              strokeWidth={1.5}
+            />
+            <text x={labelX + (onLeft ? -4 : 4)} y={y + 4} textAnchor={onLeft ? 'end' : 'start'} fontSize={12}>
+              {s.name} ({formatNumber(s.rank, 2, locale)})
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const StatisticsPanel = ({ trialsData, schedulers, metrics, ranking, rankingMetrics, schedulerColors, styles = {}, locale = 'plain' }) => {
+  const [metricKey, setMetricKey] = useState(metrics[0]?.key);
+  const metric = metrics.find(m => m.key === metricKey) || metrics[0];
+
+  const summary = useMemo(
+    () => summariseTrials(trialsData, schedulers, ranking, rankingMetrics),
+    [trialsData, schedulers, ranking, rankingMetrics]
+  );
+  const wilcoxon = useMemo(
+    () => (metric ? pairwiseWilcoxon(trialsData, schedulers, metric) : []),
+    [trialsData, schedulers, metric]
+  );
+  const wilcoxonRows = useVirtualRows(wilcoxon.length, WILCOXON_ROW_HEIGHT);
+
+  if (!metric || schedulers.length === 0) return null;
+
+  const { perScheduler, friedman } = summary;
+
+  const chartData = perScheduler
+    .filter(s => s.stats[metric.key].n > 0)
+    .map(s => ({
+      name: s.name,
+      mean: s.stats[metric.key].mean,
+      ci: s.stats[metric.key].ciHalf,
+      color: schedulerColors[s.name]
+    }));
+
+  const rows = [...perScheduler].sort((a, b) => a.averageRank - b.averageRank);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4 flex-wrap gap-3">
+        <h2 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+          <Sigma className="text-blue-600" />
+          Statistical Summary Across Trials
+        </h2>
+        <select
+          value={metric.key}
+          onChange={(e) => setMetricKey(e.target.value)}
+          className="px-3 py-2 border border-slate-300 rounded-lg"
+        >
+          {metrics.map(m => (
+            <option key={m.key} value={m.key}>{metricTitle(m)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse text-sm" aria-label={`${metric.label} across trials`}>
+          <thead>
+            <tr className="bg-slate-100">
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-left">Scheduler</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Trials</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Mean</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">95% CI</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Median</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Std Dev</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Min</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Max</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Avg Rank</th>
+              <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Wins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(s => {
+              const st = s.stats[metric.key];
+              return (
+                <tr key={s.name} className="hover:bg-slate-50">
+                  <td className="border border-slate-300 px-3 py-2">
+                    <div className="flex items-center gap-2">
+                      <SchedulerSwatch color={schedulerColors[s.name]} shape={styleFor(styles, s.name).marker} size={16} />
+                      {s.name}
+                    </div>
+                  </td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{s.trials}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatMetric(metric, st.mean)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">
+                    {st.n > 0 ? `[${formatMetric(metric, st.ciLow)}, ${formatMetric(metric, st.ciHigh)}]` : '-'}
+                  </td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatMetric(metric, st.median)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatMetric(metric, st.stdDev)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatMetric(metric, st.min)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatMetric(metric, st.max)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">
+                    {Number.isFinite(s.averageRank) ? formatNumber(s.averageRank, 2, locale) : '-'}
+                  </td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{s.wins}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-8">
+        <h3 className="text-lg font-semibold text-slate-700 mb-3">
+          Mean {metricTitle(metric)} with 95% CI ({directionHint(metric)})
+        </h3>
+        <ChartFigure
+          label={`Mean ${metric.label} with 95% confidence intervals`}
+          description={`${describeBars(metric, chartData.map(d => ({ name: d.name, [metric.key]: d.mean })), 'as the mean across trials')} `
+            + 'The table above lists the means and their confidence intervals.'}
+        >
+          <ResponsiveContainer width="100%" height={400}>
+            <BarChart data={chartData} layout="vertical" margin={{ left: 150 }} accessibilityLayer>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" tickFormatter={(v) => formatValue(v, locale)} />
+              <YAxis type="category" dataKey="name" width={140} tick={<SchedulerTick styles={styles} colors={schedulerColors} />} />
+              <Tooltip formatter={(value) => formatMetric(metric, value)} />
+              <Bar dataKey="mean" name={metric.label}>
+                {chartData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={entry.color} />
+                ))}
+                <ErrorBar dataKey="ci" width={6} strokeWidth={1.5} stroke="#0F172A" direction="x" />
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartFigure>
+      </div>
+
+      <div className="mt-8">
+        <h3 className="text-lg font-semibold text-slate-700 mb-3">Friedman Test on Ranks</h3>
+        {friedman ? (
+          <>
+            <p className="text-slate-600 mb-4">
+              χ²({friedman.df}) = {formatNumber(friedman.statistic, 3, locale)}, p = {formatP(friedman.pValue, locale)} over
+              {' '}{friedman.n} complete trials and {friedman.k} schedulers.
+              {' '}{friedman.pValue < 0.05
+                ? 'Rankings differ significantly; schedulers joined by a bar are not significantly different (Nemenyi, α = 0.05).'
+                : 'No significant difference between rankings at α = 0.05.'}
+            </p>
+            <CriticalDifferenceDiagram
+              avgRanks={schedulers.map((name, idx) => ({ name, rank: friedman.avgRanks[idx] }))}
+              criticalDifference={friedman.criticalDifference}
+              k={friedman.k}
+              colors={schedulerColors}
+              locale={locale}
+            />
+          </>
+        ) : (
+          <p className="text-slate-600">
+            Needs at least two schedulers and two trials in which every selected scheduler ran.
+          </p>
+        )}
+      </div>
+
+      <div className="mt-8">
+        <h3 className="text-lg font-semibold text-slate-700 mb-3">
+          Pairwise Wilcoxon Signed-Rank Tests on {metric.label}
+        </h3>
+        <div ref={wilcoxonRows.containerRef} onScroll={wilcoxonRows.onScroll} className="overflow-auto max-h-[32rem]">
+          <table className="w-full border-collapse text-sm">
+            <thead className="sticky top-0">
+              <tr className="bg-slate-100">
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-left">Pair</th>
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-right">Non-tied Pairs</th>
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-right">W</th>
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-right">p</th>
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-right">p (Holm)</th>
+                <th scope="col" className="border border-slate-300 px-3 py-2 text-left">Better</th>
+              </tr>
+            </thead>
+            <tbody>
+              <SpacerRow height={wilcoxonRows.padTop} colSpan={6} />
+              {wilcoxon.slice(wilcoxonRows.start, wilcoxonRows.end).map(p => (
+                <tr
+                  key={`${p.a}-${p.b}`}
+                  className={p.adjustedPValue < 0.05 ? 'bg-green-50' : 'hover:bg-slate-50'}
+                  style={{ height: WILCOXON_ROW_HEIGHT }}
+                >
+                  <td className="border border-slate-300 px-3 py-2">{p.a} vs {p.b}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{p.n}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{p.statistic}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right">{formatP(p.pValue, locale)}</td>
+                  <td className="border border-slate-300 px-3 py-2 text-right font-semibold">{formatP(p.adjustedPValue, locale)}</td>
+                  <td className="border border-slate-300 px-3 py-2">{p.better || '-'}</td>
+                </tr>
+              ))}
+              <SpacerRow height={wilcoxonRows.padBottom} colSpan={6} />
+            </tbody>
+          </table>
+        </div>
+        <p className="text-sm text-slate-500 mt-2">
+          Highlighted pairs differ significantly after Holm correction (α = 0.05). Pairs with zero differences are excluded from W.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default StatisticsPanel;
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, Play, Pause } from 'lucide-react';
+import { formatNumber } from '../lib/numberFormat.js';
+
+const PLAY_SPEEDS = [
+  [2000, '0.5x'],
+  [1000, '1x'],
+  [500, '2x'],
+  [250, '4x']
+];
+
+const isTypingTarget = (target) => (
+  target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)
+);
+
+// Steps through the trials in `trialIds` order, so sparse and non-numeric IDs
+// work the same as 1..n. Navigation is by position, never by arithmetic on IDs.
+const TrialNavigator = ({ trialIds, trialsData, selectedTrial, onSelect, locale = 'plain' }) => {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1000);
+
+  const index = Math.max(0, trialIds.indexOf(selectedTrial));
+  const last = trialIds.length - 1;
+  const goTo = (next) => onSelect(trialIds[Math.min(last, Math.max(0, next))]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (index >= last) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => onSelect(trialIds[index + 1]), speed);
+    return () => clearTimeout(timer);
+  }, [playing, index, last, speed, trialIds, onSelect]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+
+      const actions = {
+        ArrowLeft: () => goTo(index - 1),
+        ArrowRight: () => goTo(index + 1),
+        Home: () => goTo(0),
+        End: () => goTo(last),
+        p: () => setPlaying(prev => !prev)
+      };
+      const action = actions[e.key];
+      if (!action) return;
+
+      e.preventDefault();
+      if (e.key !== 'p') setPlaying(false);
+      action();
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const togglePlay = () => {
+    // Playing from the last trial starts over from the first
+    if (!playing && index >= last) goTo(0);
+    setPlaying(!playing);
+  };
+
+  return (
+    <div className="flex items-center gap-3 flex-wrap">
+      <button
+        onClick={() => { setPlaying(false); goTo(index - 1); }}
+        disabled={index === 0}
+        className="p-2 border border-slate-300 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+        title="Previous trial (←)"
+      >
+        <ChevronLeft size={18} />
+      </button>
+
+      <select
+        value={String(trialIds[index])}
+        onChange={(e) => {
+          setPlaying(false);
+          onSelect(trialIds.find(id => String(id) === e.target.value));
+        }}
+        className="px-3 py-2 border border-slate-300 rounded-lg text-sm max-w-xs"
+        aria-label="Trial"
+      >
+        {trialIds.map(id => (
+          <option key={id} value={String(id)}>
+            Trial {id} (deadline {formatNumber(trialsData[id].deadline, 2, locale)}, utility {formatNumber(trialsData[id].securityUtility, 2, locale)})
+          </option>
+        ))}
+      </select>
+
+      <button
+        onClick={() => { setPlaying(false); goTo(index + 1); }}
+        disabled={index === last}
+        className="p-2 border border-slate-300 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+        title="Next trial (→)"
+      >
+        <ChevronRight size={18} />
+      </button>
+
+      <input
+        type="range"
+        min="0"
+        max={last}
+        value={index}
+        onChange={(e) => { setPlaying(false); goTo(parseInt(e.target.value, 10)); }}
+        disabled={last === 0}
+        className="w-40"
+        aria-label="Trial position"
+      />
+      <span className="text-sm text-slate-600">{index + 1} of {trialIds.length}</span>
+
+      <button
+        onClick={togglePlay}
+        disabled={last === 0}
+        className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm transition disabled:opacity-40 ${playing ? 'bg-blue-600 text-white hover:bg-blue-700' : 'border border-slate-300 hover:bg-slate-100'}`}
+        title="Play through trials (P)"
+      >
+        {playing ? <Pause size={16} /> : <Play size={16} />}
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <select
+        value={speed}
+        onChange={(e) => setSpeed(parseInt(e.target.value, 10))}
+        className="px-2 py-2 border border-slate-300 rounded-lg text-sm"
+        title="Playback speed"
+      >
+        {PLAY_SPEEDS.map(([ms, label]) => (
+          <option key={ms} value={ms}>{label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TrialNavigator;
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Windowed rendering for long lists and tables: only the rows inside the
+// scroll viewport (plus a little overscan) are mounted, and spacers stand in
+// for the rest. Rows must have a fixed height.
+
+// Used when layout gives no size (first paint, jsdom)
+const FALLBACK_VIEWPORT = 600;
+
+// `count` may also be a function of the container width, for grids whose
+// column count depends on it.
+export const useVirtualRows = (count, rowHeight, overscan = 8) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState({ width: 0, height: FALLBACK_VIEWPORT });
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return undefined;
+
+    const measure = () => setViewport({ width: el.clientWidth, height: el.clientHeight || FALLBACK_VIEWPORT });
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const rows = typeof count === 'function' ? count(viewport.width) : count;
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(rows, Math.ceil((scrollTop + viewport.height) / rowHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll: (e) => setScrollTop(e.currentTarget.scrollTop),
+    width: viewport.width,
+    start,
+    end,
+    padTop: start * rowHeight,
+    padBottom: Math.max(0, rows - end) * rowHeight
+  };
+};
+
+// Keeps the column layout of a virtualised <tbody> intact
+export const SpacerRow = ({ height, colSpan }) => (
+  height > 0 ? <tr aria-hidden="true" style={{ height }}><td colSpan={colSpan} className="p-0" /></tr> : null
+);
+
+const VirtualList = ({ items, rowHeight, maxHeight, renderItem, className = '' }) => {
+  const { containerRef, onScroll, start, end, padTop, padBottom } = useVirtualRows(items.length, rowHeight);
+
+  return (
+    <div ref={containerRef} onScroll={onScroll} className={`overflow-y-auto ${className}`} style={{ maxHeight }}>
+      <div style={{ height: padTop }} />
+      {items.slice(start, end).map((item, offset) => (
+        <div key={start + offset} style={{ height: rowHeight }}>
+          {renderItem(item, start + offset)}
+        </div>
+      ))}
+      <div style={{ height: padBottom }} />
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,238 @@
+// Data checks over a dataset's trials, so a broken simulator run is noticed
+// before it skews the charts and reports. Four kinds of finding:
+//
+//   range      a value no run can produce (zero makespan, utility above 1)
+//   outlier    a scheduler's value far from its own values in other trials
+//   missing    a scheduler absent from a trial the others ran in
+//   duplicate  a repeated row within a trial, or a scheduler's row copied
+//              unchanged from another trial
+//
+// Findings are { kind, severity, trial, scheduler, metric, message }, with
+// scheduler and metric null when they do not apply.
+
+import { median } from './statistics.js';
+import { sortedTrialIds } from './trends.js';
+import { formatMetric } from './metrics.js';
+import { formatNumber } from './numberFormat.js';
+
+export const ANOMALY_KINDS = {
+  range: 'Out of range',
+  outlier: 'Outlier',
+  missing: 'Missing scheduler',
+  duplicate: 'Duplicate row'
+};
+
+// Iglewicz and Hoaglin's modified z-score, and Tukey's far-out fences
+export const OUTLIER_METHODS = {
+  mad: { label: 'Median absolute deviation (|z| > 3.5)', threshold: 3.5 },
+  iqr: { label: 'Interquartile range (3 × IQR fences)', threshold: 3 }
+};
+
+export const DEFAULT_ANOMALY_SETTINGS = {
+  kinds: { range: true, outlier: true, missing: true, duplicate: true },
+  method: 'mad',
+  exclude: false
+};
+
+// Fewer values than this say too little about what is normal
+const MIN_OUTLIER_SAMPLES = 5;
+// Scales the MAD to the standard deviation of normally distributed data
+const MAD_CONSISTENCY = 0.6745;
+
+const nonNegative = (v) => (v < 0 ? 'is negative' : null);
+
+// Sanity rules for the known metrics; every metric must also be finite
+const METRIC_RULES = {
+  makespan: (v) => (v <= 0 ? 'is not positive' : null),
+  utility: (v) => (v < 0 || v > 1 ? 'is outside [0, 1]' : null),
+  energy: nonNegative,
+  cost: nonNegative,
+  throughput: nonNegative,
+  missed_deadlines: (v) => (v < 0 || !Number.isInteger(v) ? 'is not a whole number of at least 0' : null)
+};
+
+const TRIAL_RULES = {
+  deadline: { label: 'Deadline', check: (v) => (v <= 0 ? 'is not positive' : null) },
+  securityUtility: { label: 'Min security utility', check: (v) => (v < 0 || v > 1 ? 'is outside [0, 1]' : null) }
+};
+
+const finding = (kind, severity, trial, scheduler, metric, message) => ({ kind, severity, trial, scheduler, metric, message });
+
+const rangeFindings = (trialsData, trialIds, metrics) => {
+  const findings = [];
+  trialIds.forEach(trial => {
+    const data = trialsData[trial];
+    Object.entries(TRIAL_RULES).forEach(([field, { label, check }]) => {
+      const problem = Number.isFinite(data[field]) ? check(data[field]) : null;
+      if (problem) findings.push(finding('range', 'error', trial, null, field, `${label} ${data[field]} ${problem}`));
+    });
+    data.schedulers.forEach(s => {
+      metrics.forEach(m => {
+        if (!(m.key in s)) return;
+        const value = s[m.key];
+        const rule = METRIC_RULES[m.key];
+        const problem = !Number.isFinite(value) ? 'is not a finite number' : rule && rule(value);
+        if (problem) findings.push(finding('range', 'error', trial, s.name, m.key, `${m.label} ${value} ${problem}`));
+      });
+    });
+  });
+  return findings;
+};
+
+// Linear interpolation between closest ranks, on sorted values
+const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// The outlying values as { index, value } plus what they were judged by:
+// the median and robust z-score, or the IQR fences. Nothing is flagged when
+// the values have no spread to judge against.
+export const robustOutliers = (values, method = 'mad') => {
+  if (values.length < MIN_OUTLIER_SAMPLES) return [];
+  const { threshold } = OUTLIER_METHODS[method];
+
+  if (method === 'iqr') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    if (iqr === 0) return [];
+    const low = q1 - threshold * iqr;
+    const high = q3 + threshold * iqr;
+    return values
+      .map((value, index) => ({ index, value, low, high }))
+      .filter(o => o.value < low || o.value > high);
+  }
+
+  const centre = median(values);
+  const mad = median(values.map(v => Math.abs(v - centre)));
+  if (mad === 0) return [];
+  return values
+    .map((value, index) => ({ index, value, centre, score: (MAD_CONSISTENCY * (value - centre)) / mad }))
+    .filter(o => Math.abs(o.score) > threshold);
+};
+
+const outlierFindings = (trialsData, trialIds, metrics, method) => {
+  const findings = [];
+  const series = new Map();
+  trialIds.forEach(trial => trialsData[trial].schedulers.forEach(s => {
+    if (!series.has(s.name)) series.set(s.name, []);
+    series.get(s.name).push({ trial, row: s });
+  }));
+
+  series.forEach((points, scheduler) => {
+    metrics.forEach(m => {
+      const present = points.filter(p => Number.isFinite(p.row[m.key]));
+      const values = present.map(p => p.row[m.key]);
+      robustOutliers(values, method).forEach(o => {
+        const value = formatMetric(m, o.value);
+        const detail = method === 'iqr'
+          ? `outside its usual range ${formatMetric(m, o.low)} to ${formatMetric(m, o.high)}`
+          : `far from its median ${formatMetric(m, o.centre)} (robust z = ${formatNumber(o.score, 1, m.format ? m.format.locale : 'plain')})`;
+        findings.push(finding('outlier', 'warning', present[o.index].trial, scheduler, m.key, `${m.label} ${value} is ${detail}`));
+      });
+    });
+  });
+  return findings;
+};
+
+const missingFindings = (trialsData, trialIds) => {
+  const everywhere = new Set(trialIds.flatMap(trial => trialsData[trial].schedulers.map(s => s.name)));
+  const findings = [];
+  trialIds.forEach(trial => {
+    const present = new Set(trialsData[trial].schedulers.map(s => s.name));
+    // A trial with no rows at all is already reported by the parser
+    if (present.size === 0) return;
+    Array.from(everywhere).sort().forEach(name => {
+      if (!present.has(name)) findings.push(finding('missing', 'warning', trial, name, null, `${name} did not run in this trial`));
+    });
+  });
+  return findings;
+};
+
+const rowValues = (row, metrics) => metrics.map(m => row[m.key]);
+
+const duplicateFindings = (trialsData, trialIds, metrics) => {
+  const findings = [];
+  const firstSeen = new Map();
+
+  trialIds.forEach(trial => {
+    const seenHere = new Map();
+    trialsData[trial].schedulers.forEach(s => {
+      const values = rowValues(s, metrics);
+      const key = JSON.stringify([s.name, values]);
+
+      if (seenHere.has(s.name)) {
+        const identical = JSON.stringify(seenHere.get(s.name)) === JSON.stringify(values);
+        findings.push(finding('duplicate', 'error', trial, s.name, null,
+          `${s.name} appears more than once${identical ? ' with identical values' : ' with different values'}`));
+        return;
+      }
+      seenHere.set(s.name, values);
+
+      if (firstSeen.has(key)) {
+        findings.push(finding('duplicate', 'warning', trial, s.name, null,
+          `${s.name} has exactly the same values as in trial ${firstSeen.get(key)}`));
+      } else {
+        firstSeen.set(key, trial);
+      }
+    });
+  });
+  return findings;
+};
+
+export const findAnomalies = (trialsData, metrics, { method = DEFAULT_ANOMALY_SETTINGS.method } = {}) => {
+  const trialIds = sortedTrialIds(trialsData);
+  return [
+    ...rangeFindings(trialsData, trialIds, metrics),
+    ...outlierFindings(trialsData, trialIds, metrics, method),
+    ...missingFindings(trialsData, trialIds),
+    ...duplicateFindings(trialsData, trialIds, metrics)
+  ];
+};
+
+export const countByKind = (findings) => {
+  const counts = Object.fromEntries(Object.keys(ANOMALY_KINDS).map(kind => [kind, 0]));
+  findings.forEach(f => { counts[f.kind]++; });
+  return counts;
+};
+
+export const flaggedTrials = (findings) => new Set(findings.map(f => String(f.trial)));
+
+export const excludeTrials = (trialsData, trials) => Object.fromEntries(
+  Object.entries(trialsData).filter(([trial]) => !trials.has(String(trial)))
+);
+
+const pointKey = (trial, scheduler, metric) => JSON.stringify([String(trial), scheduler, metric]);
+
+// Lookups for the badges: findings by trial and by (trial, scheduler, metric)
+export const indexAnomalies = (findings) => {
+  const byTrial = new Map();
+  const byPoint = new Map();
+  findings.forEach(f => {
+    const trial = String(f.trial);
+    if (!byTrial.has(trial)) byTrial.set(trial, []);
+    byTrial.get(trial).push(f);
+    if (f.scheduler === null) return;
+    const key = pointKey(f.trial, f.scheduler, f.metric);
+    if (!byPoint.has(key)) byPoint.set(key, []);
+    byPoint.get(key).push(f);
+  });
+  return { byTrial, byPoint };
+};
+
+export const trialFindings = (index, trial) => index.byTrial.get(String(trial)) || [];
+
+export const schedulerFindings = (index, trial, scheduler) => trialFindings(index, trial).filter(f => f.scheduler === scheduler);
+
+// The findings behind one point of a trend line; duplicates of the whole row
+// count for every metric
+export const pointFindings = (index, trial, scheduler, metric) => [
+  ...(index.byPoint.get(pointKey(trial, scheduler, metric)) || []),
+  ...(index.byPoint.get(pointKey(trial, scheduler, null)) || [])
+];
+
+export const worstSeverity = (findings) => (findings.some(f => f.severity === 'error') ? 'error' : 'warning');
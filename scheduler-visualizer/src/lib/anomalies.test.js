@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findAnomalies,
+  robustOutliers,
+  flaggedTrials,
+  excludeTrials,
+  indexAnomalies,
+  pointFindings,
+  schedulerFindings
+} from './anomalies.js';
+import { buildMetricRegistry } from './metrics.js';
+import { parseCSV } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+const { trials, columns } = parseCSV(readFixture('anomalous_trials.txt'));
+const metrics = buildMetricRegistry(columns);
+
+const summary = (findings) => findings.map(f => [f.kind, f.trial, f.scheduler, f.metric]);
+
+describe('findAnomalies', () => {
+  it('finds impossible values, outliers, missing schedulers and duplicates', () => {
+    expect(summary(findAnomalies(trials, metrics))).toEqual([
+      ['range', 2, 'CPOP', 'utility'],
+      ['range', 3, 'PEFT', 'makespan'],
+      ['outlier', 4, 'HEFT', 'makespan'],
+      ['outlier', 2, 'CPOP', 'utility'],
+      ['outlier', 3, 'PEFT', 'makespan'],
+      ['missing', 5, 'PEFT', null],
+      ['duplicate', 5, 'CPOP', null],
+      ['duplicate', 6, 'HEFT', null]
+    ]);
+  });
+
+  it('explains each finding', () => {
+    const findings = findAnomalies(trials, metrics);
+    expect(findings[0].message).toBe('Security Utility 1.2 is outside [0, 1]');
+    expect(findings[2].message).toBe('Makespan 905.00 is far from its median 91.00 (robust z = 274.5)');
+    expect(findings[6].message).toBe('CPOP has exactly the same values as in trial 1');
+    expect(findings[7]).toMatchObject({ severity: 'error', message: 'HEFT appears more than once with identical values' });
+  });
+
+  it('checks the trial constraints', () => {
+    const broken = { 1: { deadline: 0, securityUtility: 1.5, schedulers: [] } };
+    expect(findAnomalies(broken, metrics).map(f => f.message)).toEqual([
+      'Deadline 0 is not positive',
+      'Min security utility 1.5 is outside [0, 1]'
+    ]);
+  });
+
+  it('finds the same outliers with IQR fences', () => {
+    const outliers = findAnomalies(trials, metrics, { method: 'iqr' }).filter(f => f.kind === 'outlier');
+    expect(summary(outliers)).toEqual([
+      ['outlier', 4, 'HEFT', 'makespan'],
+      ['outlier', 2, 'CPOP', 'utility'],
+      ['outlier', 3, 'PEFT', 'makespan']
+    ]);
+    expect(outliers[0].message).toBe('Makespan 905.00 is outside its usual range 80.50 to 101.50');
+  });
+});
+
+describe('robustOutliers', () => {
+  it('needs enough values with some spread', () => {
+    expect(robustOutliers([1, 1, 100])).toEqual([]);
+    expect(robustOutliers([5, 5, 5, 5, 5, 50])).toEqual([]);
+    expect(robustOutliers([5, 5, 5, 5, 5, 50], 'iqr')).toEqual([]);
+  });
+
+  it('flags values on either side', () => {
+    expect(robustOutliers([10, 11, 9, 10, 12, 0.5, 100]).map(o => o.index)).toEqual([5, 6]);
+  });
+});
+
+describe('exclusion and lookups', () => {
+  const findings = findAnomalies(trials, metrics);
+  const index = indexAnomalies(findings);
+
+  it('drops every flagged trial', () => {
+    const flagged = flaggedTrials(findings);
+    expect(Array.from(flagged).sort()).toEqual(['2', '3', '4', '5', '6']);
+    expect(Object.keys(excludeTrials(trials, flagged))).toEqual(['1']);
+  });
+
+  it('attaches whole-row findings to every metric of the row', () => {
+    expect(pointFindings(index, 4, 'HEFT', 'makespan')).toHaveLength(1);
+    expect(pointFindings(index, 4, 'HEFT', 'utility')).toEqual([]);
+    expect(pointFindings(index, 6, 'HEFT', 'energy')).toHaveLength(1);
+    expect(schedulerFindings(index, '2', 'CPOP').map(f => f.kind)).toEqual(['range', 'outlier']);
+  });
+});
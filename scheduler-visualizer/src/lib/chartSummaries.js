@@ -0,0 +1,44 @@
+// One-paragraph descriptions of the charts for screen readers: what is
+// plotted and its main takeaway. The data table each chart can show (see
+// ChartFigure.jsx) carries the detail.
+
+import { formatMetric, compareByDirection, directionHint } from './metrics.js';
+import { trendKey } from './trends.js';
+
+export const listNames = (names) => (names.length <= 1
+  ? names.join('')
+  : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`);
+
+export const countOf = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Best first, from [{ name, value }] with finite values
+const bestFirst = (metric, entries) => [...entries].sort((a, b) => compareByDirection(metric, b.value, a.value));
+
+const extremes = (metric, entries, prefix = '') => {
+  const sorted = bestFirst(metric, entries);
+  const best = sorted[0];
+  const worst = sorted[sorted.length - 1];
+  const bestText = `best: ${best.name} at ${prefix}${formatMetric(metric, best.value)}`;
+  return sorted.length > 1 ? `${bestText}; worst: ${worst.name} at ${prefix}${formatMetric(metric, worst.value)}` : bestText;
+};
+
+// Rows of one trial, { name, [metric.key]: value }
+export const describeBars = (metric, rows, context) => {
+  const entries = rows.map(r => ({ name: r.name, value: r[metric.key] })).filter(e => Number.isFinite(e.value));
+  const intro = `Bar chart of ${metric.label} for ${countOf(entries.length, 'scheduler')} ${context}, ${directionHint(metric).toLowerCase()}`;
+  return entries.length === 0 ? `${intro}. No values to show.` : `${intro}. The ${extremes(metric, entries)}.`;
+};
+
+// Trend rows { trial, [trendKey(s, metric.key)]: value }; the ranking is by
+// each scheduler's mean over the plotted points
+export const describeTrend = (metric, rows, schedulers, trialCount) => {
+  const entries = schedulers.map(name => ({
+    name,
+    values: rows.map(r => r[trendKey(name, metric.key)]).filter(Number.isFinite)
+  })).filter(e => e.values.length > 0).map(e => ({ name: e.name, value: mean(e.values) }));
+
+  const intro = `Line chart of ${metric.label} across ${countOf(trialCount, 'trial')} for ${countOf(schedulers.length, 'scheduler')}, ${directionHint(metric).toLowerCase()}`;
+  return entries.length === 0 ? `${intro}. No values to show.` : `${intro}. On average, ${extremes(metric, entries, 'a mean of ')}.`;
+};
@@ -0,0 +1,66 @@
+// Scheduler palettes, shared by the app and the command-line tool. A colour
+// starts from a hash of the scheduler name rather than its position in the
+// list. When two names hash to the same colour, the one first in sorted order
+// keeps it and the other moves to the next free one, so a scheduler's colour
+// can depend on which others are loaded alongside it; it is stable for the
+// same set of schedulers in every session and export.
+
+export const DEFAULT_COLORS = [
+  '#E74C3C', '#3498DB', '#2ECC71', '#F39C12', '#9B59B6', '#1ABC9C',
+  '#E67E22', '#34495E', '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4',
+  '#FECA57', '#FF9FF3', '#54A0FF', '#FD79A8', '#00B894', '#74B9FF'
+];
+
+export const PALETTES = {
+  default: { label: 'Default', colors: DEFAULT_COLORS },
+  // Okabe & Ito (2008), distinguishable under the common colour-vision deficiencies
+  okabeIto: {
+    label: 'Colour-blind safe (Okabe-Ito)',
+    colors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000']
+  },
+  // Paul Tol's "muted" qualitative scheme
+  tolMuted: {
+    label: 'Colour-blind safe (Tol muted)',
+    colors: ['#332288', '#88CCEE', '#44AA99', '#117733', '#999933', '#DDCC77', '#CC6677', '#882255', '#AA4499', '#DDDDDD']
+  }
+};
+
+export const DEFAULT_PALETTE = 'default';
+
+// 32-bit FNV-1a
+export const nameHash = (name) => {
+  let hash = 0x811c9dc5;
+  for (const ch of name) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// The palette slot picked by the name's hash, or the next slot not in `taken`
+// so two schedulers only share a colour once the palette runs out
+export const colorForName = (name, palette = DEFAULT_PALETTE, taken = new Set()) => {
+  const colors = (PALETTES[palette] || PALETTES[DEFAULT_PALETTE]).colors;
+  const start = nameHash(name) % colors.length;
+  for (let i = 0; i < colors.length; i++) {
+    const color = colors[(start + i) % colors.length];
+    if (!taken.has(color.toUpperCase())) return color;
+  }
+  return colors[start];
+};
+
+// Give every scheduler without a colour one from the palette; colours already
+// chosen are left alone. Names are visited in sorted order so the same set of
+// schedulers always gets the same colours.
+export const assignColors = (names, existing = {}, palette = DEFAULT_PALETTE) => {
+  const colors = { ...existing };
+  const taken = new Set(names.filter(n => n in colors).map(n => colors[n].toUpperCase()));
+
+  [...names].sort().forEach(name => {
+    if (name in colors) return;
+    colors[name] = colorForName(name, palette, taken);
+    taken.add(colors[name].toUpperCase());
+  });
+
+  return colors;
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { assignColors, colorForName, PALETTES } from './colors.js';
+
+const COMMON = ['HEFT', 'PEFT', 'CPOP', 'SA_1', 'SA_2', 'GA', 'MinMin', 'MaxMin', 'Random', 'SDBATS', 'SHEFT'];
+
+describe('assignColors', () => {
+  it('gives commonly compared schedulers distinct colours', () => {
+    ['default', 'tolMuted'].forEach(palette => {
+      const colors = assignColors(COMMON, {}, palette);
+      const distinct = new Set(Object.values(colors));
+      expect(distinct.size).toBe(Math.min(COMMON.length, PALETTES[palette].colors.length));
+    });
+    const pairs = assignColors(COMMON);
+    expect(pairs.HEFT).not.toBe(pairs.SDBATS);
+    expect(pairs.SA_2).not.toBe(pairs.Random);
+    expect(pairs.MaxMin).not.toBe(pairs.SHEFT);
+  });
+
+  it('starts from the name so a scheduler without clashes keeps its colour', () => {
+    expect(assignColors(['HEFT'], {}).HEFT).toBe(colorForName('HEFT'));
+    expect(assignColors(COMMON, {}).HEFT).toBe(colorForName('HEFT'));
+    expect(assignColors([...COMMON].reverse(), {})).toEqual(assignColors(COMMON, {}));
+  });
+
+  it('keeps colours that were already chosen', () => {
+    expect(assignColors(['HEFT', 'PEFT'], { HEFT: '#123456' }).HEFT).toBe('#123456');
+  });
+});
@@ -0,0 +1,24 @@
+// Trial-level constraints carried in each TRIAL RUN header: a schedule is
+// feasible when it finishes by the deadline and meets the minimum security
+// utility. Normalised rows are checked on their absolute values.
+
+import { rawValues } from './normalization.js';
+
+export const constraintViolations = (scheduler, trial) => {
+  const { makespan, utility } = rawValues(scheduler);
+  const violations = [];
+  if (Number.isFinite(trial.deadline) && makespan > trial.deadline) {
+    violations.push('deadline');
+  }
+  if (Number.isFinite(trial.securityUtility) && utility < trial.securityUtility) {
+    violations.push('securityUtility');
+  }
+  return violations;
+};
+
+export const isFeasible = (scheduler, trial) => constraintViolations(scheduler, trial).length === 0;
+
+export const VIOLATION_LABELS = {
+  deadline: 'Misses deadline',
+  securityUtility: 'Below min security utility'
+};
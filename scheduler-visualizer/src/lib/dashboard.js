@@ -0,0 +1,111 @@
+// Dashboard layouts. A layout is an ordered list of panels:
+//
+//   { id, type, width, height, metrics, schedulers, x, y }
+//
+// `metrics` and `schedulers` are a panel's own filters, as metric keys and
+// real scheduler names; null means the panel follows the settings panel.
+// `x` and `y` are the metric keys of a scatter panel. Layouts are plain JSON
+// so they can be stored and restored as they are.
+
+export const PANEL_TYPES = {
+  bar: { label: 'Bar charts', description: 'The shown trial, one chart per metric' },
+  table: { label: 'Rankings table', description: 'The shown trial, ranked' },
+  scatter: { label: 'Scatter', description: 'Two metrics of the shown trial, with its Pareto front' },
+  line: { label: 'Trend lines', description: 'Every trial, one chart per metric' },
+  summary: { label: 'Summary', description: 'Average rank, wins and means across trials' }
+};
+
+export const PANEL_WIDTHS = {
+  half: 'Half width',
+  full: 'Full width'
+};
+
+// Chart heights in pixels; a panel with several metrics has one chart each
+export const PANEL_HEIGHTS = {
+  small: { label: 'Small', px: 280 },
+  medium: { label: 'Medium', px: 400 },
+  large: { label: 'Large', px: 560 }
+};
+
+const PANEL_DEFAULTS = { width: 'full', height: 'medium', metrics: null, schedulers: null };
+
+// The page as it was before panels: the trial's bar charts and rankings,
+// then the trends
+export const DEFAULT_LAYOUT = [
+  { id: 'bar-1', type: 'bar', ...PANEL_DEFAULTS },
+  { id: 'table-1', type: 'table', ...PANEL_DEFAULTS },
+  { id: 'line-1', type: 'line', ...PANEL_DEFAULTS }
+];
+
+const SCATTER_AXES = { x: 'makespan', y: 'utility' };
+
+const nextId = (layout, type) => {
+  const taken = new Set(layout.map(p => p.id));
+  let n = 1;
+  while (taken.has(`${type}-${n}`)) n++;
+  return `${type}-${n}`;
+};
+
+export const addPanel = (layout, type) => [
+  ...layout,
+  { id: nextId(layout, type), type, ...PANEL_DEFAULTS, ...(type === 'scatter' ? SCATTER_AXES : {}) }
+];
+
+export const removePanel = (layout, id) => layout.filter(p => p.id !== id);
+
+export const updatePanel = (layout, id, changes) => layout.map(p => (p.id === id ? { ...p, ...changes } : p));
+
+// Move a panel to `index` in the layout, clamped to its ends
+export const movePanel = (layout, id, index) => {
+  const from = layout.findIndex(p => p.id === id);
+  if (from === -1) return layout;
+  const to = Math.max(0, Math.min(layout.length - 1, index));
+  if (to === from) return layout;
+  const next = layout.filter(p => p.id !== id);
+  next.splice(to, 0, layout[from]);
+  return next;
+};
+
+// A filter narrows what the settings panel offers; names it does not know
+// (another dataset's schedulers) are skipped rather than dropped
+export const panelMetrics = (panel, metrics, shownMetrics) => (
+  panel.metrics ? metrics.filter(m => panel.metrics.includes(m.key)) : shownMetrics
+);
+
+export const panelSchedulers = (panel, allSchedulers, selected) => (
+  panel.schedulers ? allSchedulers.filter(s => panel.schedulers.includes(s)) : selected
+);
+
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+// Stored layouts may come from an older version or be hand-edited: unknown
+// types and malformed panels are dropped, missing fields get their defaults
+export const sanitizeLayout = (value) => {
+  if (!Array.isArray(value)) return DEFAULT_LAYOUT;
+  const seen = new Set();
+
+  return value.filter(p => {
+    if (!p || !(p.type in PANEL_TYPES) || typeof p.id !== 'string' || seen.has(p.id)) return false;
+    seen.add(p.id);
+    return true;
+  }).map(p => ({
+    id: p.id,
+    type: p.type,
+    width: p.width in PANEL_WIDTHS ? p.width : PANEL_DEFAULTS.width,
+    height: p.height in PANEL_HEIGHTS ? p.height : PANEL_DEFAULTS.height,
+    metrics: isStringList(p.metrics) ? p.metrics : null,
+    schedulers: isStringList(p.schedulers) ? p.schedulers : null,
+    ...(p.type === 'scatter' ? {
+      x: typeof p.x === 'string' ? p.x : SCATTER_AXES.x,
+      y: typeof p.y === 'string' ? p.y : SCATTER_AXES.y
+    } : {})
+  }));
+};
+
+export const describePanel = (panel) => {
+  const filters = [
+    panel.metrics && `${panel.metrics.length} ${panel.metrics.length === 1 ? 'metric' : 'metrics'}`,
+    panel.schedulers && `${panel.schedulers.length} ${panel.schedulers.length === 1 ? 'scheduler' : 'schedulers'}`
+  ].filter(Boolean);
+  return filters.length > 0 ? `${PANEL_TYPES[panel.type].label} (${filters.join(', ')})` : PANEL_TYPES[panel.type].label;
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LAYOUT,
+  addPanel,
+  removePanel,
+  updatePanel,
+  movePanel,
+  panelMetrics,
+  panelSchedulers,
+  sanitizeLayout,
+  describePanel
+} from './dashboard.js';
+
+const ids = (layout) => layout.map(p => p.id);
+
+describe('dashboard layouts', () => {
+  it('adds panels with ids that are free in the layout', () => {
+    const layout = addPanel(addPanel(DEFAULT_LAYOUT, 'bar'), 'scatter');
+    expect(ids(layout)).toEqual(['bar-1', 'table-1', 'line-1', 'bar-2', 'scatter-1']);
+    expect(layout[4]).toMatchObject({ type: 'scatter', x: 'makespan', y: 'utility', metrics: null, schedulers: null });
+    expect(ids(addPanel(removePanel(layout, 'bar-1'), 'bar'))).toContain('bar-1');
+  });
+
+  it('updates and moves panels without touching the others', () => {
+    const layout = updatePanel(DEFAULT_LAYOUT, 'table-1', { width: 'half' });
+    expect(layout[1].width).toBe('half');
+    expect(layout[0]).toBe(DEFAULT_LAYOUT[0]);
+
+    expect(ids(movePanel(DEFAULT_LAYOUT, 'line-1', 0))).toEqual(['line-1', 'bar-1', 'table-1']);
+    expect(ids(movePanel(DEFAULT_LAYOUT, 'bar-1', 10))).toEqual(['table-1', 'line-1', 'bar-1']);
+    expect(movePanel(DEFAULT_LAYOUT, 'bar-1', -1)).toBe(DEFAULT_LAYOUT);
+    expect(movePanel(DEFAULT_LAYOUT, 'missing', 0)).toBe(DEFAULT_LAYOUT);
+  });
+
+  it('applies a panel filter or falls back to the settings', () => {
+    const metrics = [{ key: 'makespan' }, { key: 'utility' }, { key: 'energy' }];
+    const shown = metrics.slice(0, 2);
+    expect(panelMetrics(DEFAULT_LAYOUT[0], metrics, shown)).toBe(shown);
+    expect(panelMetrics({ metrics: ['energy'] }, metrics, shown)).toEqual([{ key: 'energy' }]);
+
+    expect(panelSchedulers({ schedulers: null }, ['HEFT', 'CPOP'], ['HEFT'])).toEqual(['HEFT']);
+    expect(panelSchedulers({ schedulers: ['CPOP', 'PEFT'] }, ['HEFT', 'CPOP'], ['HEFT'])).toEqual(['CPOP']);
+  });
+
+  it('repairs stored layouts', () => {
+    expect(sanitizeLayout(undefined)).toBe(DEFAULT_LAYOUT);
+    expect(sanitizeLayout([
+      { id: 'bar-1', type: 'bar', width: 'huge', height: 'small', metrics: 'makespan' },
+      { id: 'bar-1', type: 'bar' },
+      { id: 'pie-1', type: 'pie' },
+      null,
+      { id: 'scatter-1', type: 'scatter', schedulers: ['HEFT'] }
+    ])).toEqual([
+      { id: 'bar-1', type: 'bar', width: 'full', height: 'small', metrics: null, schedulers: null },
+      { id: 'scatter-1', type: 'scatter', width: 'full', height: 'medium', metrics: null, schedulers: ['HEFT'], x: 'makespan', y: 'utility' }
+    ]);
+  });
+
+  it('describes panels with their filters', () => {
+    expect(describePanel(DEFAULT_LAYOUT[0])).toBe('Bar charts');
+    expect(describePanel({ type: 'line', metrics: ['makespan'], schedulers: ['HEFT', 'CPOP'] }))
+      .toBe('Trend lines (1 metric, 2 schedulers)');
+  });
+});
@@ -0,0 +1,109 @@
+// Named datasets: one per loaded result file, so runs from different
+// simulator versions or parameter sweeps can be compared side by side.
+
+import { sortedTrialIds, compareTrialIds, trendKey } from './trends.js';
+import { compareByDirection } from './metrics.js';
+
+let nextId = 1;
+
+export const datasetNameFromFile = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+export const uniqueDatasetName = (name, datasets) => {
+  const taken = new Set(datasets.map(d => d.name));
+  if (!taken.has(name)) return name;
+  let suffix = 2;
+  while (taken.has(`${name} (${suffix})`)) suffix++;
+  return `${name} (${suffix})`;
+};
+
+// `format` is the importer that read the file, when known; `schedules` holds
+// any per-task schedule detail loaded for it (see schedules.js); `live` names
+// the results-server run it follows (see liveResults.js)
+export const createDataset = (name, { trials, columns, format, schedules = {}, live }) => ({
+  id: `ds${nextId++}`,
+  name,
+  trials,
+  columns,
+  format,
+  schedules,
+  live
+});
+
+export const mergeColumns = (datasets) => {
+  const merged = [];
+  datasets.forEach(d => d.columns.forEach(c => {
+    if (!merged.some(existing => existing.key === c.key)) merged.push(c);
+  }));
+  return merged;
+};
+
+export const schedulerNames = (trials) => {
+  const names = new Set();
+  Object.values(trials).forEach(trial => trial.schedulers.forEach(s => names.add(s.name)));
+  return Array.from(names).sort();
+};
+
+export const allSchedulerNames = (datasets) => Array.from(
+  new Set(datasets.flatMap(d => schedulerNames(d.trials)))
+).sort();
+
+export const overlayKey = (dataset, scheduler, metricKey) => `${dataset.id}:${trendKey(scheduler, metricKey)}`;
+
+// One row per trial id found in any dataset, with an overlayKey column per
+// dataset x scheduler
+export const getOverlayData = (datasets, schedulers, metricKey) => {
+  const trialIds = Array.from(new Set(datasets.flatMap(d => sortedTrialIds(d.trials)))).sort(compareTrialIds);
+  const selected = new Set(schedulers);
+
+  return trialIds.map(trial => {
+    const row = { trial };
+    datasets.forEach(d => {
+      const data = d.trials[trial];
+      if (!data) return;
+      data.schedulers.forEach(s => {
+        if (selected.has(s.name) && metricKey in s) row[overlayKey(d, s.name, metricKey)] = s[metricKey];
+      });
+    });
+    return row;
+  });
+};
+
+// Per-scheduler, per-trial change from `base` to `compare`. A change is a
+// regression when `compare` is worse than `base` in the metric's direction.
+export const diffDatasets = (base, compare, schedulers, metrics) => {
+  const trialIds = sortedTrialIds(base.trials).filter(t => t in compare.trials);
+
+  const rows = schedulers.map(name => {
+    const cells = trialIds.map(trial => {
+      const before = base.trials[trial].schedulers.find(s => s.name === name);
+      const after = compare.trials[trial].schedulers.find(s => s.name === name);
+      const changes = {};
+
+      metrics.forEach(m => {
+        const a = before?.[m.key];
+        const b = after?.[m.key];
+        if (!Number.isFinite(a) || !Number.isFinite(b)) return;
+        const delta = b - a;
+        const cmp = compareByDirection(m, b, a);
+        changes[m.key] = {
+          before: a,
+          after: b,
+          delta,
+          percent: a !== 0 ? (delta / Math.abs(a)) * 100 : null,
+          status: cmp > 0 ? 'improved' : cmp < 0 ? 'regressed' : 'unchanged'
+        };
+      });
+
+      return { trial, changes };
+    });
+
+    const regressions = cells.reduce(
+      (sum, cell) => sum + Object.values(cell.changes).filter(c => c.status === 'regressed').length,
+      0
+    );
+
+    return { name, cells, regressions };
+  });
+
+  return { trialIds, rows };
+};
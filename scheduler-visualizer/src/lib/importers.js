@@ -0,0 +1,397 @@
+// Input formats. Every importer turns a results file into the same
+// { trials, columns, diagnostics } shape the trial log parser produces, so
+// the rest of the app never knows which format a dataset came from:
+//
+//   trialLog  the simulator's "TRIAL RUN ..." banner format (parser.js)
+//   tidyCsv   one row per trial x scheduler:
+//               trial,deadline,security_utility,scheduler,makespan,utility
+//   json      a list of trials with nested schedulers, or of flat records
+//             with the same fields as the tidy CSV:
+//               [{ "trial": 1, "deadline": 100, "securityUtility": 0.5,
+//                  "schedulers": [{ "name": "HEFT", "makespan": 90, "utility": 0.7 }] }]
+//
+// The format is picked from the first non-blank line (and the file name for
+// JSON). Importers take input one line at a time so the parse worker can
+// stream any of them.
+
+import { createTrialLogParser, columnKey, isNumeric, hasErrors, REQUIRED_COLUMNS } from './parser.js';
+
+// Field names for the trial and scheduler columns, after fieldKey()
+export const TRIAL_FIELDS = ['trial', 'trial_run', 'trial_id'];
+const SCHEDULER_FIELDS = ['scheduler', 'scheduler_name', 'name'];
+const DEADLINE_FIELDS = ['deadline'];
+// In a tidy file "security_utility" is the trial's minimum, not the
+// scheduler's achieved utility as in a trial log SCHEDULER header
+const SECURITY_FIELDS = ['security_utility', 'min_security_utility'];
+
+// "securityUtility", "Security Utility" and "security_utility" are one field
+export const fieldKey = (name) => String(name)
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+export const findField = (keys, candidates) => keys.findIndex(k => candidates.includes(k));
+
+// Numeric trial IDs stay numbers, like the trial log's, so they sort and
+// match the same way; anything else is kept as a string ID
+export const trialId = (value) => (isNumeric(String(value).trim()) ? Number(value) : String(value).trim());
+
+const isNumericValue = (value) => (typeof value === 'number' && Number.isFinite(value))
+  || (typeof value === 'string' && isNumeric(value.trim()));
+
+// Collects rows that each name their trial, as tidy CSV and JSON records do,
+// into the trial log's { trials, columns, diagnostics } shape. `where` is the
+// line number for text formats, or null with a message prefix for JSON.
+const createTrialCollector = () => {
+  const trials = {};
+  const diagnostics = [];
+  const allColumns = [];
+  const seenColumns = new Set();
+
+  const report = (severity, { line = null, prefix = '' }, message) => {
+    diagnostics.push({ severity, line, message: `${prefix}${message}` });
+  };
+
+  const addTrial = (id, deadline, securityUtility, where) => {
+    if (id === '') {
+      report('error', where, 'Missing trial ID');
+      return null;
+    }
+    if (!isNumericValue(deadline) || !isNumericValue(securityUtility)) {
+      report('error', where, `Non-numeric deadline or security utility for trial ${id}`);
+      return null;
+    }
+
+    const params = { deadline: Number(deadline), securityUtility: Number(securityUtility) };
+    const existing = trials[id];
+    if (!existing) {
+      trials[id] = { ...params, columns: [], schedulers: [] };
+      return trials[id];
+    }
+    if (existing.deadline !== params.deadline || existing.securityUtility !== params.securityUtility) {
+      report('error', where, `Trial ${id} has deadline ${params.deadline} and security utility ${params.securityUtility}, but earlier rows gave ${existing.deadline} and ${existing.securityUtility}`);
+      return null;
+    }
+    return existing;
+  };
+
+  // `values` is a list of [{ key, label }, raw value]
+  const addRow = (trial, id, name, values, where) => {
+    if (!name) {
+      report('error', where, 'Missing scheduler name');
+      return;
+    }
+    if (trial.schedulers.some(s => s.name === name)) {
+      report('error', where, `Duplicate scheduler ${name} in trial ${id}`);
+      return;
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(k => !values.some(([c]) => c.key === k));
+    if (missing.length > 0) {
+      report('error', where, `Missing required value(s) for ${name}: ${missing.join(', ')}`);
+      return;
+    }
+    const bad = values.find(([, value]) => !isNumericValue(value));
+    if (bad) {
+      report('error', where, `Non-numeric ${bad[0].label} "${bad[1]}" for ${name}`);
+      return;
+    }
+
+    const row = { name };
+    values.forEach(([c, value]) => {
+      row[c.key] = Number(value);
+      if (!trial.columns.includes(c.key)) trial.columns.push(c.key);
+      if (!seenColumns.has(c.key)) {
+        seenColumns.add(c.key);
+        allColumns.push(c);
+      }
+    });
+    trial.schedulers.push(row);
+  };
+
+  const finish = (lastLine = null) => {
+    if (Object.keys(trials).length === 0 && !hasErrors(diagnostics)) {
+      report('error', { line: lastLine }, 'No trial runs found in file');
+    }
+    Object.entries(trials).forEach(([id, data]) => {
+      if (data.schedulers.length === 0) {
+        report('warning', {}, `Trial ${id} has no scheduler rows`);
+      }
+    });
+    return { trials, columns: allColumns, diagnostics };
+  };
+
+  return { report, addTrial, addRow, finish };
+};
+
+// Splits one CSV line, honouring double-quoted fields with "" escapes
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const isTidyHeader = (line) => {
+  const keys = splitCsvLine(line).map(fieldKey);
+  return findField(keys, TRIAL_FIELDS) !== -1 && findField(keys, SCHEDULER_FIELDS) !== -1;
+};
+
+const createTidyCsvParser = () => {
+  const collector = createTrialCollector();
+  let lineNumber = 0;
+  let layout = null;
+  let headerSeen = false;
+
+  const readHeader = (parts, where) => {
+    const keys = parts.map(fieldKey);
+    const fields = {
+      trial: findField(keys, TRIAL_FIELDS),
+      scheduler: findField(keys, SCHEDULER_FIELDS),
+      deadline: findField(keys, DEADLINE_FIELDS),
+      securityUtility: findField(keys, SECURITY_FIELDS)
+    };
+    const missing = Object.entries(fields).filter(([, idx]) => idx === -1).map(([name]) => fieldKey(name));
+    if (missing.length > 0) {
+      collector.report('error', where, `Header is missing required column(s): ${missing.join(', ')}`);
+      return null;
+    }
+
+    const used = new Set(Object.values(fields));
+    const metrics = parts
+      .map((label, idx) => ({ idx, label, key: columnKey(label) || `column_${idx + 1}` }))
+      .filter(m => !used.has(m.idx));
+    const metricKeys = metrics.map(m => m.key);
+    const missingMetrics = REQUIRED_COLUMNS.filter(k => !metricKeys.includes(k));
+    const duplicate = metricKeys.find((k, idx) => metricKeys.indexOf(k) !== idx);
+    if (missingMetrics.length > 0) {
+      collector.report('error', where, `Header is missing required column(s): ${missingMetrics.join(', ')}`);
+      return null;
+    }
+    if (duplicate) {
+      collector.report('error', where, `Duplicate column "${duplicate}" in header`);
+      return null;
+    }
+
+    return { ...fields, width: parts.length, metrics };
+  };
+
+  const pushLine = (rawLine) => {
+    lineNumber++;
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const where = { line: lineNumber };
+    const parts = splitCsvLine(line);
+
+    if (!headerSeen) {
+      headerSeen = true;
+      layout = readHeader(parts, where);
+      return;
+    }
+    // Without a usable header every row would fail the same way
+    if (!layout) return;
+
+    if (parts.length !== layout.width) {
+      collector.report('error', where, `Expected ${layout.width} columns but found ${parts.length}`);
+      return;
+    }
+
+    const id = trialId(parts[layout.trial]);
+    const trial = collector.addTrial(id, parts[layout.deadline], parts[layout.securityUtility], where);
+    if (!trial) return;
+
+    collector.addRow(
+      trial,
+      id,
+      parts[layout.scheduler],
+      layout.metrics.map(m => [{ key: m.key, label: m.label }, parts[m.idx]]),
+      where
+    );
+  };
+
+  return { pushLine, finish: () => collector.finish(lineNumber) };
+};
+
+// JSON needs the whole document, so lines are only gathered until finish()
+const createJsonParser = () => {
+  const lines = [];
+
+  const pushLine = (line) => {
+    lines.push(line);
+  };
+
+  const finish = () => {
+    const collector = createTrialCollector();
+    const text = lines.join('\n');
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      const position = error.message.match(/position (\d+)/);
+      const line = position ? text.slice(0, Number(position[1])).split('\n').length : null;
+      collector.report('error', { line }, `Invalid JSON: ${error.message.replace(/\s+/g, ' ')}`);
+      return collector.finish();
+    }
+
+    let items = null;
+    if (Array.isArray(data)) {
+      items = data;
+    } else if (data && Array.isArray(data.trials)) {
+      items = data.trials;
+    } else if (data && data.trials && typeof data.trials === 'object') {
+      // { trials: { "1": { deadline, ... } } }, the app's own trialsData shape
+      items = Object.entries(data.trials).map(([id, trial]) => ({ trial: id, ...trial }));
+    }
+    if (!items) {
+      collector.report('error', {}, 'Expected a list of trials or records, or an object with a "trials" field');
+      return collector.finish();
+    }
+
+    items.forEach((item, index) => {
+      const where = { prefix: `Entry ${index + 1}: ` };
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        collector.report('error', where, 'Expected an object');
+        return;
+      }
+
+      const fields = Object.keys(item);
+      const value = (candidates) => {
+        const field = fields.find(f => candidates.includes(fieldKey(f)));
+        return field === undefined ? undefined : item[field];
+      };
+      const id = value(TRIAL_FIELDS);
+      if (id === undefined || id === null) {
+        collector.report('error', where, 'Missing trial ID');
+        return;
+      }
+
+      const trial = collector.addTrial(trialId(id), value(DEADLINE_FIELDS), value(SECURITY_FIELDS), where);
+      if (!trial) return;
+
+      // Everything except the trial and scheduler fields is a metric
+      const reserved = [...TRIAL_FIELDS, ...SCHEDULER_FIELDS, ...DEADLINE_FIELDS, ...SECURITY_FIELDS, 'schedulers'];
+      const metricsOf = (entry) => Object.keys(entry)
+        .filter(f => !reserved.includes(fieldKey(f)))
+        .map(f => [{ key: columnKey(f) || fieldKey(f), label: f }, entry[f]]);
+
+      if ('schedulers' in item) {
+        if (!Array.isArray(item.schedulers)) {
+          collector.report('error', where, '"schedulers" must be a list');
+          return;
+        }
+        item.schedulers.forEach((s, sIndex) => {
+          const sWhere = { prefix: `Entry ${index + 1}, scheduler ${sIndex + 1}: ` };
+          if (!s || typeof s !== 'object') {
+            collector.report('error', sWhere, 'Expected an object');
+            return;
+          }
+          const nameField = Object.keys(s).find(f => SCHEDULER_FIELDS.includes(fieldKey(f)));
+          collector.addRow(trial, trialId(id), nameField && String(s[nameField]).trim(), metricsOf(s), sWhere);
+        });
+        return;
+      }
+
+      const name = value(SCHEDULER_FIELDS);
+      collector.addRow(trial, trialId(id), name !== undefined && name !== null && String(name).trim(), metricsOf(item), where);
+    });
+
+    return collector.finish();
+  };
+
+  return { pushLine, finish };
+};
+
+export const IMPORTERS = [
+  {
+    id: 'trialLog',
+    label: 'Trial log',
+    detect: (firstLine) => firstLine.toUpperCase().startsWith('TRIAL RUN'),
+    createParser: createTrialLogParser
+  },
+  {
+    id: 'json',
+    label: 'JSON',
+    detect: (firstLine, fileName) => /^[[{]/.test(firstLine) || /\.json$/i.test(fileName),
+    createParser: createJsonParser
+  },
+  {
+    id: 'tidyCsv',
+    label: 'Tidy CSV',
+    detect: (firstLine) => isTidyHeader(firstLine),
+    createParser: createTidyCsvParser
+  }
+];
+
+// Anything unrecognised goes to the trial log parser, whose line-by-line
+// diagnostics explain best what is wrong with the file
+export const detectImporter = (firstLine, fileName = '') => (
+  IMPORTERS.find(importer => importer.detect(firstLine.trim(), fileName)) || IMPORTERS[0]
+);
+
+export const importerLabel = (id) => (IMPORTERS.find(importer => importer.id === id) || IMPORTERS[0]).label;
+
+// Same pushLine()/finish() interface as a single importer. Blank leading lines
+// are held back until the first non-blank one picks the format, so line
+// numbers in diagnostics still match the file.
+export const createImporter = (fileName = '') => {
+  const held = [];
+  let importer = null;
+  let parser = null;
+
+  const start = (firstLine) => {
+    importer = detectImporter(firstLine, fileName);
+    parser = importer.createParser();
+    held.forEach(line => parser.pushLine(line));
+    held.length = 0;
+  };
+
+  const pushLine = (line) => {
+    if (!parser) {
+      if (!line.trim()) {
+        held.push(line);
+        return;
+      }
+      start(line);
+    }
+    parser.pushLine(line);
+  };
+
+  const finish = () => {
+    if (!parser) start('');
+    return { ...parser.finish(), format: importer.id };
+  };
+
+  return { pushLine, finish };
+};
+
+export const parseText = (text, fileName = '') => {
+  const importer = createImporter(fileName);
+  text.split(/\r?\n/).forEach(importer.pushLine);
+  return importer.finish();
+};
@@ -0,0 +1,80 @@
+// Live results: the app's side of `scheduler-viz serve`, which watches the
+// directory a simulator writes its result files to. The server lists the
+// files over a small JSON API and pushes the whole list again as a
+// Server-Sent Event whenever a file is added, removed or appended to:
+//
+//   GET /api/runs          { directory, runs: [{ name, size, modified }] }
+//   GET /api/runs/<name>   the file's text
+//   GET /api/events        `runs` events carrying the same payload
+//
+// The app follows runs by reloading them whenever their size or
+// modification time changes.
+
+import { hasErrors } from './parser.js';
+import { parseText } from './importers.js';
+
+export const DEFAULT_PORT = 5174;
+export const DEFAULT_SERVER_URL = `http://localhost:${DEFAULT_PORT}`;
+
+export const RUNS_PATH = '/api/runs';
+export const EVENTS_PATH = '/api/events';
+export const RUNS_EVENT = 'runs';
+
+// The extensions the upload button accepts
+const RESULT_EXTENSIONS = ['.csv', '.txt', '.json'];
+
+export const isResultsFile = (name) => RESULT_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+// An empty URL means the app's own origin, e.g. behind a reverse proxy
+export const normalizeServerUrl = (url) => url.trim().replace(/\/+$/, '');
+
+export const runUrl = (serverUrl, name) => `${serverUrl}${RUNS_PATH}/${encodeURIComponent(name)}`;
+
+const fetchOk = async (url) => {
+  const response = await fetch(url, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`.trim());
+  return response;
+};
+
+export const fetchRuns = async (serverUrl) => (await fetchOk(`${serverUrl}${RUNS_PATH}`)).json();
+
+export const fetchRunText = async (serverUrl, name) => (await fetchOk(runUrl(serverUrl, name))).text();
+
+// Opens the event stream; `onRuns` gets every pushed listing and `onStatus`
+// 'connecting', 'open', 'retrying' (EventSource reconnects by itself) or
+// 'closed' when the browser gives up. Returns a function that closes it.
+export const subscribeRuns = (serverUrl, { onRuns, onStatus }) => {
+  const source = new EventSource(`${serverUrl}${EVENTS_PATH}`);
+  onStatus('connecting');
+  source.onopen = () => onStatus('open');
+  source.onerror = () => onStatus(source.readyState === EventSource.CLOSED ? 'closed' : 'retrying');
+  source.addEventListener(RUNS_EVENT, (event) => {
+    try {
+      onRuns(JSON.parse(event.data));
+    } catch (error) {
+      console.error('Ignoring malformed runs event:', error);
+    }
+  });
+  return () => source.close();
+};
+
+// Names of the runs that are new or have changed since `previous`
+export const changedRuns = (previous, runs) => {
+  const before = new Map(previous.map(r => [r.name, r]));
+  return runs
+    .filter(r => !before.has(r.name) || before.get(r.name).size !== r.size || before.get(r.name).modified !== r.modified)
+    .map(r => r.name);
+};
+
+// Everything up to and including the last line break
+export const completeLines = (text) => text.slice(0, text.lastIndexOf('\n') + 1);
+
+// A run the simulator is still writing may end in a half-written line. When
+// the whole text does not parse, the complete lines alone are tried before
+// the errors are reported.
+export const parseLiveRun = (text, name) => {
+  const parsed = parseText(text, name);
+  if (!hasErrors(parsed.diagnostics) || text.endsWith('\n')) return parsed;
+  const complete = parseText(completeLines(text), name);
+  return hasErrors(complete.diagnostics) ? parsed : complete;
+};
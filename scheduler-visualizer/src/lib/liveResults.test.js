@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { parseLiveRun, changedRuns, completeLines, isResultsFile, normalizeServerUrl, runUrl } from './liveResults.js';
+import { hasErrors } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+describe('parseLiveRun', () => {
+  const log = readFixture('sample_trials.txt');
+
+  it('drops a half-written last line', () => {
+    const parsed = parseLiveRun(`${log}TRIAL RUN 11 - DEADLINE == 90 SECURITY UTILITY == 0.5\nSCHEDULER,ENERGY,MAKESPAN,UTILITY\nHEFT,12`, 'run.txt');
+
+    expect(hasErrors(parsed.diagnostics)).toBe(false);
+    expect(Object.keys(parsed.trials)).toEqual(['1', '2', '10', '11']);
+    expect(parsed.trials[11].schedulers).toEqual([]);
+  });
+
+  it('still reports errors in complete lines', () => {
+    const parsed = parseLiveRun(log.replace('HEFT,12.5,90,0.7', 'HEFT,12.5,90'), 'run.txt');
+    expect(parsed.diagnostics[0]).toEqual({ severity: 'error', line: 3, message: 'Expected 4 columns but found 3' });
+  });
+});
+
+describe('changedRuns', () => {
+  it('lists new runs and runs whose size or modification time changed', () => {
+    const before = [
+      { name: 'a.txt', size: 10, modified: 1 },
+      { name: 'b.txt', size: 10, modified: 1 },
+      { name: 'c.txt', size: 10, modified: 1 }
+    ];
+    const after = [
+      { name: 'a.txt', size: 10, modified: 1 },
+      { name: 'b.txt', size: 20, modified: 2 },
+      { name: 'c.txt', size: 10, modified: 3 },
+      { name: 'd.csv', size: 5, modified: 3 }
+    ];
+    expect(changedRuns(before, after)).toEqual(['b.txt', 'c.txt', 'd.csv']);
+    expect(changedRuns(after, after)).toEqual([]);
+  });
+});
+
+describe('helpers', () => {
+  it('keeps complete lines only', () => {
+    expect(completeLines('a\nb\nc')).toBe('a\nb\n');
+    expect(completeLines('a\n')).toBe('a\n');
+    expect(completeLines('a')).toBe('');
+  });
+
+  it('recognises the uploadable file types', () => {
+    expect(['run.TXT', 'run.csv', 'run.json'].map(isResultsFile)).toEqual([true, true, true]);
+    expect(['notes.md', 'run.csv.tmp', 'csv'].map(isResultsFile)).toEqual([false, false, false]);
+  });
+
+  it('builds run URLs from the server address', () => {
+    expect(runUrl(normalizeServerUrl(' http://localhost:5174/ '), 'sweep 1.txt')).toBe('http://localhost:5174/api/runs/sweep%201.txt');
+    expect(runUrl(normalizeServerUrl(''), 'a.csv')).toBe('/api/runs/a.csv');
+  });
+});
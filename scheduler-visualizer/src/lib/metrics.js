@@ -0,0 +1,74 @@
+// Metric registry. Every chart, table and report is generated from the list
+// returned by buildMetricRegistry, so a new CSV column shows up everywhere
+// without code changes. Known metrics get curated labels and directions;
+// anything else falls back to the header text and a name-based guess.
+
+import { formatNumber } from './numberFormat.js';
+
+export const KNOWN_METRICS = {
+  makespan: { label: 'Makespan', unit: '', direction: 'lower', precision: 2 },
+  utility: { label: 'Security Utility', unit: '', direction: 'higher', precision: 2 },
+  energy: { label: 'Energy', unit: 'J', direction: 'lower', precision: 2 },
+  cost: { label: 'Cost', unit: '', direction: 'lower', precision: 2 },
+  missed_deadlines: { label: 'Missed Deadlines', unit: '', direction: 'lower', precision: 0 },
+  throughput: { label: 'Throughput', unit: '', direction: 'higher', precision: 2 }
+};
+
+const HIGHER_IS_BETTER = /(utility|throughput|score|success|reliability|accuracy|efficiency)/;
+
+// "ENERGY (J)" or "ENERGY [J]" -> { label: 'ENERGY', unit: 'J' }
+const UNIT_SUFFIX = /^(.*?)\s*[([]([^)\]]+)[)\]]\s*$/;
+
+const prettify = (label) => label
+  .toLowerCase()
+  .split(/[_\s]+/)
+  .filter(Boolean)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join(' ');
+
+export const defineMetric = ({ key, label = key }) => {
+  const known = KNOWN_METRICS[key];
+  const unitMatch = label.match(UNIT_SUFFIX);
+  const headerLabel = unitMatch ? unitMatch[1] : label;
+  const headerUnit = unitMatch ? unitMatch[2] : '';
+
+  return {
+    key,
+    label: known ? known.label : prettify(headerLabel),
+    unit: headerUnit || (known ? known.unit : ''),
+    direction: known ? known.direction : (HIGHER_IS_BETTER.test(key) ? 'higher' : 'lower'),
+    precision: known ? known.precision : 2
+  };
+};
+
+export const buildMetricRegistry = (columns) => columns.map(defineMetric);
+
+export const findMetric = (registry, key) => registry.find(m => m.key === key) || defineMetric({ key });
+
+// The registry with the number format settings (see numberFormat.js): units
+// are overridden here, while the locale, precision and unit display travel
+// with each metric, through normalisation, to every formatMetric call
+export const applyNumberFormat = (registry, { locale, precision, showUnits, units }) => registry.map(m => ({
+  ...m,
+  unit: units[m.key] || m.unit,
+  format: { locale, precision, showUnits }
+}));
+
+export const formatMetric = (metric, value) => {
+  const { locale = 'plain', precision = null, showUnits = false } = metric.format || {};
+  const text = formatNumber(value, precision === null ? metric.precision : precision, locale);
+  return showUnits && metric.unit && text !== '-' ? `${text} ${metric.unit}` : text;
+};
+
+export const metricTitle = (metric) => (metric.unit ? `${metric.label} (${metric.unit})` : metric.label);
+
+export const directionHint = (metric) => (metric.direction === 'lower' ? 'Lower is Better' : 'Higher is Better');
+
+// Positive when a is better than b for this metric
+export const compareByDirection = (metric, a, b) => (metric.direction === 'lower' ? b - a : a - b);
+
+export const bestValue = (metric, values) => {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) return undefined;
+  return metric.direction === 'lower' ? Math.min(...finite) : Math.max(...finite);
+};
@@ -0,0 +1,143 @@
+// Comparison modes for metrics whose absolute values are not comparable
+// across trials: the ratio to, or percent improvement over, a baseline
+// scheduler; makespan as a multiple of the trial's deadline; or values
+// min-max scaled within each trial.
+//
+// Normalised trials keep the shape of the originals, so every chart, table
+// and export takes them unchanged. Each row keeps its absolute values under
+// `raw`: ranking and the deadline and security checks always read those, so
+// switching modes never reorders schedulers or changes feasibility.
+
+export const NORMALIZATION_MODES = {
+  absolute: {
+    label: 'Absolute values',
+    description: 'Values as recorded.'
+  },
+  ratio: {
+    label: 'Ratio to baseline',
+    description: "Each value divided by the baseline's value in the same trial; 1 matches the baseline.",
+    needsBaseline: true
+  },
+  percent: {
+    label: 'Improvement over baseline (%)',
+    description: 'How much better than the baseline each scheduler did in the same trial; negative is worse.',
+    needsBaseline: true
+  },
+  deadline: {
+    label: 'Makespan relative to deadline',
+    description: "Makespan divided by the trial's deadline, so above 1 misses it; other metrics stay absolute."
+  },
+  minmax: {
+    label: 'Min-max per trial',
+    description: 'Each trial rescaled so its lowest value is 0 and its highest is 1.'
+  }
+};
+
+export const DEFAULT_NORMALIZATION = { mode: 'absolute', baseline: null };
+
+export const rawValues = (row) => row.raw || row;
+
+// False for the absolute mode and for baseline modes without a baseline
+export const isNormalized = ({ mode, baseline }) => (
+  mode in NORMALIZATION_MODES && mode !== 'absolute' && (!NORMALIZATION_MODES[mode].needsBaseline || Boolean(baseline))
+);
+
+const normalizeMetric = (metric, { mode, baseline }) => {
+  switch (mode) {
+    case 'ratio':
+      return { ...metric, label: `${metric.label} / ${baseline}`, unit: '×', precision: 3 };
+    case 'percent':
+      // Positive is better whichever way the metric runs
+      return { ...metric, label: `${metric.label} vs ${baseline}`, unit: '% better', direction: 'higher', precision: 1 };
+    case 'deadline':
+      return metric.key === 'makespan' ? { ...metric, label: 'Makespan / Deadline', unit: '', precision: 3 } : metric;
+    case 'minmax':
+      return { ...metric, unit: 'min-max', precision: 3 };
+    default:
+      return metric;
+  }
+};
+
+// The metric registry with labels, units and directions for the mode
+export const normalizeMetrics = (metrics, settings) => (
+  isNormalized(settings) ? metrics.map(m => normalizeMetric(m, settings)) : metrics
+);
+
+const baselineValue = (base, key) => (base && Number.isFinite(base[key]) && base[key] !== 0 ? base[key] : undefined);
+
+// One normalised value, or undefined when it cannot be computed (the
+// baseline did not run, a zero baseline or deadline, ...)
+const valueFor = (mode, metric, value, { base, trial, range }) => {
+  if (!Number.isFinite(value)) return undefined;
+  switch (mode) {
+    case 'ratio': {
+      const b = baselineValue(base, metric.key);
+      return b === undefined ? undefined : value / b;
+    }
+    case 'percent': {
+      const b = baselineValue(base, metric.key);
+      if (b === undefined) return undefined;
+      const change = metric.direction === 'lower' ? b - value : value - b;
+      return (change / Math.abs(b)) * 100;
+    }
+    case 'deadline':
+      if (metric.key !== 'makespan') return value;
+      return Number.isFinite(trial.deadline) && trial.deadline > 0 ? value / trial.deadline : undefined;
+    case 'minmax':
+      // 0 for every scheduler when they all have the same value
+      return range.max > range.min ? (value - range.min) / (range.max - range.min) : 0;
+    default:
+      return value;
+  }
+};
+
+const valueRange = (trial, key) => {
+  const values = trial.schedulers.map(s => s[key]).filter(Number.isFinite);
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+const normalizeTrial = (trial, metrics, { mode, baseline }) => {
+  const base = trial.schedulers.find(s => s.name === baseline);
+  const ranges = Object.fromEntries(metrics.map(m => [m.key, valueRange(trial, m.key)]));
+
+  return {
+    ...trial,
+    schedulers: trial.schedulers.map(row => {
+      const normalized = { name: row.name, raw: row };
+      metrics.forEach(m => {
+        if (!(m.key in row)) return;
+        const value = valueFor(mode, m, row[m.key], { base, trial, range: ranges[m.key] });
+        if (value !== undefined) normalized[m.key] = value;
+      });
+      return normalized;
+    })
+  };
+};
+
+// `metrics` is the absolute registry; `baseline` is a scheduler name as it
+// appears in the trials
+export const normalizeTrials = (trialsData, metrics, settings) => {
+  if (!isNormalized(settings)) return trialsData;
+  return Object.fromEntries(Object.entries(trialsData).map(([id, trial]) => [id, normalizeTrial(trial, metrics, settings)]));
+};
+
+// The trial's deadline and minimum security utility on the normalised scale,
+// for reference lines; undefined where the scale cannot place them
+export const normalizeLimits = (trial, metrics, settings) => {
+  const limits = { makespan: trial.deadline, utility: trial.securityUtility };
+  if (!isNormalized(settings)) return limits;
+  const base = trial.schedulers.find(s => s.name === settings.baseline);
+
+  return Object.fromEntries(Object.entries(limits).map(([key, value]) => {
+    const metric = metrics.find(m => m.key === key);
+    const range = valueRange(trial, key);
+    if (!metric || (settings.mode === 'minmax' && !(range.max > range.min))) return [key, undefined];
+    return [key, valueFor(settings.mode, metric, value, { base, trial, range })];
+  }));
+};
+
+export const describeNormalization = (settings) => {
+  if (!isNormalized(settings)) return NORMALIZATION_MODES.absolute.label;
+  const { label, needsBaseline } = NORMALIZATION_MODES[settings.mode];
+  return needsBaseline ? `${label}: ${settings.baseline}` : label;
+};
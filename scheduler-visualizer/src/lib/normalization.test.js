@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTrials,
+  normalizeMetrics,
+  normalizeLimits,
+  describeNormalization,
+  rawValues
+} from './normalization.js';
+import { rankSchedulers, DEFAULT_RANKING } from './ranking.js';
+import { buildMetricRegistry, findMetric } from './metrics.js';
+import { parseCSV } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+const { trials, columns } = parseCSV(readFixture('sample_trials.txt'));
+const metrics = buildMetricRegistry(columns);
+
+const values = (normalized, trial, key) => Object.fromEntries(
+  normalized[trial].schedulers.filter(s => key in s).map(s => [s.name, s[key]])
+);
+
+describe('normalizeTrials', () => {
+  it('leaves the trials alone for absolute values or a missing baseline', () => {
+    expect(normalizeTrials(trials, metrics, { mode: 'absolute', baseline: null })).toBe(trials);
+    expect(normalizeTrials(trials, metrics, { mode: 'ratio', baseline: null })).toBe(trials);
+  });
+
+  it('divides by the baseline in the same trial', () => {
+    const ratios = values(normalizeTrials(trials, metrics, { mode: 'ratio', baseline: 'HEFT' }), 1, 'makespan');
+    expect(ratios.HEFT).toBe(1);
+    expect(ratios.PEFT).toBeCloseTo(85 / 90);
+    expect(ratios.SA_1).toBeCloseTo(120 / 90);
+  });
+
+  it('counts improvement in the direction of each metric', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'percent', baseline: 'HEFT' });
+    // Shorter makespan and higher utility are both improvements
+    expect(values(normalized, 1, 'makespan').PEFT).toBeCloseTo(((90 - 85) / 90) * 100);
+    expect(values(normalized, 1, 'makespan').SA_1).toBeCloseTo(((90 - 120) / 90) * 100);
+    expect(values(normalized, 1, 'utility').PEFT).toBeCloseTo(((0.9 - 0.7) / 0.7) * 100);
+  });
+
+  it('leaves values out of trials the baseline did not run in', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'ratio', baseline: 'CPOP' });
+    expect(values(normalized, 2, 'makespan')).toEqual({});
+    expect(normalized[2].schedulers.map(s => s.name)).toEqual(['HEFT', 'PEFT', 'SA_1']);
+  });
+
+  it('divides makespan by the deadline and keeps the other metrics', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'deadline', baseline: null });
+    expect(values(normalized, 1, 'makespan').PEFT).toBeCloseTo(0.85);
+    expect(values(normalized, 10, 'makespan').HEFT).toBeCloseTo(88 / 90.5);
+    expect(values(normalized, 1, 'utility').PEFT).toBe(0.9);
+  });
+
+  it('scales each trial to [0, 1]', () => {
+    const makespans = values(normalizeTrials(trials, metrics, { mode: 'minmax', baseline: null }), 1, 'makespan');
+    expect(makespans).toEqual({ PEFT: 0, HEFT: 5 / 35, CPOP: 10 / 35, SA_1: 1 });
+  });
+
+  it('keeps the absolute values, so the ranking does not change', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'percent', baseline: 'HEFT' });
+    const order = (data) => rankSchedulers(data[1].schedulers, data[1], DEFAULT_RANKING, metrics).map(s => s.name);
+
+    expect(order(normalized)).toEqual(order(trials));
+    expect(rawValues(normalized[1].schedulers[0])).toBe(trials[1].schedulers[0]);
+  });
+
+  it('ranks rows with missing normalised values without showing absolute ones', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'ratio', baseline: 'CPOP' });
+    const ranked = rankSchedulers(normalized[2].schedulers, normalized[2], DEFAULT_RANKING, metrics);
+
+    expect(ranked.map(s => s.name)).toEqual(['PEFT', 'HEFT', 'SA_1']);
+    expect(ranked.some(s => 'makespan' in s)).toBe(false);
+  });
+});
+
+describe('normalizeMetrics', () => {
+  it('relabels the metrics and makes every improvement point up', () => {
+    const percent = normalizeMetrics(metrics, { mode: 'percent', baseline: 'HEFT' });
+    expect(findMetric(percent, 'makespan')).toMatchObject({ label: 'Makespan vs HEFT', unit: '% better', direction: 'higher' });
+
+    const deadline = normalizeMetrics(metrics, { mode: 'deadline', baseline: null });
+    expect(findMetric(deadline, 'makespan').label).toBe('Makespan / Deadline');
+    expect(findMetric(deadline, 'utility')).toBe(findMetric(metrics, 'utility'));
+  });
+});
+
+describe('normalizeLimits', () => {
+  it('puts the deadline and minimum utility on the same scale', () => {
+    expect(normalizeLimits(trials[1], metrics, { mode: 'absolute', baseline: null })).toEqual({ makespan: 100, utility: 0.5 });
+
+    const ratio = normalizeLimits(trials[1], metrics, { mode: 'ratio', baseline: 'HEFT' });
+    expect(ratio.makespan).toBeCloseTo(100 / 90);
+    expect(ratio.utility).toBeCloseTo(0.5 / 0.7);
+
+    expect(normalizeLimits(trials[1], metrics, { mode: 'deadline', baseline: null }).makespan).toBe(1);
+  });
+});
+
+describe('describeNormalization', () => {
+  it('names the baseline, or falls back to absolute values without one', () => {
+    expect(describeNormalization({ mode: 'ratio', baseline: 'HEFT' })).toBe('Ratio to baseline: HEFT');
+    expect(describeNormalization({ mode: 'ratio', baseline: null })).toBe('Absolute values');
+    expect(describeNormalization({ mode: 'minmax', baseline: null })).toBe('Min-max per trial');
+  });
+});
@@ -0,0 +1,67 @@
+// Number formatting shared by the tables, chart tooltips and axes, and the
+// text, LaTeX and Markdown reports. The settings are plain JSON:
+//
+//   { locale: 'de-DE', precision: 3, showUnits: true, units: { energy: 'kJ' } }
+//
+// The 'plain' locale writes numbers as they were always written (1234.57: no
+// grouping, a '.' decimal point), which keeps exports easy to parse; 'auto'
+// follows the browser, or the system for the command-line tool. `precision`
+// null keeps each metric's own; `units` overrides a metric's unit by key.
+
+export const NUMBER_LOCALES = {
+  plain: 'Plain (1234.57)',
+  auto: 'Browser default',
+  'en-US': 'English, US (1,234.57)',
+  'en-GB': 'English, UK (1,234.57)',
+  'de-DE': 'German (1.234,57)',
+  'fr-FR': 'French (1 234,57)',
+  'es-ES': 'Spanish (1234,57)',
+  'hi-IN': 'Hindi (1,234.57)',
+  'ja-JP': 'Japanese (1,234.57)'
+};
+
+export const MAX_PRECISION = 6;
+
+export const DEFAULT_NUMBER_FORMAT = { locale: 'plain', precision: null, showUnits: false, units: {} };
+
+const formatters = new Map();
+
+const formatter = (locale, options) => {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(locale === 'auto' ? undefined : locale, options));
+  return formatters.get(key);
+};
+
+const isMissing = (value) => value === undefined || value === null || Number.isNaN(value);
+
+// A value with a fixed number of decimals, '-' when there is none
+export const formatNumber = (value, digits, locale = 'plain') => {
+  if (isMissing(value)) return '-';
+  if (locale === 'plain' || !Number.isFinite(value)) return value.toFixed(digits);
+  return formatter(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+};
+
+// A value of no set precision (deadlines, axis ticks): as it is when plain,
+// otherwise grouped with up to three decimals. `maxDigits` rounds it in
+// either case, dropping trailing zeros.
+export const formatValue = (value, locale = 'plain', maxDigits = null) => {
+  if (isMissing(value)) return '-';
+  if (typeof value !== 'number' || !Number.isFinite(value)) return String(value);
+  if (locale === 'plain') return String(maxDigits === null ? value : Number(value.toFixed(maxDigits)));
+  return formatter(locale, { maximumFractionDigits: maxDigits === null ? 3 : maxDigits }).format(value);
+};
+
+export const formatPercent = (share, digits = 0, locale = 'plain') => `${formatNumber(share * 100, digits, locale)}%`;
+
+// Stored settings may be missing fields or come from a hand-edited file
+export const sanitizeNumberFormat = (value) => {
+  const format = { ...DEFAULT_NUMBER_FORMAT, ...value };
+  const { precision } = format;
+  const units = format.units && typeof format.units === 'object' ? format.units : {};
+  return {
+    locale: format.locale in NUMBER_LOCALES ? format.locale : DEFAULT_NUMBER_FORMAT.locale,
+    precision: Number.isInteger(precision) && precision >= 0 && precision <= MAX_PRECISION ? precision : null,
+    showUnits: Boolean(format.showUnits),
+    units: Object.fromEntries(Object.entries(units).filter(([, unit]) => typeof unit === 'string'))
+  };
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { formatNumber, formatValue, formatPercent, sanitizeNumberFormat, DEFAULT_NUMBER_FORMAT } from './numberFormat.js';
+import { buildMetricRegistry, applyNumberFormat, findMetric, formatMetric } from './metrics.js';
+import { schedulerStyles, markerPath, MARKER_SHAPES } from './schedulerStyles.js';
+import { describeBars } from './chartSummaries.js';
+import { rankingDetail } from './ranking.js';
+
+describe('formatNumber', () => {
+  it('writes plain numbers as before and missing values as a dash', () => {
+    expect(formatNumber(1234.567, 2)).toBe('1234.57');
+    expect(formatNumber(undefined, 2)).toBe('-');
+    expect(formatNumber(NaN, 2, 'de-DE')).toBe('-');
+    expect(formatValue(1234.5)).toBe('1234.5');
+  });
+
+  it('groups digits and picks the decimal mark of the locale', () => {
+    expect(formatNumber(1234.567, 2, 'de-DE')).toBe('1.234,57');
+    expect(formatNumber(1234.567, 1, 'en-US')).toBe('1,234.6');
+    expect(formatValue(0.12345, 'de-DE')).toBe('0,123');
+    expect(formatPercent(0.25, 1, 'de-DE')).toBe('25,0%');
+  });
+
+  it('rounds values of no set precision the same way in every locale', () => {
+    expect(formatValue(0.51234, 'plain', 3)).toBe('0.512');
+    expect(formatValue(0.51234, 'de-DE', 3)).toBe('0,512');
+    expect(formatValue(2.5, 'de-DE', 3)).toBe('2,5');
+    expect(rankingDetail({ score: 0.51234 }, { strategy: 'weightedSum' }, 'de-DE')).toBe('0,512');
+    expect(rankingDetail({ score: 0.51234 }, { strategy: 'weightedSum' })).toBe('0.512');
+  });
+
+  it('falls back to the defaults for stored settings it does not understand', () => {
+    expect(sanitizeNumberFormat(undefined)).toEqual(DEFAULT_NUMBER_FORMAT);
+    expect(sanitizeNumberFormat({ locale: 'xx', precision: 9, units: { energy: 'kJ', cost: 3 } }))
+      .toEqual({ ...DEFAULT_NUMBER_FORMAT, units: { energy: 'kJ' } });
+    expect(sanitizeNumberFormat({ locale: 'fr-FR', precision: 0, showUnits: 1 }).precision).toBe(0);
+  });
+});
+
+describe('applyNumberFormat', () => {
+  const registry = buildMetricRegistry([{ key: 'makespan', label: 'MAKESPAN' }, { key: 'energy', label: 'ENERGY' }]);
+
+  it('overrides precision and units for every formatted value', () => {
+    const metrics = applyNumberFormat(registry, { locale: 'de-DE', precision: 3, showUnits: true, units: { makespan: 's' } });
+    expect(formatMetric(findMetric(metrics, 'makespan'), 1234.5)).toBe('1.234,500 s');
+    expect(formatMetric(findMetric(metrics, 'energy'), 12)).toBe('12,000 J');
+    expect(formatMetric(findMetric(metrics, 'energy'), undefined)).toBe('-');
+  });
+
+  it('keeps each metric precision and hides units by default', () => {
+    const metrics = applyNumberFormat(registry, DEFAULT_NUMBER_FORMAT);
+    expect(formatMetric(findMetric(metrics, 'energy'), 12)).toBe('12.00');
+    expect(findMetric(metrics, 'energy').unit).toBe('J');
+  });
+});
+
+describe('schedulerStyles', () => {
+  it('gives every scheduler its own shape and dash, starting from its name', () => {
+    const names = Array.from({ length: 35 }, (_, i) => `S${String(i).padStart(2, '0')}`);
+    const styles = schedulerStyles(names);
+    expect(new Set(names.map(n => `${styles[n].marker}|${styles[n].dash}`)).size).toBe(35);
+    expect(styles.S00).not.toEqual(styles.S01);
+    // A name's style does not hang on its place in the list
+    expect(schedulerStyles(['HEFT', 'CPOP', 'PEFT', 'SA_1']).HEFT).toEqual(schedulerStyles(['HEFT']).HEFT);
+    expect(schedulerStyles(['A_HEFT', 'HEFT']).HEFT).toEqual(schedulerStyles(['HEFT']).HEFT);
+    expect(new Set(Object.values(schedulerStyles(names, false)).map(s => s.marker))).toEqual(new Set(['circle']));
+  });
+
+  it('draws every marker shape as a closed path', () => {
+    MARKER_SHAPES.forEach(shape => expect(markerPath(shape, 10, 10, 4)).toMatch(/^M.*Z$/));
+  });
+});
+
+describe('describeBars', () => {
+  it('summarises a bar chart for screen readers', () => {
+    const metric = findMetric([], 'makespan');
+    expect(describeBars(metric, [{ name: 'HEFT', makespan: 90 }, { name: 'PEFT', makespan: 85 }], 'in trial 1'))
+      .toMatch(/^Bar chart of Makespan for 2 schedulers in trial 1.*PEFT/);
+  });
+});
@@ -0,0 +1,38 @@
+// Non-dominated sorting over a set of metric objectives. Rank 1 is the
+// Pareto front; rank k holds the points that are only dominated by ranks < k.
+
+import { compareByDirection } from './metrics.js';
+
+export const dominates = (a, b, objectives) => {
+  let strictlyBetter = false;
+  for (const metric of objectives) {
+    const cmp = compareByDirection(metric, a[metric.key], b[metric.key]);
+    if (cmp < 0) return false;
+    if (cmp > 0) strictlyBetter = true;
+  }
+  return strictlyBetter;
+};
+
+export const paretoRanks = (items, objectives) => {
+  const ranks = new Map();
+  let remaining = [...items];
+  let rank = 1;
+
+  while (remaining.length > 0) {
+    const front = remaining.filter(a => !remaining.some(b => b !== a && dominates(b, a, objectives)));
+    front.forEach(item => ranks.set(item.name, rank));
+    remaining = remaining.filter(item => !front.includes(item));
+    rank++;
+  }
+
+  return ranks;
+};
+
+// Number of other items that dominate each item, a finer-grained tie-breaker
+export const dominatedByCounts = (items, objectives) => {
+  const counts = new Map();
+  items.forEach(a => {
+    counts.set(a.name, items.filter(b => b !== a && dominates(b, a, objectives)).length);
+  });
+  return counts;
+};
@@ -0,0 +1,173 @@
+// Parser for the simulator's trial log format:
+//
+//   TRIAL RUN 1 - DEADLINE == 120.5 SECURITY UTILITY == 0.8
+//   SCHEDULER,COST,MAKESPAN,UTILITY
+//   HEFT,12.1,98.2,0.74
+//
+// Every column after SCHEDULER is kept as a numeric metric keyed by its
+// normalised header name. Kept free of React and DOM APIs so it can be used
+// from Node scripts and tests.
+
+const TRIAL_HEADER = /^TRIAL RUN (\d+) - DEADLINE == ([\d.]+) SECURITY UTILITY == ([\d.]+)$/;
+
+// Used for blocks that have no SCHEDULER header row (older simulator builds)
+const DEFAULT_HEADER = ['SCHEDULER', 'METRIC_2', 'MAKESPAN', 'UTILITY'];
+
+const COLUMN_ALIASES = {
+  security_utility: 'utility',
+  sec_utility: 'utility'
+};
+
+export const REQUIRED_COLUMNS = ['makespan', 'utility'];
+
+// Values are read with Number() too, so anything accepted here is read whole
+export const isNumeric = (value) => value !== '' && Number.isFinite(Number(value));
+
+// Bracketed unit suffixes are dropped from the key: "ENERGY (J)" -> "energy"
+export const columnKey = (header) => {
+  const key = header.replace(/\s*[([][^)\]]*[)\]]\s*$/, '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return COLUMN_ALIASES[key] || key;
+};
+
+const toColumns = (headerParts) => headerParts.slice(1).map((label, idx) => {
+  const key = columnKey(label);
+  return key ? { key, label } : { key: `column_${idx + 2}`, label: `Column ${idx + 2}` };
+});
+
+export const hasErrors = (diagnostics) => diagnostics.some(d => d.severity === 'error');
+
+// Incremental parser: feed it one line at a time with pushLine() and call
+// finish() at the end. Lets a worker parse a file while it streams in instead
+// of holding the whole text and its split lines in memory.
+export const createTrialLogParser = () => {
+  const trials = {};
+  const diagnostics = [];
+  const allColumns = [];
+  const seenColumns = new Set();
+  let lineNumber = 0;
+  let currentTrial = null;
+  let columns = null;
+
+  const report = (severity, line, message) => {
+    diagnostics.push({ severity, line, message });
+  };
+
+  const pushLine = (rawLine) => {
+    lineNumber++;
+    const line = rawLine.trim();
+
+    if (!line) return;
+
+    if (line.startsWith('TRIAL RUN')) {
+      const match = line.match(TRIAL_HEADER);
+      if (!match || !isNumeric(match[2]) || !isNumeric(match[3])) {
+        report('error', lineNumber, `Malformed trial header: "${line}"`);
+        currentTrial = null;
+        return;
+      }
+
+      const trial = parseInt(match[1], 10);
+      const deadline = Number(match[2]);
+      const securityUtility = Number(match[3]);
+
+      if (trial in trials) {
+        report('error', lineNumber, `Duplicate trial number ${trial}`);
+        currentTrial = null;
+        return;
+      }
+      if (!Number.isFinite(deadline) || !Number.isFinite(securityUtility)) {
+        report('error', lineNumber, `Non-numeric deadline or security utility in trial header: "${line}"`);
+        currentTrial = null;
+        return;
+      }
+
+      currentTrial = trial;
+      trials[trial] = { deadline, securityUtility, columns: [], schedulers: [] };
+      return;
+    }
+
+    const parts = line.split(',').map(p => p.trim());
+
+    if (parts[0].toUpperCase() === 'SCHEDULER') {
+      const headerColumns = toColumns(parts);
+      const keys = headerColumns.map(c => c.key);
+      const missing = REQUIRED_COLUMNS.filter(k => !keys.includes(k));
+      const duplicate = keys.find((k, idx) => keys.indexOf(k) !== idx);
+
+      if (missing.length > 0) {
+        report('error', lineNumber, `Header is missing required column(s): ${missing.join(', ')}`);
+        columns = null;
+      } else if (duplicate) {
+        report('error', lineNumber, `Duplicate column "${duplicate}" in header`);
+        columns = null;
+      } else {
+        columns = headerColumns;
+      }
+      if (currentTrial !== null) trials[currentTrial].columns = columns ? keys : [];
+      return;
+    }
+
+    if (currentTrial === null) {
+      report('error', lineNumber, 'Row does not belong to a valid trial block');
+      return;
+    }
+
+    if (!columns) {
+      columns = toColumns(DEFAULT_HEADER);
+      report('warning', lineNumber, `No SCHEDULER header row found; assuming ${DEFAULT_HEADER.join(',')}`);
+    }
+    if (trials[currentTrial].columns.length === 0) {
+      trials[currentTrial].columns = columns.map(c => c.key);
+    }
+
+    if (parts.length !== columns.length + 1) {
+      report('error', lineNumber, `Expected ${columns.length + 1} columns but found ${parts.length}`);
+      return;
+    }
+
+    const [name, ...values] = parts;
+
+    if (!name) {
+      report('error', lineNumber, 'Missing scheduler name');
+      return;
+    }
+
+    const badColumn = columns.findIndex((c, idx) => !isNumeric(values[idx]));
+    if (badColumn !== -1) {
+      report('error', lineNumber, `Non-numeric ${columns[badColumn].label} "${values[badColumn]}" for ${name}`);
+      return;
+    }
+
+    const row = { name };
+    columns.forEach((c, idx) => {
+      row[c.key] = Number(values[idx]);
+      if (!seenColumns.has(c.key)) {
+        seenColumns.add(c.key);
+        allColumns.push(c);
+      }
+    });
+    trials[currentTrial].schedulers.push(row);
+  };
+
+  const finish = () => {
+    if (Object.keys(trials).length === 0 && !hasErrors(diagnostics)) {
+      report('error', lineNumber, 'No trial runs found in file');
+    }
+
+    Object.entries(trials).forEach(([trial, data]) => {
+      if (data.schedulers.length === 0) {
+        report('warning', null, `Trial ${trial} has no scheduler rows`);
+      }
+    });
+
+    return { trials, columns: allColumns, diagnostics };
+  };
+
+  return { pushLine, finish };
+};
+
+export const parseCSV = (text) => {
+  const parser = createTrialLogParser();
+  text.split(/\r?\n/).forEach(parser.pushLine);
+  return parser.finish();
+};
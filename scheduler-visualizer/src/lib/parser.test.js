@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, hasErrors, columnKey } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+describe('parseCSV', () => {
+  it('reads every trial block of a valid log', () => {
+    const { trials, columns, diagnostics } = parseCSV(readFixture('sample_trials.txt'));
+
+    expect(diagnostics).toEqual([]);
+    expect(Object.keys(trials)).toEqual(['1', '2', '10']);
+    expect(columns.map(c => c.key)).toEqual(['energy', 'makespan', 'utility']);
+    expect(trials[10]).toMatchObject({ deadline: 90.5, securityUtility: 0.55, columns: ['energy', 'makespan', 'utility'] });
+    expect(trials[1].schedulers).toHaveLength(4);
+    expect(trials[1].schedulers[1]).toEqual({ name: 'CPOP', energy: 11, makespan: 95, utility: 0.705 });
+  });
+
+  it('reports malformed input line by line and keeps the valid rows', () => {
+    const { trials, diagnostics } = parseCSV(readFixture('malformed_trials.txt'));
+
+    expect(hasErrors(diagnostics)).toBe(true);
+    expect(diagnostics.filter(d => d.severity === 'error')).toEqual([
+      { severity: 'error', line: 4, message: 'Non-numeric MAKESPAN "fast" for CPOP' },
+      { severity: 'error', line: 5, message: 'Expected 4 columns but found 3' },
+      { severity: 'error', line: 6, message: 'Malformed trial header: "TRIAL RUN two - DEADLINE == 100 SECURITY UTILITY == 0.5"' },
+      { severity: 'error', line: 7, message: 'Row does not belong to a valid trial block' },
+      { severity: 'error', line: 8, message: 'Duplicate trial number 1' }
+    ]);
+    expect(trials[1].schedulers.map(s => s.name)).toEqual(['HEFT']);
+  });
+
+  it('falls back to the legacy header, tolerating CRLF line endings and padding', () => {
+    const { trials, diagnostics } = parseCSV(readFixture('legacy_no_header.txt'));
+
+    expect(hasErrors(diagnostics)).toBe(false);
+    expect(diagnostics).toEqual([
+      { severity: 'warning', line: 2, message: 'No SCHEDULER header row found; assuming SCHEDULER,METRIC_2,MAKESPAN,UTILITY' },
+      { severity: 'warning', line: null, message: 'Trial 4 has no scheduler rows' }
+    ]);
+    expect(trials[3].schedulers).toEqual([
+      { name: 'HEFT', metric_2: 12.5, makespan: 60, utility: 0.7 },
+      { name: 'CPOP', metric_2: 11, makespan: 70, utility: 0.8 }
+    ]);
+  });
+
+  it('rejects headers without the required metrics or with duplicate columns', () => {
+    const missing = parseCSV('TRIAL RUN 1 - DEADLINE == 1 SECURITY UTILITY == 1\nSCHEDULER,ENERGY,MAKESPAN\n');
+    expect(missing.diagnostics[0]).toEqual({ severity: 'error', line: 2, message: 'Header is missing required column(s): utility' });
+
+    const duplicate = parseCSV('TRIAL RUN 1 - DEADLINE == 1 SECURITY UTILITY == 1\nSCHEDULER,MAKESPAN,UTILITY,SECURITY_UTILITY\n');
+    expect(duplicate.diagnostics[0]).toEqual({ severity: 'error', line: 2, message: 'Duplicate column "utility" in header' });
+  });
+
+  it('reads each value whole or rejects it', () => {
+    const { trials, diagnostics } = parseCSV([
+      'TRIAL RUN 1 - DEADLINE == 1.2.3 SECURITY UTILITY == 1',
+      'TRIAL RUN 2 - DEADLINE == 100 SECURITY UTILITY == 0.5',
+      'SCHEDULER,MAKESPAN,UTILITY',
+      'HEFT,1e2,0.5',
+      'CPOP,12abc,0.5'
+    ].join('\n'));
+    expect(diagnostics).toEqual([
+      { severity: 'error', line: 1, message: 'Malformed trial header: "TRIAL RUN 1 - DEADLINE == 1.2.3 SECURITY UTILITY == 1"' },
+      { severity: 'error', line: 5, message: 'Non-numeric MAKESPAN "12abc" for CPOP' }
+    ]);
+    expect(trials[2].schedulers).toEqual([{ name: 'HEFT', makespan: 100, utility: 0.5 }]);
+  });
+
+  it('reports an empty file', () => {
+    expect(parseCSV('').diagnostics).toEqual([{ severity: 'error', line: 1, message: 'No trial runs found in file' }]);
+    expect(parseCSV('\n\n').trials).toEqual({});
+  });
+});
+
+describe('columnKey', () => {
+  it('normalises header labels and drops unit suffixes', () => {
+    expect(columnKey('ENERGY (J)')).toBe('energy');
+    expect(columnKey('Missed Deadlines')).toBe('missed_deadlines');
+    expect(columnKey('SEC_UTILITY')).toBe('utility');
+  });
+});
@@ -0,0 +1,87 @@
+// Performance profiles (Dolan and Moré, 2002). In every trial each
+// scheduler's value is divided by the best value any compared scheduler
+// reached (inverted for higher-is-better metrics), giving a ratio >= 1. A
+// scheduler's profile rho(tau) is the share of trials in which its ratio is
+// at most tau: rho(1) is how often it was best, and how fast it climbs shows
+// how close it stays when it is not.
+//
+// Ratios need positive values. A scheduler with a missing, zero or negative
+// value in a trial counts as failing it (ratio infinity); trials in which no
+// scheduler has a usable value are skipped.
+
+import { sortedTrialIds } from './trends.js';
+import { rawValues } from './normalization.js';
+
+// Beyond this many distinct ratios the profile is sampled on a log grid
+const MAX_PROFILE_POINTS = 200;
+
+export const profileKey = (scheduler) => `${scheduler}_profile`;
+
+// Sorted ratios per scheduler, from the absolute values of normalised rows
+export const performanceRatios = (trialsData, schedulers, metric) => {
+  const ratios = new Map(schedulers.map(s => [s, []]));
+  const usable = (v) => Number.isFinite(v) && v > 0;
+
+  sortedTrialIds(trialsData).forEach(trial => {
+    const values = new Map(trialsData[trial].schedulers.map(s => [s.name, rawValues(s)[metric.key]]));
+    const present = schedulers.map(s => values.get(s)).filter(usable);
+    if (present.length === 0) return;
+    const best = metric.direction === 'lower' ? Math.min(...present) : Math.max(...present);
+
+    schedulers.forEach(s => {
+      const v = values.get(s);
+      if (!usable(v)) ratios.get(s).push(Infinity);
+      else ratios.get(s).push(metric.direction === 'lower' ? v / best : best / v);
+    });
+  });
+
+  ratios.forEach(list => list.sort((a, b) => a - b));
+  return ratios;
+};
+
+// Number of sorted values <= x
+const countAtMost = (sorted, x) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Every distinct finite ratio, or a log-spaced grid from 1 to the largest
+export const profileTaus = (ratios, maxPoints = MAX_PROFILE_POINTS) => {
+  const distinct = Array.from(new Set(Array.from(ratios.values()).flat().filter(Number.isFinite))).sort((a, b) => a - b);
+  const largest = distinct.length > 0 ? distinct[distinct.length - 1] : 1;
+  if (largest <= 1) return [1, 2];
+  if (distinct.length <= maxPoints) return distinct[0] === 1 ? distinct : [1, ...distinct];
+
+  const step = Math.log(largest) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => (i === maxPoints - 1 ? largest : Math.exp(i * step)));
+};
+
+// Chart rows { tau, [profileKey(s)]: share of trials } plus the trial count
+export const performanceProfile = (trialsData, schedulers, metric, maxPoints) => {
+  const ratios = performanceRatios(trialsData, schedulers, metric);
+  const trialCount = schedulers.length > 0 ? ratios.get(schedulers[0]).length : 0;
+  const taus = profileTaus(ratios, maxPoints);
+
+  const rows = trialCount === 0 ? [] : taus.map(tau => {
+    const row = { tau };
+    schedulers.forEach(s => { row[profileKey(s)] = countAtMost(ratios.get(s), tau) / trialCount; });
+    return row;
+  });
+
+  return { rows, trialCount };
+};
+
+// Share of trials each scheduler was best in, i.e. rho(1)
+export const bestShares = (trialsData, schedulers, metric) => {
+  const ratios = performanceRatios(trialsData, schedulers, metric);
+  return Object.fromEntries(schedulers.map(s => {
+    const list = ratios.get(s);
+    return [s, list.length > 0 ? countAtMost(list, 1) / list.length : 0];
+  }));
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { performanceProfile, performanceRatios, profileTaus, bestShares, profileKey } from './performanceProfile.js';
+import { normalizeTrials } from './normalization.js';
+import { buildMetricRegistry, findMetric } from './metrics.js';
+import { parseCSV } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+const { trials, columns } = parseCSV(readFixture('sample_trials.txt'));
+const metrics = buildMetricRegistry(columns);
+const makespan = findMetric(metrics, 'makespan');
+const utility = findMetric(metrics, 'utility');
+const schedulers = ['HEFT', 'CPOP', 'SA_1', 'PEFT'];
+
+describe('performanceRatios', () => {
+  it('divides by the best value in each trial, counting absent schedulers as failures', () => {
+    // Each list is sorted, so the failure comes last
+    const ratios = performanceRatios(trials, schedulers, makespan);
+    expect(ratios.get('PEFT')).toEqual([1, 1, 1]);
+    expect(ratios.get('CPOP')[0]).toBeCloseTo(92 / 87);
+    expect(ratios.get('CPOP')[1]).toBeCloseTo(95 / 85);
+    expect(ratios.get('CPOP')[2]).toBe(Infinity);
+  });
+
+  it('inverts the ratio for higher-is-better metrics', () => {
+    const ratios = performanceRatios(trials, schedulers, utility);
+    // HEFT and PEFT tie for the best utility in trial 2
+    expect(ratios.get('HEFT')[0]).toBe(1);
+    // Sorted: trials 10, 1 and 2
+    [0.65 / 0.35, 0.9 / 0.4, 0.8 / 0.3].forEach((ratio, idx) => expect(ratios.get('SA_1')[idx]).toBeCloseTo(ratio));
+  });
+
+  it('skips trials in which no scheduler has a positive value', () => {
+    const broken = { 1: { ...trials[1], schedulers: [{ name: 'HEFT', makespan: 0 }, { name: 'PEFT', makespan: -1 }] } };
+    expect(performanceRatios(broken, ['HEFT', 'PEFT'], makespan).get('HEFT')).toEqual([]);
+  });
+
+  it('reads the absolute values of normalised trials', () => {
+    const normalized = normalizeTrials(trials, metrics, { mode: 'percent', baseline: 'HEFT' });
+    expect(performanceRatios(normalized, schedulers, makespan)).toEqual(performanceRatios(trials, schedulers, makespan));
+  });
+});
+
+describe('performanceProfile', () => {
+  it('climbs from the share of wins to the share of trials run', () => {
+    const { rows, trialCount } = performanceProfile(trials, schedulers, makespan);
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    expect(trialCount).toBe(3);
+    expect(first.tau).toBe(1);
+    expect(first[profileKey('PEFT')]).toBe(1);
+    expect(first[profileKey('HEFT')]).toBe(0);
+    expect(last.tau).toBeCloseTo(140 / 87);
+    expect(last[profileKey('HEFT')]).toBe(1);
+    // CPOP never reaches 1: it did not run in trial 2
+    expect(last[profileKey('CPOP')]).toBeCloseTo(2 / 3);
+  });
+
+  it('never decreases', () => {
+    const { rows } = performanceProfile(trials, schedulers, utility);
+    schedulers.forEach(s => {
+      rows.slice(1).forEach((row, idx) => expect(row[profileKey(s)]).toBeGreaterThanOrEqual(rows[idx][profileKey(s)]));
+    });
+  });
+
+  it('has no rows without trials', () => {
+    expect(performanceProfile({}, schedulers, makespan)).toEqual({ rows: [], trialCount: 0 });
+  });
+});
+
+describe('profileTaus', () => {
+  it('samples a log grid from 1 to the largest ratio when there are many', () => {
+    const ratios = new Map([['A', [1, 1.5, 2, 3, 4, Infinity]]]);
+    expect(profileTaus(ratios)).toEqual([1, 1.5, 2, 3, 4]);
+
+    const grid = profileTaus(ratios, 3);
+    expect(grid[0]).toBe(1);
+    expect(grid[1]).toBeCloseTo(2);
+    expect(grid[2]).toBe(4);
+  });
+});
+
+describe('bestShares', () => {
+  it('counts ties for the best as wins for each', () => {
+    expect(bestShares(trials, schedulers, utility)).toEqual({ HEFT: 1 / 3, CPOP: 1 / 3, SA_1: 0, PEFT: 2 / 3 });
+  });
+});
@@ -0,0 +1,45 @@
+// Cross-trial views of the ranking itself rather than raw metric values: a
+// scheduler's rank in every trial (for the bump chart) and head-to-head
+// results for every pair (for the win matrix). Both use rankSchedulers, so
+// they agree with the per-trial rankings table.
+
+import { rankSchedulers } from './ranking.js';
+import { sortedTrialIds } from './trends.js';
+
+const rankTrials = (trialsData, schedulers, ranking, metrics) => {
+  const selected = new Set(schedulers);
+  return sortedTrialIds(trialsData).map(trial => {
+    const data = trialsData[trial];
+    const present = data.schedulers.filter(s => selected.has(s.name));
+    const ranked = rankSchedulers(present, data, ranking, metrics);
+    return { trial, ranks: new Map(ranked.map(s => [s.name, s.rank])) };
+  });
+};
+
+// One row per trial: { trial, [scheduler]: rank }. Schedulers missing from a
+// trial have no key, which leaves a gap in the bump chart.
+export const rankHistory = (trialsData, schedulers, ranking, metrics) => (
+  rankTrials(trialsData, schedulers, ranking, metrics).map(({ trial, ranks }) => {
+    const row = { trial };
+    ranks.forEach((rank, name) => { row[name] = rank; });
+    return row;
+  })
+);
+
+// matrix[a][b] lists the trials in which `a` ranked above `b`. Only trials in
+// which both ran count, so matrix[a][b].length + matrix[b][a].length is the
+// number of trials they met in.
+export const winMatrix = (trialsData, schedulers, ranking, metrics) => {
+  const matrix = Object.fromEntries(schedulers.map(a => [a, Object.fromEntries(schedulers.map(b => [b, []]))]));
+
+  rankTrials(trialsData, schedulers, ranking, metrics).forEach(({ trial, ranks }) => {
+    schedulers.forEach(a => {
+      if (!ranks.has(a)) return;
+      schedulers.forEach(b => {
+        if (a !== b && ranks.has(b) && ranks.get(a) < ranks.get(b)) matrix[a][b].push(trial);
+      });
+    });
+  });
+
+  return matrix;
+};
@@ -0,0 +1,167 @@
+// Ranking engine shared by the trial view, charts and every export, so all of
+// them agree on scheduler order. A ranking config is a plain object:
+//
+//   { strategy, primary, secondary, tolerance, weights }
+//
+// `primary`/`secondary` drive the lexicographic order that every strategy
+// also uses as its tie-breaker.
+
+import { findMetric, compareByDirection } from './metrics.js';
+import { constraintViolations } from './constraints.js';
+import { paretoRanks } from './pareto.js';
+import { rawValues } from './normalization.js';
+import { formatNumber } from './numberFormat.js';
+
+export const RANKING_STRATEGIES = {
+  lexicographic: 'Lexicographic',
+  weightedSum: 'Weighted sum',
+  feasibilityFirst: 'Feasibility first',
+  pareto: 'Pareto rank'
+};
+
+export const DEFAULT_RANKING = {
+  strategy: 'lexicographic',
+  primary: 'utility',
+  secondary: 'makespan',
+  tolerance: 0.01,
+  weights: { makespan: 1, utility: 1 }
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A ranking config from a link or snapshot, field by field: anything missing
+// or invalid falls back to the default. Metric keys must be in `metricKeys`,
+// or only well-formed while the metrics are not known yet (null).
+export const sanitizeRanking = (value, metricKeys = null) => {
+  const ranking = isObject(value) ? value : {};
+  const isMetric = (key) => typeof key === 'string' && key !== '' && (!metricKeys || metricKeys.includes(key));
+  const weights = isObject(ranking.weights)
+    ? Object.fromEntries(Object.entries(ranking.weights).filter(([key, weight]) => isMetric(key) && Number.isFinite(weight) && weight >= 0))
+    : DEFAULT_RANKING.weights;
+  return {
+    strategy: ranking.strategy in RANKING_STRATEGIES ? ranking.strategy : DEFAULT_RANKING.strategy,
+    primary: isMetric(ranking.primary) ? ranking.primary : DEFAULT_RANKING.primary,
+    secondary: isMetric(ranking.secondary) ? ranking.secondary : DEFAULT_RANKING.secondary,
+    tolerance: Number.isFinite(ranking.tolerance) && ranking.tolerance >= 0 ? ranking.tolerance : DEFAULT_RANKING.tolerance,
+    weights: { ...weights }
+  };
+};
+
+const lexicographicComparator = (ranking, metrics) => {
+  const primary = findMetric(metrics, ranking.primary);
+  const secondary = findMetric(metrics, ranking.secondary);
+
+  return (a, b) => {
+    if (Math.abs(a[primary.key] - b[primary.key]) < ranking.tolerance) {
+      return compareByDirection(secondary, b[secondary.key], a[secondary.key]);
+    }
+    return compareByDirection(primary, b[primary.key], a[primary.key]);
+  };
+};
+
+// Min-max normalise each weighted metric within the trial so that 1 is the
+// best value and 0 the worst, then take the weighted mean.
+export const weightedScores = (schedulers, ranking, metrics) => {
+  const weighted = Object.entries(ranking.weights || {})
+    .filter(([, weight]) => weight > 0)
+    .map(([key, weight]) => ({ metric: findMetric(metrics, key), weight }));
+  const totalWeight = weighted.reduce((sum, w) => sum + w.weight, 0);
+  const scores = new Map();
+
+  const ranges = weighted.map(({ metric }) => {
+    const values = schedulers.map(s => s[metric.key]).filter(Number.isFinite);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  });
+
+  schedulers.forEach(s => {
+    if (totalWeight === 0) {
+      scores.set(s.name, 0);
+      return;
+    }
+    const score = weighted.reduce((sum, { metric, weight }, idx) => {
+      const { min, max } = ranges[idx];
+      const value = s[metric.key];
+      if (!Number.isFinite(value)) return sum;
+      const normalised = max === min ? 1 : (value - min) / (max - min);
+      return sum + weight * (metric.direction === 'lower' ? 1 - normalised : normalised);
+    }, 0);
+    scores.set(s.name, score / totalWeight);
+  });
+
+  return scores;
+};
+
+export const rankSchedulers = (schedulers, trial, ranking, metrics) => {
+  const lexicographic = lexicographicComparator(ranking, metrics);
+  // Normalised rows (see normalization.js) are ranked by their absolute values
+  const entries = schedulers.map((s, index) => ({ ...rawValues(s), index }));
+  let comparator = lexicographic;
+
+  if (ranking.strategy === 'weightedSum') {
+    const scores = weightedScores(entries, ranking, metrics);
+    entries.forEach(e => { e.score = scores.get(e.name); });
+    comparator = (a, b) => (b.score - a.score) || lexicographic(a, b);
+  } else if (ranking.strategy === 'feasibilityFirst') {
+    entries.forEach(e => {
+      e.violations = constraintViolations(e, trial);
+      e.feasible = e.violations.length === 0;
+    });
+    comparator = (a, b) => (a.violations.length - b.violations.length) || lexicographic(a, b);
+  } else if (ranking.strategy === 'pareto') {
+    const objectives = [findMetric(metrics, ranking.primary), findMetric(metrics, ranking.secondary)];
+    const ranks = paretoRanks(entries, objectives);
+    entries.forEach(e => { e.paretoRank = ranks.get(e.name); });
+    comparator = (a, b) => (a.paretoRank - b.paretoRank) || lexicographic(a, b);
+  }
+
+  entries.sort(comparator);
+  return entries.map(({ index, ...e }, idx) => {
+    const row = schedulers[index];
+    if (!row.raw) return { ...e, rank: idx + 1 };
+    // A normalised row keeps its own values and gains only the ranking's fields
+    const added = Object.fromEntries(Object.entries(e).filter(([key]) => !(key in row.raw)));
+    return { ...row, ...added, rank: idx + 1 };
+  });
+};
+
+export const describeRanking = (ranking, metrics) => {
+  const primary = findMetric(metrics, ranking.primary);
+  const secondary = findMetric(metrics, ranking.secondary);
+  const tieBreak = `${primary.label}, then ${secondary.label} within ${ranking.tolerance}`;
+
+  switch (ranking.strategy) {
+    case 'weightedSum': {
+      const weights = Object.entries(ranking.weights || {})
+        .filter(([, weight]) => weight > 0)
+        .map(([key, weight]) => `${findMetric(metrics, key).label} x${weight}`)
+        .join(', ');
+      return `Weighted sum (${weights || 'no weights'})`;
+    }
+    case 'feasibilityFirst':
+      return `Feasibility first (deadline and min security utility), then ${tieBreak}`;
+    case 'pareto':
+      return `Pareto rank over ${primary.label} and ${secondary.label}, then ${tieBreak}`;
+    default:
+      return `Lexicographic: ${tieBreak}`;
+  }
+};
+
+// Extra per-scheduler column explaining the order, or null for plain lexicographic
+export const rankingDetailLabel = (ranking) => ({
+  weightedSum: 'Score',
+  feasibilityFirst: 'Feasible',
+  pareto: 'Pareto Rank'
+}[ranking.strategy] || null);
+
+export const rankingDetail = (entry, ranking, locale = 'plain') => {
+  switch (ranking.strategy) {
+    case 'weightedSum':
+      return formatNumber(entry.score, 3, locale);
+    case 'feasibilityFirst':
+      return entry.feasible ? 'Yes' : 'No';
+    case 'pareto':
+      return String(entry.paretoRank);
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { rankSchedulers, sanitizeRanking, DEFAULT_RANKING } from './ranking.js';
+import { buildMetricRegistry } from './metrics.js';
+import { parseCSV } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+const { trials, columns } = parseCSV(readFixture('sample_trials.txt'));
+const metrics = buildMetricRegistry(columns);
+
+const order = (trial, ranking = DEFAULT_RANKING) => (
+  rankSchedulers(trials[trial].schedulers, trials[trial], ranking, metrics).map(s => s.name)
+);
+
+describe('rankSchedulers', () => {
+  it('ranks by utility, breaking ties within the tolerance by makespan', () => {
+    // HEFT (0.7) and CPOP (0.705) tie on utility; HEFT finishes sooner
+    expect(order(1)).toEqual(['PEFT', 'HEFT', 'CPOP', 'SA_1']);
+    // Exact utility tie between HEFT and PEFT
+    expect(order(2)).toEqual(['PEFT', 'HEFT', 'SA_1']);
+  });
+
+  it('only treats utilities as tied within the configured tolerance', () => {
+    expect(order(1, { ...DEFAULT_RANKING, tolerance: 0.001 })).toEqual(['PEFT', 'CPOP', 'HEFT', 'SA_1']);
+  });
+
+  it('keeps the input order when both metrics tie', () => {
+    const trial = { deadline: 100, securityUtility: 0.5 };
+    const tied = [
+      { name: 'B', makespan: 90, utility: 0.7 },
+      { name: 'A', makespan: 90, utility: 0.7 }
+    ];
+    expect(rankSchedulers(tied, trial, DEFAULT_RANKING, metrics).map(s => [s.name, s.rank])).toEqual([['B', 1], ['A', 2]]);
+  });
+
+  it('numbers ranks from 1 without changing the input', () => {
+    const input = trials[10].schedulers;
+    const ranked = rankSchedulers(input, trials[10], DEFAULT_RANKING, metrics);
+
+    expect(ranked.map(s => s.rank)).toEqual([1, 2, 3, 4]);
+    expect(ranked.map(s => s.name)).toEqual(['CPOP', 'PEFT', 'HEFT', 'SA_1']);
+    expect(input.map(s => s.name)).toEqual(['HEFT', 'CPOP', 'SA_1', 'PEFT']);
+  });
+
+  it('puts feasible schedules first under the feasibility-first strategy', () => {
+    // SA_1 misses both the deadline and the minimum utility in trial 10
+    const ranking = { ...DEFAULT_RANKING, strategy: 'feasibilityFirst', primary: 'makespan', secondary: 'utility' };
+    expect(order(10, ranking)).toEqual(['PEFT', 'HEFT', 'CPOP', 'SA_1']);
+  });
+});
+
+describe('sanitizeRanking', () => {
+  const keys = metrics.map(m => m.key);
+
+  it('keeps a valid config', () => {
+    const ranking = { strategy: 'weightedSum', primary: 'makespan', secondary: 'energy', tolerance: 0.5, weights: { energy: 2 } };
+    expect(sanitizeRanking(ranking, keys)).toEqual(ranking);
+  });
+
+  it('falls back to the default for each invalid field', () => {
+    expect(sanitizeRanking({ strategy: 'random', primary: 'speed', secondary: 3, tolerance: -1, weights: { makespan: 'x', speed: 1, energy: 2 } }, keys))
+      .toEqual({ ...DEFAULT_RANKING, weights: { energy: 2 } });
+    expect(sanitizeRanking('lexicographic')).toEqual(DEFAULT_RANKING);
+    expect(sanitizeRanking({ weights: [1] }).weights).toEqual(DEFAULT_RANKING.weights);
+  });
+});
@@ -0,0 +1,234 @@
+// Report generation. buildReport ranks each trial exactly as the UI does and
+// keeps only the requested trials, schedulers and metrics; the formatters
+// below turn that one report object into text, LaTeX, Markdown, CSV or JSON.
+// Text, LaTeX and Markdown write numbers in the report's locale and the
+// metrics' number format (see numberFormat.js); CSV and JSON keep raw values.
+
+import { rankSchedulers, describeRanking, rankingDetailLabel, rankingDetail } from './ranking.js';
+import { formatMetric, metricTitle, bestValue } from './metrics.js';
+import { formatValue } from './numberFormat.js';
+
+export const buildReport = ({
+  datasetName,
+  trialsData,
+  trialIds,
+  rankedSchedulers,
+  schedulers,
+  metrics,
+  ranking,
+  rankingMetrics,
+  locale = 'plain'
+}) => {
+  const ranked = new Set(rankedSchedulers);
+  const included = new Set(schedulers);
+  const detailLabel = rankingDetailLabel(ranking);
+
+  return {
+    title: 'SCHEDULER PERFORMANCE REPORT',
+    dataset: datasetName,
+    ranking: describeRanking(ranking, rankingMetrics),
+    detailLabel,
+    metrics,
+    locale,
+    trials: trialIds.filter(id => id in trialsData).map(id => {
+      const trial = trialsData[id];
+      const rows = rankSchedulers(trial.schedulers.filter(s => ranked.has(s.name)), trial, ranking, rankingMetrics)
+        .filter(s => included.has(s.name))
+        .map(s => ({
+          rank: s.rank,
+          name: s.name,
+          values: Object.fromEntries(metrics.map(m => [m.key, s[m.key]])),
+          detail: detailLabel ? rankingDetail(s, ranking) : null,
+          // The text formats write it in the report's locale
+          shownDetail: detailLabel ? rankingDetail(s, ranking, locale) : null
+        }));
+
+      return { id, deadline: trial.deadline, securityUtility: trial.securityUtility, rows };
+    })
+  };
+};
+
+const bestByMetric = (report, trial) => Object.fromEntries(
+  report.metrics.map(m => [m.key, bestValue(m, trial.rows.map(r => r.values[m.key]))])
+);
+
+// ---------------------------------------------------------------------------
+// Plain text (the original pipe-separated layout)
+
+export const toText = (report) => {
+  let text = `${report.title}\n`;
+  text += `Dataset: ${report.dataset}\n`;
+  text += `Ranking: ${report.ranking}\n`;
+  text += '='.repeat(80) + '\n\n';
+
+  report.trials.forEach(trial => {
+    text += `TRIAL RUN ${trial.id}\n`;
+    text += `Deadline: ${formatValue(trial.deadline, report.locale)}\n`;
+    text += `Min Security Utility: ${formatValue(trial.securityUtility, report.locale)}\n`;
+    text += '-'.repeat(80) + '\n';
+    text += ['Rank', 'Scheduler', ...report.metrics.map(metricTitle), ...(report.detailLabel ? [report.detailLabel] : [])].join(' | ') + '\n';
+    text += '-'.repeat(80) + '\n';
+
+    trial.rows.forEach(row => {
+      const values = report.metrics.map(m => formatMetric(m, row.values[m.key]));
+      const detail = report.detailLabel ? [row.shownDetail] : [];
+      text += [row.rank, row.name, ...values, ...detail].join(' | ') + '\n';
+    });
+
+    text += '\n\n';
+  });
+
+  return text;
+};
+
+// ---------------------------------------------------------------------------
+// LaTeX (booktabs), best value per metric column in bold
+
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+export const escapeLatex = (text) => String(text).replace(/[\\&%$#_{}~^]/g, ch => LATEX_ESCAPES[ch]);
+
+export const toLatex = (report) => {
+  const lines = [
+    `% ${report.title}`,
+    `% Dataset: ${report.dataset}`,
+    `% Ranking: ${report.ranking}`,
+    '% Requires \\usepackage{booktabs}',
+    ''
+  ];
+
+  report.trials.forEach(trial => {
+    const best = bestByMetric(report, trial);
+    const columns = `rl${'r'.repeat(report.metrics.length)}${report.detailLabel ? 'r' : ''}`;
+    const header = ['Rank', 'Scheduler', ...report.metrics.map(metricTitle), ...(report.detailLabel ? [report.detailLabel] : [])]
+      .map(escapeLatex);
+
+    lines.push('\\begin{table}[ht]');
+    lines.push('\\centering');
+    lines.push(`\\caption{Trial run ${escapeLatex(trial.id)} (deadline ${escapeLatex(formatValue(trial.deadline, report.locale))}, min.\\ security utility ${escapeLatex(formatValue(trial.securityUtility, report.locale))})}`);
+    lines.push(`\\label{tab:trial-${trial.id}}`);
+    lines.push(`\\begin{tabular}{${columns}}`);
+    lines.push('\\toprule');
+    lines.push(`${header.join(' & ')} \\\\`);
+    lines.push('\\midrule');
+
+    trial.rows.forEach(row => {
+      const values = report.metrics.map(m => {
+        const formatted = escapeLatex(formatMetric(m, row.values[m.key]));
+        return row.values[m.key] === best[m.key] ? `\\textbf{${formatted}}` : formatted;
+      });
+      const detail = report.detailLabel ? [escapeLatex(row.shownDetail)] : [];
+      lines.push(`${[row.rank, escapeLatex(row.name), ...values, ...detail].join(' & ')} \\\\`);
+    });
+
+    lines.push('\\bottomrule');
+    lines.push('\\end{tabular}');
+    lines.push('\\end{table}');
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+// ---------------------------------------------------------------------------
+// GitHub-flavoured Markdown
+
+const escapeMarkdown = (text) => String(text).replace(/([|\\*_`])/g, '\\$1');
+
+export const toMarkdown = (report) => {
+  const lines = [
+    `# ${report.title.charAt(0)}${report.title.slice(1).toLowerCase()}`,
+    '',
+    `- **Dataset:** ${escapeMarkdown(report.dataset)}`,
+    `- **Ranking:** ${escapeMarkdown(report.ranking)}`,
+    ''
+  ];
+
+  report.trials.forEach(trial => {
+    const best = bestByMetric(report, trial);
+    const header = ['Rank', 'Scheduler', ...report.metrics.map(metricTitle), ...(report.detailLabel ? [report.detailLabel] : [])];
+    const align = [':--', ':--', ...report.metrics.map(() => '--:'), ...(report.detailLabel ? ['--:'] : [])];
+
+    lines.push(`## Trial run ${trial.id}`);
+    lines.push('');
+    lines.push(`Deadline: ${formatValue(trial.deadline, report.locale)} | Min security utility: ${formatValue(trial.securityUtility, report.locale)}`);
+    lines.push('');
+    lines.push(`| ${header.map(escapeMarkdown).join(' | ')} |`);
+    lines.push(`| ${align.join(' | ')} |`);
+
+    trial.rows.forEach(row => {
+      const values = report.metrics.map(m => {
+        const formatted = escapeMarkdown(formatMetric(m, row.values[m.key]));
+        return row.values[m.key] === best[m.key] ? `**${formatted}**` : formatted;
+      });
+      const detail = report.detailLabel ? [row.shownDetail] : [];
+      lines.push(`| ${[row.rank, escapeMarkdown(row.name), ...values, ...detail].join(' | ')} |`);
+    });
+
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+// ---------------------------------------------------------------------------
+// Tidy long-format CSV: one row per trial x scheduler x metric
+
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (report) => {
+  const rows = [['trial', 'deadline', 'security_utility', 'rank', 'scheduler', 'metric', 'value']];
+
+  report.trials.forEach(trial => {
+    trial.rows.forEach(row => {
+      report.metrics.forEach(m => {
+        rows.push([trial.id, trial.deadline, trial.securityUtility, row.rank, row.name, m.key, row.values[m.key]]);
+      });
+    });
+  });
+
+  return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+};
+
+// ---------------------------------------------------------------------------
+// JSON
+
+export const toJson = (report) => JSON.stringify({
+  title: report.title,
+  dataset: report.dataset,
+  ranking: report.ranking,
+  metrics: report.metrics.map(({ key, label, unit, direction }) => ({ key, label, unit, direction })),
+  trials: report.trials.map(trial => ({
+    trial: trial.id,
+    deadline: trial.deadline,
+    securityUtility: trial.securityUtility,
+    results: trial.rows.map(row => ({
+      rank: row.rank,
+      scheduler: row.name,
+      ...row.values,
+      ...(report.detailLabel ? { [report.detailLabel]: row.detail } : {})
+    }))
+  }))
+}, null, 2);
+
+export const REPORT_FORMATS = {
+  text: { label: 'Plain text', extension: 'txt', mime: 'text/plain', render: toText },
+  latex: { label: 'LaTeX (booktabs)', extension: 'tex', mime: 'application/x-tex', render: toLatex },
+  md: { label: 'Markdown', extension: 'md', mime: 'text/markdown', render: toMarkdown },
+  csv: { label: 'Tidy CSV', extension: 'csv', mime: 'text/csv', render: toCsv },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json', render: toJson }
+};
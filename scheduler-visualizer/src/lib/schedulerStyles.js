@@ -0,0 +1,72 @@
+// Marker shapes and line dash patterns, so schedulers can be told apart
+// without relying on colour alone. Seven shapes and five dash patterns make
+// 35 combinations; like the colours (colors.js), a scheduler starts from the
+// combination its name hashes to, and when two names clash the one first in
+// sorted order keeps it and the other takes the next free combination.
+
+import { nameHash } from './colors.js';
+
+export const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'cross', 'star', 'triangleDown'];
+
+export const DASH_PATTERNS = ['', '8 4', '2 3', '12 4 2 4', '4 4'];
+
+const PLAIN_STYLE = { marker: 'circle', dash: '' };
+
+const COMBINATIONS = MARKER_SHAPES.length * DASH_PATTERNS.length;
+
+// The counts are coprime, so every combination index gives a different pair
+const combination = (idx) => ({
+  marker: MARKER_SHAPES[idx % MARKER_SHAPES.length],
+  dash: DASH_PATTERNS[idx % DASH_PATTERNS.length]
+});
+
+export const schedulerStyles = (names, enabled = true) => {
+  if (!enabled) return Object.fromEntries(names.map(name => [name, PLAIN_STYLE]));
+  const taken = new Set();
+  return Object.fromEntries([...names].sort().map(name => {
+    const start = nameHash(name) % COMBINATIONS;
+    let idx = start;
+    for (let i = 1; i < COMBINATIONS && taken.has(idx); i++) idx = (start + i) % COMBINATIONS;
+    taken.add(idx);
+    return [name, combination(idx)];
+  }));
+};
+
+export const styleFor = (styles, name) => styles[name] || PLAIN_STYLE;
+
+const round = (n) => Math.round(n * 100) / 100;
+const polygon = (points) => `M${points.map(([x, y]) => `${round(x)},${round(y)}`).join('L')}Z`;
+
+// Points around (x, y) at the given radii, starting straight up
+const radial = (x, y, radii, count) => Array.from({ length: count }, (_, i) => {
+  const angle = -Math.PI / 2 + (i * Math.PI * 2) / count;
+  const r = radii[i % radii.length];
+  return [x + r * Math.cos(angle), y + r * Math.sin(angle)];
+});
+
+// SVG path data for a marker of radius r centred on (x, y), with shapes
+// scaled to look about the same size as the circle
+export const markerPath = (shape, x, y, r) => {
+  switch (shape) {
+    case 'square':
+      return polygon([[x - r * 0.9, y - r * 0.9], [x + r * 0.9, y - r * 0.9], [x + r * 0.9, y + r * 0.9], [x - r * 0.9, y + r * 0.9]]);
+    case 'triangle':
+      return polygon(radial(x, y + r * 0.2, [r * 1.3], 3));
+    case 'triangleDown':
+      return polygon(radial(x, y - r * 0.2, [r * 1.3], 3).map(([px, py]) => [px, 2 * (y - r * 0.2) - py]));
+    case 'diamond':
+      return polygon([[x, y - r * 1.3], [x + r, y], [x, y + r * 1.3], [x - r, y]]);
+    case 'cross': {
+      const w = r * 0.4;
+      const l = r * 1.1;
+      return polygon([
+        [x - w, y - l], [x + w, y - l], [x + w, y - w], [x + l, y - w], [x + l, y + w], [x + w, y + w],
+        [x + w, y + l], [x - w, y + l], [x - w, y + w], [x - l, y + w], [x - l, y - w], [x - w, y - w]
+      ]);
+    }
+    case 'star':
+      return polygon(radial(x, y, [r * 1.35, r * 0.6], 10));
+    default:
+      return `M${round(x - r)},${round(y)}a${round(r)},${round(r)} 0 1,0 ${round(2 * r)},0a${round(r)},${round(r)} 0 1,0 ${round(-2 * r)},0Z`;
+  }
+};
@@ -0,0 +1,99 @@
+// Scheduler selection helpers for the settings panel: name filtering, bulk
+// selection, user-defined groups and display aliases. Aliases are applied to
+// the data itself (aliasTrials) so every chart, table and export downstream
+// shows them without knowing about them.
+
+// `query` is a case-insensitive regular expression; while it does not compile
+// (half-typed) it is used as a plain substring instead
+export const filterSchedulers = (names, query, label = (name) => name) => {
+  const trimmed = query.trim();
+  if (!trimmed) return { names, error: null };
+
+  let test;
+  let error = null;
+  try {
+    const pattern = new RegExp(trimmed, 'i');
+    test = (text) => pattern.test(text);
+  } catch (e) {
+    const lower = trimmed.toLowerCase();
+    test = (text) => text.toLowerCase().includes(lower);
+    error = e.message;
+  }
+
+  return { names: names.filter(n => test(n) || test(label(n))), error };
+};
+
+export const setSelection = (selected, names, value) => ({
+  ...selected,
+  ...Object.fromEntries(names.map(n => [n, value]))
+});
+
+export const invertSelection = (selected, names) => ({
+  ...selected,
+  ...Object.fromEntries(names.map(n => [n, !selected[n]]))
+});
+
+// ---------------------------------------------------------------------------
+// Groups: { name, members: [scheduler names] }
+
+export const groupSelectionState = (group, selected, available) => {
+  const members = group.members.filter(m => available.includes(m));
+  const on = members.filter(m => selected[m]).length;
+  if (members.length === 0 || on === 0) return 'none';
+  return on === members.length ? 'all' : 'some';
+};
+
+// Selects every member unless they are all selected already
+export const toggleGroup = (selected, group, available) => setSelection(
+  selected,
+  group.members.filter(m => available.includes(m)),
+  groupSelectionState(group, selected, available) !== 'all'
+);
+
+// Groups with the same name are replaced, others are kept
+export const mergeGroups = (groups, incoming) => {
+  const names = new Set(incoming.map(g => g.name));
+  return [...groups.filter(g => !names.has(g.name)), ...incoming].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// ---------------------------------------------------------------------------
+// Aliases: { [scheduler name]: display name }
+
+export const displayName = (aliases, name) => aliases[name] || name;
+
+// The scheduler shown as `label`, for turning a display name back into a key
+export const realName = (aliases, label) => Object.keys(aliases).find(name => aliases[name] === label) || label;
+
+// Why `alias` cannot be used for `name`, or null when it can
+export const aliasConflict = (aliases, names, name, alias) => {
+  const trimmed = alias.trim();
+  if (!trimmed || trimmed === name) return null;
+  if (names.includes(trimmed)) return `"${trimmed}" is already the name of another scheduler`;
+  const owner = Object.keys(aliases).find(other => other !== name && aliases[other] === trimmed);
+  return owner ? `"${trimmed}" is already the alias of ${owner}` : null;
+};
+
+export const setAlias = (aliases, name, alias) => {
+  const next = { ...aliases };
+  const trimmed = alias.trim();
+  if (!trimmed || trimmed === name) delete next[name];
+  else next[name] = trimmed;
+  return next;
+};
+
+export const hasAliases = (aliases) => Object.keys(aliases).length > 0;
+
+export const aliasTrials = (trials, aliases) => {
+  if (!hasAliases(aliases)) return trials;
+  return Object.fromEntries(Object.entries(trials).map(([id, trial]) => [id, {
+    ...trial,
+    schedulers: trial.schedulers.map(s => (aliases[s.name] ? { ...s, name: aliases[s.name] } : s))
+  }]));
+};
+
+// Re-key a { [scheduler name]: value } map by display name
+export const aliasKeys = (map, aliases) => (
+  hasAliases(aliases)
+    ? Object.fromEntries(Object.entries(map).map(([name, value]) => [displayName(aliases, name), value]))
+    : map
+);
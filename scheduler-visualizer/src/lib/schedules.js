@@ -0,0 +1,222 @@
+// Per-task schedule detail: which processor ran each task, when, and at what
+// security level. The simulator can dump it as CSV next to the trial log:
+//
+//   trial,scheduler,task,processor,start,finish,security_level
+//   12,HEFT,t3,vm1,0,14.5,2
+//
+// The trial and scheduler columns are optional; rows without them are linked
+// to the trial and scheduler picked when the file is loaded. Schedules are
+// kept per dataset as { [trial]: { [scheduler]: [task] } }.
+
+import { isNumeric, hasErrors } from './parser.js';
+import { fieldKey, findField, splitCsvLine, trialId, TRIAL_FIELDS } from './importers.js';
+
+const SCHEDULER_FIELDS = ['scheduler', 'scheduler_name'];
+const TASK_FIELDS = ['task', 'task_id', 'id'];
+const PROCESSOR_FIELDS = ['processor', 'processor_id', 'vm', 'machine', 'resource', 'cpu', 'core'];
+const START_FIELDS = ['start', 'start_time'];
+const FINISH_FIELDS = ['finish', 'finish_time', 'end', 'end_time'];
+const SECURITY_FIELDS = ['security_level', 'security', 'level', 'sec_level'];
+
+// Reported per file; a badly overlapping schedule would otherwise flood the panel
+const MAX_OVERLAP_WARNINGS = 5;
+
+// `link` supplies { trial, scheduler } for files without those columns
+export const parseScheduleCSV = (text, link = {}) => {
+  const schedules = {};
+  const diagnostics = [];
+  const report = (severity, line, message) => diagnostics.push({ severity, line, message });
+  let layout = null;
+  let headerSeen = false;
+  let taskCount = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, idx) => {
+    const lineNumber = idx + 1;
+    const line = rawLine.trim();
+    if (!line) return;
+    const parts = splitCsvLine(line);
+
+    if (!headerSeen) {
+      headerSeen = true;
+      const keys = parts.map(fieldKey);
+      layout = {
+        trial: findField(keys, TRIAL_FIELDS),
+        scheduler: findField(keys, SCHEDULER_FIELDS),
+        task: findField(keys, TASK_FIELDS),
+        processor: findField(keys, PROCESSOR_FIELDS),
+        start: findField(keys, START_FIELDS),
+        finish: findField(keys, FINISH_FIELDS),
+        security: findField(keys, SECURITY_FIELDS),
+        width: parts.length
+      };
+      const missing = ['task', 'processor', 'start', 'finish'].filter(f => layout[f] === -1);
+      if (layout.trial === -1 && link.trial === undefined) missing.push('trial');
+      if (layout.scheduler === -1 && !link.scheduler) missing.push('scheduler');
+      if (missing.length > 0) {
+        report('error', lineNumber, `Header is missing column(s): ${missing.join(', ')}`);
+        layout = null;
+      }
+      return;
+    }
+    // Without a usable header every row would fail the same way
+    if (!layout) return;
+
+    if (parts.length !== layout.width) {
+      report('error', lineNumber, `Expected ${layout.width} columns but found ${parts.length}`);
+      return;
+    }
+
+    const trial = layout.trial === -1 ? link.trial : trialId(parts[layout.trial]);
+    const scheduler = layout.scheduler === -1 ? link.scheduler : parts[layout.scheduler];
+    const task = parts[layout.task];
+    const processor = parts[layout.processor];
+    if (trial === '' || !scheduler || !task || !processor) {
+      report('error', lineNumber, 'Missing trial, scheduler, task or processor');
+      return;
+    }
+
+    const values = { start: parts[layout.start], finish: parts[layout.finish] };
+    if (layout.security !== -1) values.security = parts[layout.security];
+    const bad = Object.entries(values).find(([, value]) => !isNumeric(value));
+    if (bad) {
+      report('error', lineNumber, `Non-numeric ${bad[0]} "${bad[1]}" for task ${task}`);
+      return;
+    }
+
+    const start = Number(values.start);
+    const finish = Number(values.finish);
+    if (finish < start) {
+      report('error', lineNumber, `Task ${task} finishes (${finish}) before it starts (${start})`);
+      return;
+    }
+
+    if (!schedules[trial]) schedules[trial] = {};
+    if (!schedules[trial][scheduler]) schedules[trial][scheduler] = [];
+    schedules[trial][scheduler].push({
+      task,
+      processor,
+      start,
+      finish,
+      security: values.security !== undefined ? Number(values.security) : null
+    });
+    taskCount++;
+  });
+
+  if (!headerSeen) report('error', null, 'File is empty');
+  if (layout && taskCount === 0 && !hasErrors(diagnostics)) report('error', null, 'No tasks found in file');
+
+  let overlaps = 0;
+  Object.entries(schedules).forEach(([trial, byScheduler]) => {
+    Object.entries(byScheduler).forEach(([scheduler, tasks]) => {
+      findOverlaps(tasks).forEach(([a, b]) => {
+        overlaps++;
+        if (overlaps <= MAX_OVERLAP_WARNINGS) {
+          report('warning', null, `Trial ${trial}, ${scheduler}: tasks ${a.task} and ${b.task} overlap on ${a.processor}`);
+        }
+      });
+    });
+  });
+  if (overlaps > MAX_OVERLAP_WARNINGS) {
+    report('warning', null, `${overlaps - MAX_OVERLAP_WARNINGS} more overlapping task pairs not listed`);
+  }
+
+  return { schedules, diagnostics, taskCount };
+};
+
+// Pairs of consecutive tasks on the same processor that run at the same time
+export const findOverlaps = (tasks) => {
+  const overlaps = [];
+  const byProcessor = new Map();
+  tasks.forEach(t => {
+    if (!byProcessor.has(t.processor)) byProcessor.set(t.processor, []);
+    byProcessor.get(t.processor).push(t);
+  });
+  byProcessor.forEach(list => {
+    const sorted = [...list].sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].start < sorted[i - 1].finish) overlaps.push([sorted[i - 1], sorted[i]]);
+    }
+  });
+  return overlaps;
+};
+
+// Incoming schedules replace existing ones for the same trial and scheduler
+export const mergeSchedules = (existing = {}, incoming) => {
+  const merged = { ...existing };
+  Object.entries(incoming).forEach(([trial, byScheduler]) => {
+    merged[trial] = { ...merged[trial], ...byScheduler };
+  });
+  return merged;
+};
+
+// Warnings for schedules that name a trial or scheduler the dataset lacks
+export const unlinkedSchedules = (schedules, trialsData) => {
+  const warnings = [];
+  Object.entries(schedules).forEach(([trial, byScheduler]) => {
+    if (!trialsData[trial]) {
+      warnings.push({ severity: 'warning', line: null, message: `Trial ${trial} is not in this dataset` });
+      return;
+    }
+    const names = new Set(trialsData[trial].schedulers.map(s => s.name));
+    Object.keys(byScheduler).filter(s => !names.has(s)).forEach(s => {
+      warnings.push({ severity: 'warning', line: null, message: `${s} did not run in trial ${trial}` });
+    });
+  });
+  return warnings;
+};
+
+export const scheduleLanes = (tasks) => Array.from(new Set(tasks.map(t => t.processor)))
+  .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+export const scheduleEnd = (tasks) => tasks.reduce((end, t) => Math.max(end, t.finish), 0);
+
+export const securityRange = (tasks) => {
+  const levels = tasks.map(t => t.security).filter(l => l !== null);
+  if (levels.length === 0) return null;
+  const distinct = Array.from(new Set(levels)).sort((a, b) => a - b);
+  return { min: distinct[0], max: distinct[distinct.length - 1], levels: distinct };
+};
+
+// Red (least secure) through yellow to green (most secure)
+const SECURITY_STOPS = [[215, 48, 39], [254, 224, 139], [26, 152, 80]];
+export const UNKNOWN_SECURITY_COLOR = '#94A3B8';
+
+export const securityColor = (level, range) => {
+  if (level === null || !range) return UNKNOWN_SECURITY_COLOR;
+  const share = range.max > range.min ? (level - range.min) / (range.max - range.min) : 1;
+  const scaled = Math.min(1, Math.max(0, share)) * (SECURITY_STOPS.length - 1);
+  const idx = Math.min(SECURITY_STOPS.length - 2, Math.floor(scaled));
+  const t = scaled - idx;
+  const [r, g, b] = SECURITY_STOPS[idx].map((c, i) => Math.round(c + (SECURITY_STOPS[idx + 1][i] - c) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+
+// ---------------------------------------------------------------------------
+// Time axis
+
+// Zoom the visible [start, end] window by `factor` (< 1 zooms in) about `centre`
+export const zoomDomain = ([start, end], factor, centre = (start + end) / 2) => [
+  centre - (centre - start) * factor,
+  centre + (end - centre) * factor
+];
+
+// Shift the window by a fraction of its width without leaving [min, max]
+export const panDomain = ([start, end], fraction, [min, max]) => {
+  const width = end - start;
+  const shifted = Math.min(Math.max(start + width * fraction, min), Math.max(min, max - width));
+  return [shifted, shifted + width];
+};
+
+// About `count` ticks at 1, 2 or 5 times a power of ten
+export const timeTicks = (start, end, count = 6) => {
+  const span = end - start;
+  if (!(span > 0)) return [start];
+  const raw = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+  const ticks = [];
+  for (let t = Math.ceil(start / step) * step; t <= end + step * 1e-9; t += step) {
+    ticks.push(Number(t.toFixed(10)));
+  }
+  return ticks;
+};
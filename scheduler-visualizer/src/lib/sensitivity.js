@@ -0,0 +1,111 @@
+// Sensitivity of each scheduler to the trial parameters carried in every
+// TRIAL RUN header. Trials are grouped by parameter value (or binned into
+// equal-width ranges when values rarely repeat) and each group gets the mean
+// of a measure per scheduler: a metric, its rank, or its feasibility rate.
+
+import { rankSchedulers } from './ranking.js';
+import { isFeasible } from './constraints.js';
+import { formatValue } from './numberFormat.js';
+
+// `harder` is the direction in which the constraint gets tighter
+export const SENSITIVITY_PARAMETERS = {
+  deadline: { label: 'Deadline', harder: 'lower' },
+  securityUtility: { label: 'Min Security Utility', harder: 'higher' }
+};
+
+export const RANK_MEASURE = 'rank';
+export const FEASIBILITY_MEASURE = 'feasibility';
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : undefined);
+
+// Exact values when `bins` is 0, otherwise `bins` equal-width ranges
+const groupTrials = (trialsData, parameter, bins, locale) => {
+  const entries = Object.values(trialsData)
+    .filter(trial => Number.isFinite(trial[parameter]))
+    .map(trial => ({ trial, value: trial[parameter] }));
+  if (entries.length === 0) return [];
+
+  if (!bins) {
+    const groups = new Map();
+    entries.forEach(({ trial, value }) => {
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(trial);
+    });
+    return Array.from(groups.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([value, trials]) => ({ x: value, label: formatValue(value, locale, 4), trials }));
+  }
+
+  const values = entries.map(e => e.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const groups = Array.from({ length: bins }, (_, idx) => ({
+    low: min + idx * width,
+    high: min + (idx + 1) * width,
+    trials: []
+  }));
+
+  entries.forEach(({ trial, value }) => {
+    groups[Math.min(bins - 1, Math.floor((value - min) / width))].trials.push(trial);
+  });
+
+  return groups
+    .filter(g => g.trials.length > 0)
+    .map(g => ({ x: (g.low + g.high) / 2, label: `${formatValue(g.low, locale, 4)}-${formatValue(g.high, locale, 4)}`, trials: g.trials }));
+};
+
+const measureValues = (trial, schedulers, measure, ranking, metrics) => {
+  const selected = new Set(schedulers);
+  const present = trial.schedulers.filter(s => selected.has(s.name));
+  const values = new Map();
+
+  if (measure === RANK_MEASURE) {
+    rankSchedulers(present, trial, ranking, metrics).forEach(s => values.set(s.name, s.rank));
+  } else if (measure === FEASIBILITY_MEASURE) {
+    present.forEach(s => values.set(s.name, isFeasible(s, trial) ? 1 : 0));
+  } else {
+    present.forEach(s => {
+      if (Number.isFinite(s[measure])) values.set(s.name, s[measure]);
+    });
+  }
+
+  return values;
+};
+
+// One row per group: { x, label, count, [scheduler]: mean, [`${scheduler}__n`]: trials }
+export const sensitivitySeries = (trialsData, schedulers, { parameter, measure, bins = 0, ranking, metrics, locale = 'plain' }) => (
+  groupTrials(trialsData, parameter, bins, locale).map(group => {
+    const collected = Object.fromEntries(schedulers.map(s => [s, []]));
+    group.trials.forEach(trial => {
+      measureValues(trial, schedulers, measure, ranking, metrics).forEach((value, name) => collected[name].push(value));
+    });
+
+    const row = { x: group.x, label: group.label, count: group.trials.length };
+    schedulers.forEach(s => {
+      const m = mean(collected[s]);
+      if (m !== undefined) {
+        row[s] = m;
+        row[`${s}__n`] = collected[s].length;
+      }
+    });
+    return row;
+  })
+);
+
+// Walk the feasibility rows from the easiest parameter value to the hardest
+// and report, per scheduler, the first group whose feasibility rate falls
+// below `threshold` (null when it never does) and the last group before it.
+export const breakdownPoints = (rows, schedulers, parameter, threshold = 0.5) => {
+  const ordered = SENSITIVITY_PARAMETERS[parameter].harder === 'lower' ? [...rows].reverse() : rows;
+
+  return schedulers.map(name => {
+    let lastOk = null;
+    for (const row of ordered) {
+      if (row[name] === undefined) continue;
+      if (row[name] < threshold) return { name, breaksAt: row.label, lastOk };
+      lastOk = row.label;
+    }
+    return { name, breaksAt: null, lastOk };
+  });
+};
@@ -0,0 +1,58 @@
+// Self-contained HTML snapshots: the built app's own script and styles inlined
+// into one file together with the loaded datasets and the current view, so a
+// reviewer can open an interactive copy offline. On start-up the app looks
+// for the embedded payload and loads it instead of showing the upload screen.
+
+export const SNAPSHOT_VERSION = 1;
+export const SNAPSHOT_ELEMENT_ID = 'scheduler-visualizer-snapshot';
+
+// Marks inlined assets so a snapshot can itself be re-saved
+export const SNAPSHOT_ASSET_ATTRIBUTE = 'data-snapshot-asset';
+
+export const createSnapshot = ({ datasets, view }) => ({
+  version: SNAPSHOT_VERSION,
+  savedAt: new Date().toISOString(),
+  datasets: datasets.map(({ name, trials, columns, schedules }) => ({ name, trials, columns, schedules })),
+  view
+});
+
+export const parseSnapshot = (text) => {
+  const data = JSON.parse(text);
+  if (!data || data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${data && data.version}`);
+  }
+  if (!Array.isArray(data.datasets) || data.datasets.length === 0) {
+    throw new Error('Snapshot contains no datasets');
+  }
+  return data;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Inline <script> and <style> bodies end at the first "</script" or "</style"
+const escapeInline = (text, tag) => text.replace(new RegExp(`</${tag}`, 'gi'), `<\\/${tag}`);
+
+// JSON stays valid with every "<" escaped, and then cannot close the element
+const escapeJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+export const snapshotToHtml = (snapshot, { title, styles, scripts }) => [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '  <head>',
+  '    <meta charset="UTF-8" />',
+  '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+  `    <title>${escapeHtml(title)}</title>`,
+  ...styles.map(css => `    <style ${SNAPSHOT_ASSET_ATTRIBUTE}>${escapeInline(css, 'style')}</style>`),
+  `    <script type="application/json" id="${SNAPSHOT_ELEMENT_ID}">${escapeJson(snapshot)}</script>`,
+  ...scripts.map(js => `    <script type="module" ${SNAPSHOT_ASSET_ATTRIBUTE}>${escapeInline(js, 'script')}</script>`),
+  '  </head>',
+  '  <body>',
+  '    <div id="root"></div>',
+  '  </body>',
+  '</html>',
+  ''
+].join('\n');
@@ -0,0 +1,326 @@
+// Descriptive statistics and non-parametric tests for comparing schedulers
+// across trials. Follows Demšar (2006), "Statistical Comparisons of
+// Classifiers over Multiple Data Sets": Friedman test with a Nemenyi post-hoc
+// for the overall comparison, Wilcoxon signed-rank for individual pairs.
+
+import { rankSchedulers } from './ranking.js';
+import { compareByDirection } from './metrics.js';
+
+// ---------------------------------------------------------------------------
+// Distributions
+
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const Z_975 = 1.959964;
+
+// Two-sided 95% critical value of Student's t
+export const tCritical95 = (df) => {
+  if (df < 1) return NaN;
+  if (df <= T_975.length) return T_975[df - 1];
+  // Cornish-Fisher expansion, accurate to 3 decimals beyond df = 30
+  const z = Z_975;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+};
+
+export const normalCdf = (x) => {
+  // Abramowitz & Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const normalPdf = (x) => Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+
+const logGamma = (x) => {
+  // Lanczos approximation
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach(coef => { ser += coef / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+};
+
+// Regularised lower incomplete gamma P(a, x)
+const gammaP = (a, x) => {
+  if (x <= 0) return 0;
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+  // Continued fraction for Q(a, x)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+};
+
+export const chiSquareSurvival = (x, df) => 1 - gammaP(df / 2, x / 2);
+
+// P(range of k standard normals < q), by Simpson integration over z
+const studentizedRangeCdfInf = (q, k) => {
+  const steps = 400;
+  const lo = -8;
+  const hi = 8;
+  const h = (hi - lo) / steps;
+  let sum = 0;
+  for (let i = 0; i <= steps; i++) {
+    const z = lo + i * h;
+    const weight = i === 0 || i === steps ? 1 : (i % 2 === 0 ? 2 : 4);
+    sum += weight * normalPdf(z) * (normalCdf(z + q) - normalCdf(z)) ** (k - 1);
+  }
+  return k * sum * h / 3;
+};
+
+// Nemenyi critical value q_0.05 for k groups (studentized range / sqrt(2))
+export const nemenyiCriticalValue = (k) => {
+  if (k < 2) return NaN;
+  let lo = 0;
+  let hi = 10;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentizedRangeCdfInf(mid, k) < 0.95) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2 / Math.SQRT2;
+};
+
+// ---------------------------------------------------------------------------
+// Descriptive statistics
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+export const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+export const describe = (values) => {
+  const finite = values.filter(Number.isFinite);
+  const n = finite.length;
+  if (n === 0) return { n: 0 };
+
+  const m = mean(finite);
+  const sd = stdDev(finite);
+  const ciHalf = n > 1 ? tCritical95(n - 1) * sd / Math.sqrt(n) : 0;
+
+  return {
+    n,
+    mean: m,
+    median: median(finite),
+    stdDev: sd,
+    min: Math.min(...finite),
+    max: Math.max(...finite),
+    ciHalf,
+    ciLow: m - ciHalf,
+    ciHigh: m + ciHalf
+  };
+};
+
+// Ranks 1..n with ties sharing their average rank
+export const averageRanks = (values) => {
+  const order = values.map((v, idx) => ({ v, idx })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].v === order[i].v) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let t = i; t <= j; t++) ranks[order[t].idx] = rank;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+// ---------------------------------------------------------------------------
+// Tests
+
+export const wilcoxonSignedRank = (pairs) => {
+  const diffs = pairs.map(([a, b]) => a - b).filter(d => d !== 0);
+  const n = diffs.length;
+  if (n === 0) return { n: 0, statistic: 0, pValue: 1 };
+
+  const ranks = averageRanks(diffs.map(Math.abs));
+  let wPlus = 0;
+  let wMinus = 0;
+  diffs.forEach((d, idx) => {
+    if (d > 0) wPlus += ranks[idx];
+    else wMinus += ranks[idx];
+  });
+  const statistic = Math.min(wPlus, wMinus);
+  const hasTies = new Set(ranks).size !== ranks.length;
+
+  let pValue;
+  if (n <= 30 && !hasTies) {
+    // Exact null distribution of W+ by counting subsets
+    const maxSum = (n * (n + 1)) / 2;
+    let counts = new Array(maxSum + 1).fill(0);
+    counts[0] = 1;
+    for (let r = 1; r <= n; r++) {
+      const next = [...counts];
+      for (let s = r; s <= maxSum; s++) next[s] += counts[s - r];
+      counts = next;
+    }
+    const total = 2 ** n;
+    const tail = counts.slice(0, Math.floor(statistic) + 1).reduce((sum, c) => sum + c, 0);
+    pValue = Math.min(1, (2 * tail) / total);
+  } else {
+    const tieGroups = {};
+    ranks.forEach(r => { tieGroups[r] = (tieGroups[r] || 0) + 1; });
+    const tieCorrection = Object.values(tieGroups).reduce((sum, t) => sum + (t ** 3 - t), 0) / 48;
+    const variance = (n * (n + 1) * (2 * n + 1)) / 24 - tieCorrection;
+    const z = (statistic - (n * (n + 1)) / 4 + 0.5) / Math.sqrt(variance);
+    pValue = Math.min(1, 2 * normalCdf(z));
+  }
+
+  return { n, statistic, wPlus, wMinus, pValue };
+};
+
+// Holm-Bonferroni step-down adjustment; returns adjusted p-values in input order
+export const holmAdjust = (pValues) => {
+  const order = pValues.map((p, idx) => ({ p, idx })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array(pValues.length);
+  let running = 0;
+  order.forEach(({ p, idx }, i) => {
+    running = Math.max(running, Math.min(1, (pValues.length - i) * p));
+    adjusted[idx] = running;
+  });
+  return adjusted;
+};
+
+export const friedmanTest = (rankMatrix) => {
+  const n = rankMatrix.length;
+  const k = n > 0 ? rankMatrix[0].length : 0;
+  if (n < 2 || k < 2) return null;
+
+  const rankSums = new Array(k).fill(0);
+  rankMatrix.forEach(row => row.forEach((r, j) => { rankSums[j] += r; }));
+  const avgRanks = rankSums.map(sum => sum / n);
+  const statistic = (12 * n) / (k * (k + 1)) *
+    (avgRanks.reduce((sum, r) => sum + r * r, 0) - (k * (k + 1) ** 2) / 4);
+  const df = k - 1;
+
+  return {
+    n,
+    k,
+    statistic,
+    df,
+    pValue: chiSquareSurvival(statistic, df),
+    avgRanks,
+    criticalDifference: nemenyiCriticalValue(k) * Math.sqrt((k * (k + 1)) / (6 * n))
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Cross-trial summary
+
+export const perTrialRanks = (trialsData, schedulers, ranking, metrics) => {
+  const selected = new Set(schedulers);
+  return Object.entries(trialsData).map(([trial, data]) => {
+    const present = data.schedulers.filter(s => selected.has(s.name));
+    const ranked = rankSchedulers(present, data, ranking, metrics);
+    return { trial, ranks: new Map(ranked.map(s => [s.name, s.rank])) };
+  });
+};
+
+export const summariseTrials = (trialsData, schedulers, ranking, metrics) => {
+  const trialRanks = perTrialRanks(trialsData, schedulers, ranking, metrics);
+
+  const perScheduler = schedulers.map(name => {
+    const rows = Object.values(trialsData)
+      .map(data => data.schedulers.find(s => s.name === name))
+      .filter(Boolean);
+    const ranks = trialRanks.map(t => t.ranks.get(name)).filter(r => r !== undefined);
+
+    const stats = {};
+    metrics.forEach(m => { stats[m.key] = describe(rows.map(r => r[m.key])); });
+
+    return {
+      name,
+      trials: rows.length,
+      stats,
+      averageRank: ranks.length > 0 ? mean(ranks) : NaN,
+      wins: ranks.filter(r => r === 1).length
+    };
+  });
+
+  // Friedman needs complete blocks: only trials where every scheduler ran
+  const complete = trialRanks.filter(t => schedulers.every(name => t.ranks.has(name)));
+  const friedman = friedmanTest(complete.map(t => schedulers.map(name => t.ranks.get(name))));
+
+  return { perScheduler, friedman };
+};
+
+// Pairwise Wilcoxon tests on one metric over trials where both schedulers ran.
+// `better` names the scheduler with the better median difference.
+export const pairwiseWilcoxon = (trialsData, schedulers, metric) => {
+  const pairs = [];
+  for (let i = 0; i < schedulers.length; i++) {
+    for (let j = i + 1; j < schedulers.length; j++) {
+      const a = schedulers[i];
+      const b = schedulers[j];
+      const values = Object.values(trialsData)
+        .map(data => [
+          data.schedulers.find(s => s.name === a)?.[metric.key],
+          data.schedulers.find(s => s.name === b)?.[metric.key]
+        ])
+        .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+
+      const result = wilcoxonSignedRank(values);
+      const medianDiff = values.length > 0 ? median(values.map(([x, y]) => x - y)) : 0;
+      const cmp = compareByDirection(metric, medianDiff, 0);
+      pairs.push({ a, b, ...result, better: cmp > 0 ? a : cmp < 0 ? b : null });
+    }
+  }
+
+  const adjusted = holmAdjust(pairs.map(p => p.pValue));
+  return pairs.map((p, idx) => ({ ...p, adjustedPValue: adjusted[idx] }));
+};
+
+// Groups of schedulers whose average ranks lie within the critical difference,
+// i.e. the bars drawn under a critical-difference diagram
+export const criticalDifferenceCliques = (avgRanks, criticalDifference) => {
+  const sorted = [...avgRanks].sort((a, b) => a.rank - b.rank);
+  const cliques = [];
+  sorted.forEach((start, i) => {
+    let end = i;
+    while (end + 1 < sorted.length && sorted[end + 1].rank - start.rank < criticalDifference) end++;
+    if (end === i) return;
+    const last = cliques[cliques.length - 1];
+    if (last && last.end >= end) return;
+    cliques.push({ start: i, end, members: sorted.slice(i, end + 1).map(s => s.name) });
+  });
+  return cliques;
+};
@@ -0,0 +1,213 @@
+// Settings persistence backed by localStorage. The working settings are saved
+// on every change; named presets bundle a scheduler subset, colours, aliases,
+// groups, visible metrics and the ranking strategy so a team can share them as
+// JSON files. Named dashboard layouts are kept alongside them.
+//
+// When localStorage is unavailable (private browsing, Node) an in-memory store
+// is used instead so callers never have to care.
+
+import { RANKING_STRATEGIES } from './ranking.js';
+import { mergeGroups } from './schedulers.js';
+
+const PREFIX = 'scheduler-visualizer:';
+const SETTINGS_KEY = `${PREFIX}settings`;
+const PRESETS_KEY = `${PREFIX}presets`;
+const LAYOUTS_KEY = `${PREFIX}layouts`;
+
+export const PRESET_VERSION = 1;
+
+const memoryStore = new Map();
+
+const memoryBackend = {
+  getItem: (key) => (memoryStore.has(key) ? memoryStore.get(key) : null),
+  setItem: (key, value) => { memoryStore.set(key, String(value)); },
+  removeItem: (key) => { memoryStore.delete(key); }
+};
+
+const probeBackend = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      const probe = `${PREFIX}probe`;
+      window.localStorage.setItem(probe, '1');
+      window.localStorage.removeItem(probe);
+      return window.localStorage;
+    }
+  } catch (error) {
+    console.warn('localStorage unavailable, settings will not survive a reload:', error);
+  }
+  return memoryBackend;
+};
+
+// Probed on first use only, so an unavailable store warns once
+let store = null;
+
+const backend = () => {
+  if (!store) store = probeBackend();
+  return store;
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const raw = backend().getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Ignoring corrupt stored value for ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    backend().setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Working settings
+
+export const loadSettings = () => readJson(SETTINGS_KEY, {});
+
+export const saveSettings = (settings) => writeJson(SETTINGS_KEY, settings);
+
+// ---------------------------------------------------------------------------
+// Presets
+
+export const createPreset = (name, {
+  selectedSchedulers,
+  schedulerColors,
+  visibleMetrics,
+  ranking,
+  schedulerAliases = {},
+  schedulerGroups = []
+}) => ({
+  version: PRESET_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  schedulers: Object.keys(selectedSchedulers).filter(s => selectedSchedulers[s]),
+  colors: { ...schedulerColors },
+  aliases: { ...schedulerAliases },
+  groups: schedulerGroups.map(g => ({ name: g.name, members: [...g.members] })),
+  metrics: Object.keys(visibleMetrics).filter(m => visibleMetrics[m]),
+  ranking: { ...ranking }
+});
+
+export const listPresets = () => readJson(PRESETS_KEY, []);
+
+export const savePreset = (preset) => {
+  const presets = listPresets().filter(p => p.name !== preset.name);
+  presets.push(preset);
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  writeJson(PRESETS_KEY, presets);
+  return presets;
+};
+
+export const deletePreset = (name) => {
+  const presets = listPresets().filter(p => p.name !== name);
+  writeJson(PRESETS_KEY, presets);
+  return presets;
+};
+
+// Apply a preset on top of the current settings. Schedulers and metrics that
+// are known but absent from the preset are switched off; unknown names in the
+// preset are kept so they apply once a matching file is loaded. Aliases and
+// groups (optional, older presets have none) are merged in.
+export const applyPreset = (preset, {
+  selectedSchedulers,
+  schedulerColors,
+  visibleMetrics,
+  ranking,
+  schedulerAliases = {},
+  schedulerGroups = []
+}) => {
+  const schedulers = new Set(preset.schedulers);
+  const metrics = new Set(preset.metrics);
+
+  const nextSelections = {};
+  Object.keys(selectedSchedulers).forEach(s => { nextSelections[s] = schedulers.has(s); });
+  schedulers.forEach(s => { nextSelections[s] = true; });
+
+  const nextMetrics = {};
+  Object.keys(visibleMetrics).forEach(m => { nextMetrics[m] = metrics.has(m); });
+  metrics.forEach(m => { nextMetrics[m] = true; });
+
+  return {
+    selectedSchedulers: nextSelections,
+    schedulerColors: { ...schedulerColors, ...preset.colors },
+    visibleMetrics: nextMetrics,
+    ranking: { ...ranking, ...preset.ranking },
+    schedulerAliases: { ...schedulerAliases, ...preset.aliases },
+    schedulerGroups: mergeGroups(schedulerGroups, preset.groups || [])
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Dashboard layouts, as { name, savedAt, panels }
+
+export const listLayouts = () => readJson(LAYOUTS_KEY, []);
+
+export const saveLayout = (name, panels) => {
+  const layouts = listLayouts().filter(l => l.name !== name);
+  layouts.push({ name, savedAt: new Date().toISOString(), panels });
+  layouts.sort((a, b) => a.name.localeCompare(b.name));
+  writeJson(LAYOUTS_KEY, layouts);
+  return layouts;
+};
+
+export const deleteLayout = (name) => {
+  const layouts = listLayouts().filter(l => l.name !== name);
+  writeJson(LAYOUTS_KEY, layouts);
+  return layouts;
+};
+
+// ---------------------------------------------------------------------------
+// JSON import/export
+
+export const presetToJson = (preset) => JSON.stringify(preset, null, 2);
+
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+export const parsePresetJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Preset file is not valid JSON: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object') throw new Error('Preset file must contain a JSON object');
+  if (data.version !== PRESET_VERSION) throw new Error(`Unsupported preset version ${data.version}`);
+  if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('Preset is missing a name');
+  if (!isStringArray(data.schedulers)) throw new Error('Preset "schedulers" must be a list of names');
+  if (!isStringArray(data.metrics)) throw new Error('Preset "metrics" must be a list of metric keys');
+  if (!data.colors || typeof data.colors !== 'object') throw new Error('Preset "colors" must be an object');
+  const badColor = Object.entries(data.colors).find(([, c]) => !/^#[0-9a-f]{6}$/i.test(c));
+  if (badColor) throw new Error(`Invalid colour "${badColor[1]}" for ${badColor[0]}`);
+  if (data.aliases !== undefined) {
+    if (!data.aliases || typeof data.aliases !== 'object') throw new Error('Preset "aliases" must be an object');
+    if (!Object.values(data.aliases).every(a => typeof a === 'string')) throw new Error('Preset aliases must be strings');
+  }
+  if (data.groups !== undefined) {
+    const validGroup = (g) => g && typeof g.name === 'string' && g.name.trim() && isStringArray(g.members);
+    if (!Array.isArray(data.groups) || !data.groups.every(validGroup)) {
+      throw new Error('Preset "groups" must be a list of { name, members } objects');
+    }
+  }
+  if (!data.ranking || typeof data.ranking !== 'object') throw new Error('Preset "ranking" must be an object');
+  if (data.ranking.strategy && !(data.ranking.strategy in RANKING_STRATEGIES)) {
+    throw new Error(`Unknown ranking strategy "${data.ranking.strategy}"`);
+  }
+
+  return {
+    version: PRESET_VERSION,
+    name: data.name.trim(),
+    savedAt: data.savedAt || new Date().toISOString(),
+    schedulers: data.schedulers,
+    colors: data.colors,
+    aliases: data.aliases || {},
+    groups: (data.groups || []).map(g => ({ name: g.name.trim(), members: g.members })),
+    metrics: data.metrics,
+    ranking: data.ranking
+  };
+};
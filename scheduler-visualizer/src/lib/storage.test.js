@@ -0,0 +1,21 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+describe('settings storage', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.resetModules();
+  });
+
+  it('falls back to memory and warns once when localStorage is unavailable', async () => {
+    vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { loadSettings, saveSettings } = await import('./storage.js');
+
+    expect(loadSettings()).toEqual({});
+    saveSettings({ palette: 'okabeIto' });
+    expect(loadSettings()).toEqual({ palette: 'okabeIto' });
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
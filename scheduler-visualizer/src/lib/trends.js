@@ -0,0 +1,66 @@
+// Cross-trial series for the trend charts. One row per trial, with a
+// `${scheduler}_${metric}` key for every selected scheduler and metric.
+
+// Trial IDs are numbers for the simulator's log, but other sources may use
+// sparse or non-numeric IDs ("warmup", "run-07"). Numeric keys are returned as
+// numbers; everything sorts in natural order.
+const isNumericId = (key) => /^-?\d+(\.\d+)?$/.test(key);
+
+export const compareTrialIds = (a, b) => (
+  typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true })
+);
+
+export const sortedTrialIds = (trialsData) => Object.keys(trialsData)
+  .map(key => (isNumericId(key) ? Number(key) : key))
+  .sort(compareTrialIds);
+
+export const trendKey = (scheduler, metricKey) => `${scheduler}_${metricKey}`;
+
+export const getTrendData = (trialsData, schedulers, metricKeys) => {
+  const selected = new Set(schedulers);
+
+  return sortedTrialIds(trialsData).map(trial => {
+    const trialData = { trial };
+
+    trialsData[trial].schedulers.forEach(s => {
+      if (!selected.has(s.name)) return;
+      metricKeys.forEach(key => {
+        if (key in s) trialData[trendKey(s.name, key)] = s[key];
+      });
+    });
+
+    return trialData;
+  });
+};
+
+// A line chart with thousands of trials is slow to draw and unreadable anyway.
+// Average runs of consecutive trials into at most `maxPoints` rows; each row
+// keeps its first trial as `trial` and records the range it covers.
+export const downsampleTrend = (trendData, maxPoints) => {
+  if (trendData.length <= maxPoints) return trendData;
+
+  const size = Math.ceil(trendData.length / maxPoints);
+  const rows = [];
+
+  for (let start = 0; start < trendData.length; start += size) {
+    const bucket = trendData.slice(start, start + size);
+    const sums = {};
+    const counts = {};
+
+    bucket.forEach(row => {
+      Object.keys(row).forEach(key => {
+        if (key === 'trial') return;
+        sums[key] = (sums[key] || 0) + row[key];
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+
+    const row = { trial: bucket[0].trial, trialEnd: bucket[bucket.length - 1].trial, trialCount: bucket.length };
+    Object.keys(sums).forEach(key => { row[key] = sums[key] / counts[key]; });
+    rows.push(row);
+  }
+
+  return rows;
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { getTrendData, trendKey, sortedTrialIds } from './trends.js';
+import { parseCSV } from './parser.js';
+import { readFixture } from '../test/fixtures.js';
+
+const { trials } = parseCSV(readFixture('sample_trials.txt'));
+
+describe('getTrendData', () => {
+  it('returns one row per trial in numeric trial order', () => {
+    const rows = getTrendData(trials, ['HEFT'], ['makespan']);
+    expect(rows).toEqual([
+      { trial: 1, [trendKey('HEFT', 'makespan')]: 90 },
+      { trial: 2, [trendKey('HEFT', 'makespan')]: 100 },
+      { trial: 10, [trendKey('HEFT', 'makespan')]: 88 }
+    ]);
+  });
+
+  it('leaves a gap for schedulers missing from a trial', () => {
+    const rows = getTrendData(trials, ['CPOP', 'PEFT'], ['utility']);
+
+    expect(rows[1]).toEqual({ trial: 2, [trendKey('PEFT', 'utility')]: 0.8 });
+    expect(trendKey('CPOP', 'utility') in rows[1]).toBe(false);
+    expect(rows[0][trendKey('CPOP', 'utility')]).toBe(0.705);
+    expect(rows[2][trendKey('CPOP', 'utility')]).toBe(0.65);
+  });
+
+  it('ignores unselected schedulers and unknown metrics', () => {
+    const rows = getTrendData(trials, ['SA_1'], ['energy', 'missed_deadlines']);
+    expect(rows.map(r => Object.keys(r))).toEqual([
+      ['trial', trendKey('SA_1', 'energy')],
+      ['trial', trendKey('SA_1', 'energy')],
+      ['trial', trendKey('SA_1', 'energy')]
+    ]);
+    expect(getTrendData(trials, [], ['makespan'])).toEqual([{ trial: 1 }, { trial: 2 }, { trial: 10 }]);
+  });
+});
+
+describe('sortedTrialIds', () => {
+  it('sorts numeric IDs numerically and keeps other IDs as strings', () => {
+    expect(sortedTrialIds(trials)).toEqual([1, 2, 10]);
+    expect(sortedTrialIds({ b: {}, 3: {}, a2: {}, a10: {} })).toEqual([3, 'a2', 'a10', 'b']);
+  });
+});
@@ -0,0 +1,79 @@
+// The current view as a URL hash, so a link reopens the same trial, scheduler
+// subset, colours and value scale once the same data is loaded:
+//
+//   #trial=12&view=single&s=HEFT&s=CPOP&c=HEFT:e74c3c&m=makespan&rank=...&norm=ratio&base=HEFT
+//
+// Only what is set is written; decoding returns only the keys present, so a
+// partial hash leaves the rest of the view alone.
+
+import { applyPreset } from './storage.js';
+import { NORMALIZATION_MODES } from './normalization.js';
+import { sanitizeRanking } from './ranking.js';
+
+const VIEW_MODES = ['single', 'overlay', 'diff'];
+
+export const encodeViewState = ({ dataset, trial, viewMode, schedulers, colors, metrics, ranking, normalization }) => {
+  const params = new URLSearchParams();
+  if (dataset) params.set('dataset', dataset);
+  if (trial !== undefined && trial !== null) params.set('trial', String(trial));
+  if (viewMode) params.set('view', viewMode);
+  (schedulers || []).forEach(s => params.append('s', s));
+  Object.entries(colors || {}).forEach(([name, color]) => params.append('c', `${name}:${color.replace(/^#/, '')}`));
+  (metrics || []).forEach(m => params.append('m', m));
+  if (ranking) params.set('rank', JSON.stringify(ranking));
+  if (normalization && normalization.mode !== 'absolute') {
+    params.set('norm', normalization.mode);
+    if (normalization.baseline) params.set('base', normalization.baseline);
+  }
+  return params.toString();
+};
+
+export const decodeViewState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+
+  if (params.has('dataset')) state.dataset = params.get('dataset');
+  if (params.has('trial')) state.trial = params.get('trial');
+  if (VIEW_MODES.includes(params.get('view'))) state.viewMode = params.get('view');
+  if (params.has('s')) state.schedulers = params.getAll('s');
+  if (params.has('m')) state.metrics = params.getAll('m');
+  if (params.get('norm') in NORMALIZATION_MODES) {
+    state.normalization = { mode: params.get('norm'), baseline: params.get('base') };
+  }
+
+  if (params.has('c')) {
+    state.colors = {};
+    params.getAll('c').forEach(entry => {
+      // Split on the last colon; scheduler names may contain colons
+      const split = entry.lastIndexOf(':');
+      const color = entry.slice(split + 1);
+      if (split > 0 && /^[0-9a-f]{6}$/i.test(color)) state.colors[entry.slice(0, split)] = `#${color}`;
+    });
+  }
+
+  if (params.has('rank')) {
+    try {
+      state.ranking = sanitizeRanking(JSON.parse(params.get('rank')));
+    } catch (error) {
+      console.warn('Ignoring malformed ranking in URL:', error);
+    }
+  }
+
+  return state;
+};
+
+// Hash trial values are strings; match them against the dataset's real IDs
+export const resolveTrialId = (trialIds, value) => trialIds.find(id => String(id) === String(value));
+
+// Merge a decoded view state into the app's settings. Reuses the preset
+// semantics: schedulers and metrics named in the state are switched on and
+// every other known one off; parts missing from the state are left as they are.
+// Aliases never come from the hash, only from a snapshot's saved view. The
+// ranking is checked against the loaded `metricKeys` before it is used.
+export const applyViewState = (state, settings, metricKeys) => applyPreset({
+  schedulers: state.schedulers || Object.keys(settings.selectedSchedulers).filter(s => settings.selectedSchedulers[s]),
+  metrics: state.metrics || Object.keys(settings.visibleMetrics).filter(m => settings.visibleMetrics[m]),
+  colors: state.colors || {},
+  ranking: state.ranking ? sanitizeRanking(state.ranking, metricKeys) : {},
+  aliases: state.aliases
+}, settings);
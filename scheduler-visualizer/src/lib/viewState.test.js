@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { decodeViewState, applyViewState } from './viewState.js';
+import { DEFAULT_RANKING } from './ranking.js';
+
+describe('view state links', () => {
+  const keys = ['energy', 'makespan', 'utility'];
+
+  it('checks a linked ranking against the loaded metrics', () => {
+    const hash = `rank=${encodeURIComponent(JSON.stringify({ strategy: 'pareto', primary: 'speed', secondary: 'makespan', weights: {} }))}`;
+    const state = decodeViewState(hash);
+    expect(state.ranking).toMatchObject({ strategy: 'pareto', primary: 'speed', tolerance: DEFAULT_RANKING.tolerance });
+
+    const settings = { selectedSchedulers: {}, schedulerColors: {}, visibleMetrics: {}, ranking: DEFAULT_RANKING };
+    expect(applyViewState(state, settings, keys).ranking).toEqual({ ...DEFAULT_RANKING, strategy: 'pareto', weights: {} });
+  });
+
+  it('ignores a ranking that is not JSON and defaults one that is not a config', () => {
+    expect(decodeViewState('rank=%7Bnot-json').ranking).toBeUndefined();
+    expect(decodeViewState(`rank=${encodeURIComponent('"weightedSum"')}`).ranking).toEqual(DEFAULT_RANKING);
+  });
+});
@@ -0,0 +1,8 @@
+// Reads the checked-in sample logs in src/test/fixtures
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export const readFixture = (name) => readFileSync(join(FIXTURE_DIR, name), 'utf8');
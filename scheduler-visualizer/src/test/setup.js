@@ -0,0 +1,39 @@
+// Runs before every test file: DOM matchers for expect() and an unmount after
+// each test, since globals (and so Testing Library's auto-cleanup) are off.
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import '@testing-library/jest-dom/vitest';
+
+afterEach(() => {
+  cleanup();
+  // Absent in tests that opt into the node environment
+  if (typeof localStorage !== 'undefined') localStorage.clear();
+  // The app mirrors its view into the hash and reapplies it on the next mount
+  if (typeof window !== 'undefined') window.history.replaceState(null, '', window.location.pathname);
+});
+
+// jsdom's Blob predates Blob.text(), which the upload path reads files with
+if (!Blob.prototype.text) {
+  Blob.prototype.text = function text() {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(this);
+    });
+  };
+}
+
+// Recharts' ResponsiveContainer observes its size; jsdom does no layout
+if (typeof ResizeObserver === 'undefined') {
+  globalThis.ResizeObserver = class ResizeObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+
+// jsdom does no layout, so there is nothing to scroll
+if (typeof Element !== 'undefined' && !Element.prototype.scrollIntoView) {
+  Element.prototype.scrollIntoView = () => {};
+}
@@ -0,0 +1,44 @@
+// Browser entry point for parsing an uploaded file. Runs the streaming parser
+// in a Web Worker and reports progress; falls back to parsing on the main
+// thread where workers are unavailable or fail to start.
+
+import { parseText } from '../lib/importers.js';
+
+const parseOnMainThread = async (file, onProgress) => {
+  const result = parseText(await file.text(), file.name);
+  onProgress(file.size, file.size);
+  return result;
+};
+
+export const parseFileInWorker = (file, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') return parseOnMainThread(file, onProgress);
+
+  let worker;
+  try {
+    worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    // e.g. an offline snapshot opened from file://, which may not start workers
+    return parseOnMainThread(file, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress(message.loaded, message.total);
+        return;
+      }
+      worker.terminate();
+      if (message.type === 'done') resolve(message.result);
+      else reject(new Error(message.message));
+    };
+    // The worker script itself failed to load or run
+    worker.onerror = (event) => {
+      event.preventDefault();
+      worker.terminate();
+      parseOnMainThread(file, onProgress).then(resolve, reject);
+    };
+
+    worker.postMessage({ file });
+  });
+};
@@ -0,0 +1,52 @@
+// Parses an uploaded results file off the main thread. The file is streamed
+// and fed to the format's importer line by line, posting byte progress as it
+// goes, so even very large sweeps never block the UI.
+//
+// Messages out: { type: 'progress', loaded, total }
+//               { type: 'done', result }
+//               { type: 'error', message }
+
+import { createImporter } from '../lib/importers.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+const parseFile = async (file) => {
+  const parser = createImporter(file.name);
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let loaded = 0;
+  let pending = '';
+  let lastProgress = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    loaded += value.byteLength;
+    pending += decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line for the next chunk
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach(line => parser.pushLine(line));
+
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({ type: 'progress', loaded, total: file.size });
+    }
+  }
+
+  pending += decoder.decode();
+  pending.split(/\r?\n/).forEach(line => parser.pushLine(line));
+  self.postMessage({ type: 'progress', loaded: file.size, total: file.size });
+  return parser.finish();
+};
+
+self.onmessage = async (event) => {
+  try {
+    self.postMessage({ type: 'done', result: await parseFile(event.data.file) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -3,4 +3,14 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  build: {
+    rollupOptions: {
+      // One script file, so "Save Snapshot" can inline the whole app
+      output: { inlineDynamicImports: true },
+    },
+  },
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+  },
+})